@@ -478,12 +478,12 @@ function __durationToSeconds(duration) {
   // basic algorithm from https://github.com/nezasa/iso8601-js-period
   if (typeof duration !== "string") throw new Error("Invalid ISO8601 duration '" + duration + "'");
 
-  // regex splits as follows - grp0, grp1, y, m, d, grp2, h, m, s
-  //                           0     1     2  3  4  5     6  7  8
-  var struct = /^P((\d+Y)?(\d+M)?(\d+D)?)?(T(\d+H)?(\d+M)?(\d+S)?)?$/.exec(duration);
+  // regex splits as follows - grp0, sign, grp1, y, m, d, grp2, h, m, s
+  //                           0     1     2     3  4  5  6     7  8  9
+  var struct = /^([-+])?P((\d+Y)?(\d+M)?(\d+D)?)?(T(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/.exec(duration);
   if (!struct) throw new Error("Invalid ISO8601 duration '" + duration + "'");
 
-  var ymdhmsIndexes = [2, 3, 4, 6, 7, 8]; // -> grp1,y,m,d,grp2,h,m,s
+  var ymdhmsIndexes = [3, 4, 5, 7, 8, 9]; // -> grp1,y,m,d,grp2,h,m,s
   var factors = [31104000, // year (360*24*60*60)
                  2592000,             // month (30*24*60*60)
                  86400,               // day (24*60*60)
@@ -498,10 +498,29 @@ function __durationToSeconds(duration) {
     digit = digit ? +digit.replace(/[A-Za-z]+/g, '') : 0;
     seconds += digit * factors[i];
   }
-  return seconds;
+  return struct[1] === "-" ? -seconds : seconds;
 
 }
 
+function __secondsToDuration(seconds) {
+  // inverse of __durationToSeconds - days are the largest unit because months and years vary in length.
+  if (typeof seconds !== "number" || !isFinite(seconds)) throw new Error("Invalid number of seconds '" + seconds + "'");
+  var sign = seconds < 0 ? "-" : "";
+  // avoid floating point noise in the fractional seconds.
+  var ms = Math.round(Math.abs(seconds) * 1000);
+  var days = Math.floor(ms / 86400000);
+  ms -= days * 86400000;
+  var hours = Math.floor(ms / 3600000);
+  ms -= hours * 3600000;
+  var minutes = Math.floor(ms / 60000);
+  ms -= minutes * 60000;
+  var secs = ms / 1000;
+
+  var time = (hours ? hours + "H" : "") + (minutes ? minutes + "M" : "") + (secs ? secs + "S" : "");
+  if (!days && !time) return "PT0S";
+  return sign + "P" + (days ? days + "D" : "") + (time ? "T" + time : "");
+}
+
 // is functions
 
 function __noop() {
@@ -650,6 +669,7 @@ core.using = __using;
 core.memoize = __memoize;
 core.getUuid = __getUuid;
 core.durationToSeconds = __durationToSeconds;
+core.secondsToDuration = __secondsToDuration;
 
 core.isDate = __isDate;
 core.isGuid = __isGuid;
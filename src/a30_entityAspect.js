@@ -233,6 +233,8 @@ var EntityAspect = (function () {
       entityManager.detachEntity(entity);
       // need to tell em that an entity that needed to be saved no longer does.
       entityManager._notifyStateChange(entity, false);
+      // no RejectChanges event is published for a detached entity so its recorded changes are discarded here.
+      entityManager._changeHistory && entityManager._changeHistory.forget(entity);
     } else {
       if (this.entityState.isDeleted()) {
         this.entityManager._linkRelatedEntities(entity);
@@ -260,6 +262,112 @@ var EntityAspect = (function () {
         cos.forEach(rejectChangesCore);
       }
     });
+    getPrimitiveArrays(target, stype).forEach(function (array) {
+      array._rejectChanges();
+    });
+  }
+
+  /**
+  Returns the changes made to the properties of this entity since it was last queried, saved or had 'acceptChanges' called on it.
+  Changes to the properties of complex objects, including those within complex arrays, are returned with the path to the property;
+  changes to the contents of primitive and complex arrays include the items that were added and removed. A change to a foreign key
+  property also includes the related entities before and after the change, when they are in the EntityManager.
+
+  Only 'Modified' and 'Deleted' entities have changed properties; the properties of an 'Added' entity have no original values.
+  @example
+      // assume order is an order entity attached to an EntityManager.
+      order.setProperty("freight", 10);
+      var changes = order.entityAspect.getChangedProperties();
+      // changes[0].propertyPath === "freight" and changes[0].newValue === 10
+  @method getChangedProperties
+  @return {Array of Object} An array of changes, each with the following properties.
+
+  propertyPath {String} The path to the changed property from this entity, i.e. "freight", "location.city" or "orderLines[1].quantity".
+
+  property {DataProperty} The changed property.
+
+  oldValue {Object} The original value; a copy of the original contents for an array property.
+
+  newValue {Object} The current value; a copy of the current contents for an array property.
+
+  added {Array} The items added to an array property.
+
+  removed {Array} The items removed from an array property.
+
+  navigationProperty {NavigationProperty} The navigation property associated with a changed foreign key property.
+
+  oldEntity {Entity} The entity that the original foreign key value referred to.
+
+  newEntity {Entity} The entity that the current foreign key value refers to.
+  **/
+  proto.getChangedProperties = function () {
+    var changes = [];
+    if (this.entityState.isModified() || this.entityState.isDeleted()) {
+      addChangedProperties(this.entity, "", changes);
+    }
+    return changes;
+  };
+
+  function addChangedProperties(target, pathPrefix, changes) {
+    var aspect = target.entityAspect || target.complexAspect;
+    var stype = target.entityType || target.complexType;
+    var originalValues = aspect.originalValues;
+    stype.dataProperties.forEach(function (dp) {
+      var propertyPath = pathPrefix + dp.name;
+      var value = target.getProperty(dp.name);
+      if (!dp.isScalar) {
+        addArrayChange(dp, propertyPath, value, changes);
+        if (dp.isComplexProperty) {
+          var origCos = value._origValues;
+          value.forEach(function (co, ix) {
+            // the properties of complex objects that were added to the array have no original values.
+            if (!origCos || origCos.indexOf(co) >= 0) {
+              addChangedProperties(co, propertyPath + "[" + ix + "].", changes);
+            }
+          });
+        }
+      } else if (dp.isComplexProperty) {
+        addChangedProperties(value, propertyPath + ".", changes);
+      } else if (originalValues.hasOwnProperty(dp.name)) {
+        var oldValue = originalValues[dp.name];
+        if (isSameValue(oldValue, value)) return;
+        var change = { propertyPath: propertyPath, property: dp, oldValue: oldValue, newValue: value };
+        var np = dp.relatedNavigationProperty;
+        if (np && target.entityAspect) {
+          change.navigationProperty = np;
+          change.oldEntity = findRelatedEntity(target, np, oldValue);
+          change.newEntity = target.getProperty(np.name);
+        }
+        changes.push(change);
+      }
+    });
+  }
+
+  function addArrayChange(dp, propertyPath, array, changes) {
+    var origValues = array._origValues;
+    if (!origValues) return;
+    var added = array.filter(function (item) {
+      return origValues.indexOf(item) === -1;
+    });
+    var removed = origValues.filter(function (item) {
+      return array.indexOf(item) === -1;
+    });
+    var isReordered = array.some(function (item, ix) {
+      return item !== origValues[ix];
+    });
+    if (added.length || removed.length || isReordered) {
+      changes.push({ propertyPath: propertyPath, property: dp, oldValue: origValues.slice(0), newValue: array.slice(0), added: added, removed: removed });
+    }
+  }
+
+  function findRelatedEntity(entity, navigationProperty, fkValue) {
+    var em = entity.entityAspect.entityManager;
+    if (!em || fkValue == null || navigationProperty.relatedDataProperties.length !== 1) return null;
+    return em.getEntityByKey(new EntityKey(navigationProperty.entityType, [fkValue]));
+  }
+
+  function isSameValue(value1, value2) {
+    return value1 === value2 || (__isDate(value1) && __isDate(value2) && value1.getTime() === value2.getTime());
   }
 
   proto.getPropertyPath = function (propName) {
@@ -313,6 +421,10 @@ var EntityAspect = (function () {
   Sets the entity to an EntityState of 'Deleted'.  This both marks the entity as being scheduled for deletion during the next 'Save' call
   but also removes the entity from all of its related entities.
   The same operation can be performed by calling  {{#crossLink "EntityAspect/setEntityState"}}{{/crossLink}}.
+
+  The {{#crossLink "NavigationProperty/onDelete"}}{{/crossLink}} rule of each of the entity's navigation properties is applied to the related
+  entities in the EntityManager: 'Cascade' deletes them as well, 'SetNull' sets their foreign keys to null and 'Restrict' throws an exception,
+  without changing anything, if there are any related entities that are not also being deleted.
   @example
       // assume order is an order entity attached to an EntityManager.
       order.entityAspect.setDeleted();
@@ -361,12 +473,15 @@ var EntityAspect = (function () {
       clearOriginalValues(entity);
       // TODO: more to do here... like regenerating key ???
     } else if (entityState === EntityState.Deleted) {
+      // the entities that this entity's deletion cascades to are deleted by the first call.
+      if (!em._isApplyingDeleteRules) {
+        applyDeleteRules(entity);
+      }
       if (this.entityState.isAdded()) {
         // turn it into a detach and exit early
         this.setEntityState(EntityState.Detached);
         return true;
       } else {
-        // TODO: think about cascade deletes
         // entityState needs to be set it early in this one case to insure that fk's are not cleared.
         this.entityState = EntityState.Deleted;
         removeFromRelations(entity, EntityState.Deleted);
@@ -390,6 +505,72 @@ var EntityAspect = (function () {
     return true;
   }
 
+  // applies the 'onDelete' rules of the navigation properties of an entity that is about to be deleted, and of every entity
+  // that its deletion cascades to. Nothing is changed if a 'Restrict' rule is violated.
+  function applyDeleteRules(entity) {
+    var cascadedEntities = [entity];
+    var rules = [];
+    // cascadedEntities grows as it is iterated.
+    for (var i = 0; i < cascadedEntities.length; i++) {
+      var source = cascadedEntities[i];
+      source.entityType.navigationProperties.forEach(function (np) {
+        if (!np.onDelete || np.onDelete === DeleteRule.None) return;
+        var relatedEntities = getRelatedEntities(source, np);
+        if (relatedEntities.length === 0) return;
+        rules.push({ entity: source, navigationProperty: np, relatedEntities: relatedEntities });
+        if (np.onDelete === DeleteRule.Cascade) {
+          relatedEntities.forEach(function (relatedEntity) {
+            __arrayAddItemUnique(cascadedEntities, relatedEntity);
+          });
+        }
+      });
+    }
+    rules.forEach(function (rule) {
+      if (rule.navigationProperty.onDelete !== DeleteRule.Restrict) return;
+      var isRestricted = rule.relatedEntities.some(function (relatedEntity) {
+        return cascadedEntities.indexOf(relatedEntity) === -1;
+      });
+      if (isRestricted) {
+        throw new Error(__formatString("Unable to delete the entity with the key: '%1' because '%2' still has related entities " +
+            "and the delete rule of its '%3' property is 'Restrict'", entity.entityAspect.getKey().toString(),
+            rule.entity.entityAspect.getKey().toString(), rule.navigationProperty.name));
+      }
+    });
+    if (cascadedEntities.length === 1 && rules.length === 0) return;
+    __using(entity.entityAspect.entityManager, "_isApplyingDeleteRules", true, function () {
+      rules.forEach(function (rule) {
+        if (rule.navigationProperty.onDelete !== DeleteRule.SetNull) return;
+        rule.relatedEntities.forEach(function (relatedEntity) {
+          if (cascadedEntities.indexOf(relatedEntity) === -1) {
+            setForeignKeysToNull(relatedEntity, rule.navigationProperty);
+          }
+        });
+      });
+      cascadedEntities.slice(1).forEach(function (cascadedEntity) {
+        cascadedEntity.entityAspect.setDeleted();
+      });
+    });
+  }
+
+  function getRelatedEntities(entity, np) {
+    var value = entity.getProperty(np.name);
+    var relatedEntities = np.isScalar ? (value ? [value] : []) : value.slice(0);
+    return relatedEntities.filter(function (relatedEntity) {
+      return !relatedEntity.entityAspect.entityState.isDeleted();
+    });
+  }
+
+  // sets the foreign keys of an entity that refer to the entity that 'np' belongs to - or its inverse navigation property.
+  function setForeignKeysToNull(relatedEntity, np) {
+    if (np.invForeignKeyNames.length) {
+      np.invForeignKeyNames.forEach(function (fkName) {
+        relatedEntity.setProperty(fkName, null);
+      });
+    } else if (np.inverse && np.inverse.isScalar) {
+      relatedEntity.setProperty(np.inverse.name, null);
+    }
+  }
+
   function clearOriginalValues(target) {
     var aspect = target.entityAspect || target.complexAspect;
     aspect.originalValues = {};
@@ -403,6 +584,17 @@ var EntityAspect = (function () {
         cos.forEach(clearOriginalValues);
       }
     });
+    getPrimitiveArrays(target, stype).forEach(function (array) {
+      array._acceptChanges();
+    });
+  }
+
+  function getPrimitiveArrays(target, stype) {
+    return stype.dataProperties.filter(function (dp) {
+      return !dp.isScalar && !dp.isComplexProperty;
+    }).map(function (dp) {
+      return target.getProperty(dp.name);
+    });
   }
 
   /**
@@ -204,6 +204,12 @@ function setDpValueSimple(context, rawAccessorFn) {
 
   rawAccessorFn(newValue);
 
+  // keep any secondary indexes on this property current - complex type properties are never indexed.
+  var entityGroup = parent.entityAspect && parent.entityAspect.entityGroup;
+  if (entityGroup) {
+    entityGroup._updateIndexes(parent, property, oldValue, newValue);
+  }
+
   updateStateAndValidate(context);
 
   // if (property.isPartOfKey && (!this.complexAspect)) {
@@ -966,6 +966,10 @@ var CsdlMetadataParser = (function () {
       return assocEnd.role === csdlProperty.toRole;
     });
 
+    var fromEnd = __arrayFirst(association.end, function (assocEnd) {
+      return assocEnd.role === csdlProperty.fromRole;
+    });
+
     var isScalar = toEnd.multiplicity !== "*";
     var dataType = parseTypeNameWithSchema(toEnd.type, schema).typeName;
 
@@ -991,6 +995,12 @@ var CsdlMetadataParser = (function () {
       associationName: association.name
     };
 
+    // the 'OnDelete' element of an association end applies to the entities at the other end when an entity at this end is deleted.
+    var onDelete = (fromEnd && fromEnd.onDelete) || csdlProperty.onDelete;
+    if (onDelete) {
+      cfg.onDelete = DeleteRule.fromName(onDelete.action) || DeleteRule.None;
+    }
+
     if (constraint) {
       var principal = constraint.principal;
       var dependent = constraint.dependent;
@@ -1805,6 +1815,22 @@ var EntityType = (function () {
     return propNames.join(delimiter);
   }
 
+  proto.serverPropertyPathToClient = function(propertyPath, delimiter) {
+    var delimiter = delimiter || '.';
+    var propNames;
+    if (this.isAnonymous) {
+      var fn = this.metadataStore.namingConvention.serverPropertyNameToClient;
+      propNames = propertyPath.split(delimiter).map(function (propName) {
+        return fn(propName);
+      });
+    } else {
+      propNames = this.getPropertiesOnPath(propertyPath.split(delimiter), true, true).map(function(prop) {
+        return prop.name;
+      });
+    }
+    return propNames.join('.');
+  }
+
   proto.getEntityKeyFromRawEntity = function (rawEntity, rawValueFn) {
     var keyValues = this.keyProperties.map(function (dp) {
       var val = rawValueFn(rawEntity, dp);
@@ -2714,6 +2740,8 @@ var NavigationProperty = (function () {
   @param [config.foreignKeyNamesOnServer] {Array of String} Same as above but the names are those defined on the server. Either this or 'foreignKeyNames' must
   be specified, if there are foreignKeys. Whichever one is specified the other will be computed using
   the NamingConvention on the MetadataStore associated with the EntityType to which this will be added.
+  @param [config.onDelete=DeleteRule.None] {DeleteRule} The rule applied to the entities returned by this property when the entity that
+  it belongs to is deleted.
   @param [config.validators] {Array of Validator}
   **/
   var ctor = function NavigationProperty(config) {
@@ -2727,6 +2755,7 @@ var NavigationProperty = (function () {
         .whereParam("foreignKeyNamesOnServer").isArray().isString().isOptional().withDefault([])
         .whereParam("invForeignKeyNames").isArray().isString().isOptional().withDefault([])
         .whereParam("invForeignKeyNamesOnServer").isArray().isString().isOptional().withDefault([])
+        .whereParam("onDelete").isEnumOf(DeleteRule).isOptional().withDefault(DeleteRule.None)
         .whereParam("validators").isInstanceOf(Validator).isArray().isOptional().withDefault([])
         .whereParam("displayName").isOptional()
         .whereParam("custom").isOptional()
@@ -2812,6 +2841,15 @@ var NavigationProperty = (function () {
   @property inverse {NavigationProperty}
   **/
 
+  /**
+  The {{#crossLink "DeleteRule"}}{{/crossLink}} applied to the entities returned by this property when the entity that it belongs to
+  is deleted ( see {{#crossLink "EntityAspect/setDeleted"}}{{/crossLink}} ).
+
+  __readOnly__
+  @property onDelete {DeleteRule}
+  @default DeleteRule.None
+  **/
+
   /**
   The {{#crossLink "Validator"}}{{/crossLink}}s that are associated with this property. Validators can be added and
   removed from this collection.
@@ -2861,6 +2899,7 @@ var NavigationProperty = (function () {
   @method setProperties
   @param config [object]
   @param [config.inverse] {String}
+  @param [config.onDelete] {DeleteRule}
   @param [config.custom] {Object}
   **/
   proto.setProperties = function (config) {
@@ -2873,6 +2912,7 @@ var NavigationProperty = (function () {
         .whereParam("displayName").isOptional()
         .whereParam("foreignKeyNames").isArray().isString().isOptional().withDefault([])
         .whereParam("invForeignKeyNames").isArray().isString().isOptional().withDefault([])
+        .whereParam("onDelete").isEnumOf(DeleteRule).isOptional()
         .whereParam("custom").isOptional()
         .applyAll(this);
     this.parentType._updateNames(this);
@@ -2952,6 +2992,7 @@ var NavigationProperty = (function () {
       displayName: null,
       foreignKeyNames: null,
       invForeignKeyNames: null,
+      onDelete: DeleteRule.None,
       custom: null
     });
   };
@@ -2960,6 +3001,9 @@ var NavigationProperty = (function () {
     if (json.validators) {
       json.validators = json.validators.map(Validator.fromJSON);
     }
+    if (typeof json.onDelete === "string") {
+      json.onDelete = DeleteRule.fromName(json.onDelete);
+    }
     return new NavigationProperty(json);
   };
 
@@ -3063,6 +3107,48 @@ var AutoGeneratedKeyType = (function () {
   return ctor;
 })();
 
+var DeleteRule = (function () {
+  /**
+  DeleteRule is an 'Enum' containing all of the rules that may be applied to the entities returned by a
+  {{#crossLink "NavigationProperty"}}{{/crossLink}} when the entity that the property belongs to is deleted.
+  @class DeleteRule
+  @static
+  @final
+  **/
+  var ctor = new Enum("DeleteRule");
+  /**
+  The related entities are left unchanged.
+  @property None {DeleteRule}
+  @final
+  @static
+  **/
+  ctor.None = ctor.addSymbol();
+  /**
+  The related entities are deleted as well - along with the entities that their own 'Cascade' rules apply to.
+  @property Cascade {DeleteRule}
+  @final
+  @static
+  **/
+  ctor.Cascade = ctor.addSymbol();
+  /**
+  The foreign keys of the related entities that refer to the deleted entity are set to null.
+  @property SetNull {DeleteRule}
+  @final
+  @static
+  **/
+  ctor.SetNull = ctor.addSymbol();
+  /**
+  The entity cannot be deleted while it has any related entities that are not also being deleted.
+  @property Restrict {DeleteRule}
+  @final
+  @static
+  **/
+  ctor.Restrict = ctor.addSymbol();
+  ctor.resolveSymbols();
+
+  return ctor;
+})();
+
 // mixin methods
 (function () {
 
@@ -3168,6 +3254,7 @@ breeze.ComplexType = ComplexType;
 breeze.DataProperty = DataProperty;
 breeze.NavigationProperty = NavigationProperty;
 breeze.AutoGeneratedKeyType = AutoGeneratedKeyType;
+breeze.DeleteRule = DeleteRule;
 
 
 
@@ -16,6 +16,19 @@
     @example
         var p2 = new Predicate("Region", FilterQueryOp.Equals, null);
         var query = new EntityQuery("Customers").where(p2);
+    or with an arithmetic expression using the OData 'add', 'sub', 'mul', 'div' and 'mod' operators.
+    @example
+        var p3 = new Predicate("Freight mul 1.2", ">", 100);
+        var query = new EntityQuery("Orders").where(p3);
+    or with the OData date and time functions. Durations ( DataType.Time ) may be added to or subtracted from dates and
+    the difference between two dates is a duration.
+    @example
+        var p4 = new Predicate("date(OrderDate)", "==", "date(now())");
+        var p5 = new Predicate("ShippedDate sub OrderDate", ">", "P7D");
+    or narrowed to the instances of a subtype with the OData 'isof' and 'cast' functions.
+    @example
+        var p6 = new Predicate("isof('BankAccount')", "==", true);
+        var p7 = new Predicate("BillingDetail", FilterQueryOp.IsTypeOf, "BankAccount");
     @method <ctor> Predicate
     @param property {String} A property name, a nested property name or an expression involving a property name.
     @param operator {FilterQueryOp|String}
@@ -25,6 +38,11 @@
     property and an 'isLiteral' property set to either true or false.  Breeze also tries to infer the dataType of any
     literal based on context, if this fails you can force this inference by making the value argument an object with a
     'value' property and a 'dataType' property set to one of the breeze.DataType enumeration instances.
+    @param [options] {Object} Overrides the MetadataStore's {{#crossLink "LocalQueryComparisonOptions"}}{{/crossLink}}
+    for a string comparison.
+    @param [options.caseSensitive] {Boolean} Whether the comparison is case sensitive. A case insensitive comparison is sent
+    to an OData server by wrapping both sides in 'tolower'; a case sensitive one relies on the server's collation.
+    @param [options.usesSql92CompliantStringComparison] {Boolean} Whether trailing spaces are ignored - only applies locally.
     **/
 
     var ctor = function () {
@@ -79,6 +97,10 @@
     literal based on context, if this fails you can force this inference by making the value argument an object with a
     'value' property and a 'dataType' property set to one of the breeze.DataType enumeration instances.
 
+    A per predicate case sensitivity can be specified as a fourth argument or as part of the value.
+    @example
+        var p1 = Predicate.create("Sku", "eq", "Ab-12", { caseSensitive: true });
+        var p2 = Predicate.create("CompanyName", "startsWith", { value: "ab", caseSensitive: false });
     @static
     **/
     ctor.create = ctor;
@@ -145,6 +167,26 @@
       return pred.not();
     };
 
+    /**
+    Creates a Predicate from an OData $filter string.  Unlike a Predicate created directly from a string, which is
+    simply passed thru to the server, the resulting Predicate can be executed locally, validated and serialized to JSON.
+    @example
+        var customerType = em.metadataStore.getEntityType("Customer");
+        var p = Predicate.fromODataFilter("startswith(CompanyName,'C') eq true and Orders/any(x: x/Freight gt 100m)", customerType);
+        var customers = em.executeQueryLocally(EntityQuery.from("Customers").where(p));
+    @method fromODataFilter
+    @param filter {String} The text of an OData $filter query option.
+    @param [entityType] {EntityType} The EntityType that the filter applies to; used to convert the server property names
+    in the filter into client property names.
+    @return {Predicate}
+    @static
+    **/
+    ctor.fromODataFilter = function (filter, entityType) {
+      assertParam(filter, "filter").isNonEmptyString().check();
+      assertParam(entityType, "entityType").isInstanceOf(EntityType).isOptional().check();
+      return new ODataFilterParser(filter, entityType).parse();
+    };
+
     ctor.extendBinaryPredicateFn = function(opMap, visitorFn ) {
       var baseVisitorFn = toFunctionVisitor.binaryPredicate;
       for (var op in (opMap || {})) {
@@ -165,6 +207,86 @@
       }
     };
 
+    // the functions added by registerFunction, keyed by their lower cased names - only these can be replaced or unregistered.
+    var _registeredFns = {};
+
+    /**
+    Registers a function that can then be used within any Predicate expression. The registered function is used
+    when a query is executed locally, to infer the dataTypes of any expressions involving it, and by both
+    the OData and JSON uriBuilders.  Registering a function with the same name as a registered function replaces it
+    but the built in functions cannot be replaced.
+    @example
+        Predicate.registerFunction("distance", {
+          fn: function (lat1, lng1, lat2, lng2) {
+            return computeDistance(lat1, lng1, lat2, lng2);
+          },
+          dataType: DataType.Double,
+          argTypes: [DataType.Double, DataType.Double, DataType.Double, DataType.Double],
+          odataName: "geo.distance"
+        });
+        var p = Predicate.create("distance(latitude, longitude, 47.6, -122.3)", "lt", 10);
+    @method registerFunction
+    @param name {String} The name of the function as it will appear in a Predicate expression. Function names are case insensitive.
+    @param config {Object}
+    @param config.fn {Function} The function used to evaluate the expression locally. It is passed the values of
+    each of its argument expressions.
+    @param [config.dataType] {DataType} The DataType returned by the function.
+    @param [config.argTypes] {Array of DataType} The DataTypes of each of the function's arguments.  These are used
+    to interpret any literal arguments.
+    @param [config.odataName] {String} The name of the function when sent to an OData server. Defaults to 'name'.
+    @param [config.jsonName] {String} The name of the function when serialized to JSON. Defaults to 'name'.
+    @static
+    **/
+    ctor.registerFunction = function (name, config) {
+      assertParam(name, "name").isNonEmptyString().check();
+      var qf = {};
+      assertConfig(config)
+          .whereParam("fn").isFunction()
+          .whereParam("dataType").isEnumOf(DataType).isOptional()
+          .whereParam("argTypes").isEnumOf(DataType).isArray().isOptional()
+          .whereParam("odataName").isNonEmptyString().isOptional()
+          .whereParam("jsonName").isNonEmptyString().isOptional()
+          .applyAll(qf);
+      var funcMap = FnExpr.funcMap;
+      var names = [name.toLowerCase()];
+      // so that a serialized predicate can be parsed back.
+      if (qf.jsonName && qf.jsonName.toLowerCase() !== names[0]) {
+        names.push(qf.jsonName.toLowerCase());
+      }
+      var existingName = __arrayFirst(names, function (n) {
+        return funcMap[n] && funcMap[n] !== _registeredFns[names[0]];
+      });
+      if (existingName) {
+        throw new Error("Unable to register the function '" + name + "' because there is already a function named: " + existingName);
+      }
+      ctor.unregisterFunction(name);
+      _registeredFns[names[0]] = qf;
+      names.forEach(function (n) {
+        funcMap[n] = qf;
+      });
+    };
+
+    /**
+    Removes a function added by {{#crossLink "Predicate/registerFunction"}}{{/crossLink}}, along with its 'jsonName'.
+    The built in functions cannot be removed.
+    @example
+        Predicate.unregisterFunction("distance");
+    @method unregisterFunction
+    @param name {String} The name that the function was registered with. Function names are case insensitive.
+    @static
+    **/
+    ctor.unregisterFunction = function (name) {
+      assertParam(name, "name").isNonEmptyString().check();
+      var funcMap = FnExpr.funcMap;
+      var qf = _registeredFns[name.toLowerCase()];
+      if (!qf) return;
+      delete _registeredFns[name.toLowerCase()];
+      delete funcMap[name.toLowerCase()];
+      if (qf.jsonName && funcMap[qf.jsonName.toLowerCase()] === qf) {
+        delete funcMap[qf.jsonName.toLowerCase()];
+      }
+    };
+
 
     /**
     'And's this Predicate with one or more other Predicates and returns a new 'composite' Predicate
@@ -245,6 +367,11 @@
       return this.visit(context, toFunctionVisitor);
     }
 
+    // a plain object tree of the validated predicate with the dataType of every expression - used by EntityManager.explainQuery.
+    proto._explain = function(context) {
+      return this.visit(context, explainVisitor);
+    }
+
     proto.toString = function () {
       return JSON.stringify(this);
     };
@@ -282,6 +409,12 @@
       return fn.call(this, context);
     }
 
+    // the 'property op literal' terms that every match of this predicate must satisfy - used by local queries
+    // to pick a secondary index. Only meaningful once the predicate has been validated.
+    proto._getIndexTerms = function () {
+      return [];
+    };
+
     proto._initialize = function (visitorMethodName,  opMap) {
       this.visitorMethodName = visitorMethodName;
       var aliasMap = this.aliasMap = {};
@@ -331,7 +464,14 @@
       json[arr[0]] = value;
       var op = arr[1];
       op = op.operator || op;  // incoming op will be either a string or a FilterQueryOp
-      if (arr.length == 3) {
+      if (arr.length == 4) {
+        //      [ "code", "eq", "ab", { caseSensitive: true } ]
+        //      [ "code", "eq", "ab", true ]  - where true is 'valueIsLiteral'
+        if (typeof arr[3] === "boolean") {
+          return new BinaryPredicate(op, arr[0], { value: arr[2], isLiteral: arr[3] });
+        }
+        return new BinaryPredicate(op, arr[0], arr[2], arr[3]);
+      } else if (arr.length == 3) {
         value[op] = arr[2];
       } else {
         value[op] = createPredicateFromArray(arr.splice(2));
@@ -434,13 +574,24 @@
   })();
   
   var BinaryPredicate = (function () {
-    var ctor = function BinaryPredicate(op, expr1, expr2) {
+    var ctor = function BinaryPredicate(op, expr1, expr2, options) {
       // 5 public props op, expr1Source, expr2Source, expr1, expr2
       this.op = this._resolveOp(op);
       this.expr1Source = expr1;
       this.expr2Source = expr2;
       // this.expr1 and this.expr2 won't be
       // determined until validate is run
+
+      // comparison options may also arrive as part of an object valued expr2, i.e. { value: "ab", caseSensitive: true }.
+      if (options == null && expr2 != null && __isObject(expr2) && __hasOwnProperty(expr2, "value")) {
+        options = __extend({}, expr2, ["caseSensitive", "usesSql92CompliantStringComparison"]);
+      }
+      if (options) {
+        assertConfig(options)
+            .whereParam("caseSensitive").isBoolean().isOptional()
+            .whereParam("usesSql92CompliantStringComparison").isBoolean().isOptional()
+            .applyAll(this);
+      }
     };
     
     var proto = ctor.prototype = new Predicate();
@@ -474,7 +625,13 @@
         isFunction: true
       },
       'in': {
-
+        aliases: ["$in"]
+      },
+      'notin': {
+        aliases: ["$nin"]
+      },
+      'isof': {
+        aliases: ["istypeof"]
       }
     });
 
@@ -490,10 +647,19 @@
         throw new Error("The left hand side of a binary predicate cannot be a literal expression, it must be a valid property or functional predicate expression: " + this.expr1Source);
       }
 
-      if (this.op.key == 'in' && !Array.isArray(this.expr2Source)) {
-        throw new Error("The 'in' operator requires that its right hand argument be an array");
+      if ((this.op.key == 'in' || this.op.key == 'notin') && !Array.isArray(this.expr2Source)) {
+        throw new Error("The '" + this.op.key + "' operator requires that its right hand argument be an array");
+      }
+      if (this.op.key === 'isof') {
+        // the rhs is the name of an EntityType ( or the type itself ) and not a value.
+        var typeName = this.expr2Source instanceof EntityType ? this.expr2Source.name : this.expr2Source;
+        this.expr2 = new LitExpr(typeName, DataType.String);
+        this.typeArg = resolveTypeArg(this.expr2, entityType);
+        return;
       }
-      var expr2Context = __extend(expr1Context, { isRHS: true, dataType: this.expr1.dataType });
+      // a navigation property can only be compared with null.
+      var expr2DataType = DataType.contains(this.expr1.dataType) ? this.expr1.dataType : null;
+      var expr2Context = __extend(expr1Context, { isRHS: true, dataType: expr2DataType });
       this.expr2 = createExpr(this.expr2Source, expr2Context );
       if (this.expr2 == null) {
         throw new Error("Unable to validate 2nd expression: " + this.expr2Source);
@@ -504,6 +670,11 @@
       }
     }
 
+    proto._getIndexTerms = function () {
+      if (!(this.expr1 instanceof PropExpr && this.expr2 instanceof LitExpr)) return [];
+      return [{ propertyPath: this.expr1.propertyPath, op: this.op.key, value: this.expr2.value }];
+    };
+
     return ctor;
   })();
   
@@ -540,6 +711,13 @@
       });
     }
 
+    proto._getIndexTerms = function () {
+      if (this.op == null || this.op.key !== "and") return [];
+      return Array.prototype.concat.apply([], this.preds.map(function (pred) {
+        return pred._getIndexTerms();
+      }));
+    };
+
     return ctor;
   })();
   
@@ -586,7 +764,8 @@
       // if the DataType comes in as Undefined this means
       // that we should NOT attempt to parse it but just leave it alone
       // for now - this is usually because it is part of a Func expr.
-      dataType = dataType || DataType.fromValue(value);
+      // the values of an array ( i.e. for an 'in' clause ) are assumed to share a type.
+      dataType = dataType || DataType.fromValue(Array.isArray(value) ? value[0] : value);
 
       if (dataType && dataType.parse) {
         if (Array.isArray(value)) {
@@ -658,7 +837,7 @@
   var FnExpr = (function () {
     
     var ctor = function FnExpr(fnName, exprs) {
-      // 4 public props: fnName, exprs, localFn, dataType
+      // 6 public props: fnName, exprs, localFn, dataType, odataName, jsonName
       this.fnName = fnName;
       this.exprs = exprs;
       var qf = _funcMap[fnName];
@@ -667,6 +846,10 @@
       }
       this.localFn = qf.fn;
       this.dataType = qf.dataType;
+      this.odataName = qf.odataName || fnName;
+      this.jsonName = qf.jsonName || fnName;
+      // the last argument of 'isof' and 'cast' is a type name - resolved into this.typeArg by validate.
+      this.hasTypeArg = !!qf.hasTypeArg;
     };
     var proto = ctor.prototype = new PredicateExpression('fnExpr');
 
@@ -678,12 +861,23 @@
     };
 
     proto._validate = function(entityType, usesNameOnServer) {
-      this.exprs.forEach(function (expr) {
+      var exprs = this.hasTypeArg ? this.exprs.slice(0, -1) : this.exprs;
+      exprs.forEach(function (expr) {
         expr._validate(entityType, usesNameOnServer);
       });
+      if (this.hasTypeArg) {
+        if (this.exprs.length === 0 || exprs.length > 1) {
+          throw new Error("The '" + this.fnName + "' function requires a type name and an optional expression");
+        }
+        this.typeArg = resolveTypeArg(this.exprs[this.exprs.length - 1], entityType);
+        // a 'cast' is of the type that it casts to.
+        if (_funcMap[this.fnName].dataType == null) {
+          this.dataType = this.typeArg;
+        }
+      }
     };
 
-    // TODO: add dataTypes for the args next - will help to infer other dataTypes.
+    // additional functions may be added via Predicate.registerFunction.
     var _funcMap = ctor.funcMap = {
       toupper: {
         fn: function (source) {
@@ -765,6 +959,11 @@
           return source.getMinutes();
         }, dataType: DataType.Int32
       },
+      hour: {
+        fn: function (source) {
+          return source.getHours();
+        }, dataType: DataType.Int32
+      },
       day: {
         fn: function (source) {
           return source.getDate();
@@ -779,21 +978,260 @@
         fn: function (source) {
           return source.getFullYear();
         }, dataType: DataType.Int32
+      },
+      fractionalseconds: {
+        fn: function (source) {
+          return source.getMilliseconds() / 1000;
+        }, dataType: DataType.Decimal
+      },
+      totaloffsetminutes: {
+        fn: function (source) {
+          return -source.getTimezoneOffset();
+        }, dataType: DataType.Int32
+      },
+      totalseconds: {
+        fn: function (source) {
+          return __durationToSeconds(source);
+        }, dataType: DataType.Decimal
+      },
+      // the date portion ( at local midnight ) of a date.
+      date: {
+        fn: function (source) {
+          return new Date(source.getFullYear(), source.getMonth(), source.getDate());
+        }, dataType: DataType.DateTime
+      },
+      // the time of day portion of a date as a duration.
+      time: {
+        fn: function (source) {
+          var seconds = source.getHours() * 3600 + source.getMinutes() * 60 + source.getSeconds() + source.getMilliseconds() / 1000;
+          return __secondsToDuration(seconds);
+        }, dataType: DataType.Time
+      },
+      now: {
+        fn: function () {
+          return new Date();
+        }, dataType: DataType.DateTimeOffset
+      },
+      mindatetime: {
+        fn: function () {
+          // 0001-01-01T00:00:00Z
+          return new Date(-62135596800000);
+        }, dataType: DataType.DateTimeOffset
+      },
+      maxdatetime: {
+        fn: function () {
+          return new Date(Date.UTC(9999, 11, 31, 23, 59, 59, 999));
+        }, dataType: DataType.DateTimeOffset
+      },
+      // i.e. isof('BankAccount') or isof(BillingDetail, 'BankAccount')
+      isof: {
+        fn: isOfType, dataType: DataType.Boolean, hasTypeArg: true
+      },
+      // i.e. cast(BillingDetail, 'BankAccount') or cast(Freight, 'Edm.Int32')
+      cast: {
+        fn: castToType, hasTypeArg: true
       }
     };
     
     return ctor;
   })();
 
+  var ArithExpr = (function () {
+
+    var ctor = function ArithExpr(op, expr1, expr2) {
+      // 4 public props: op, expr1, expr2, dataType
+      this.op = op.toLowerCase();
+      if (_opMap[this.op] == null) {
+        throw new Error("Unknown arithmetic operator: " + op);
+      }
+      this.expr1 = expr1;
+      this.expr2 = expr2;
+    };
+    var proto = ctor.prototype = new PredicateExpression('arithExpr');
+
+    proto.toString = function() {
+      return "ArithExpr - (" + this.expr1.toString() + " " + this.op + " " + this.expr2.toString() + ")";
+    };
+
+    proto._validate = function(entityType, usesNameOnServer) {
+      var exprs = [this.expr1, this.expr2];
+      exprs.forEach(function (expr) {
+        expr._validate(entityType, usesNameOnServer);
+      });
+      var dts = exprs.map(function (expr) {
+        return isUnparsedLiteral(expr) ? literalDataType(expr.value) : expr.dataType;
+      });
+      if (dts.some(isTemporal)) {
+        this._validateTemporal(dts);
+        return;
+      }
+      // the result is the 'widest' of the operand types ( OData type promotion ).
+      var dataType = null;
+      dts.forEach(function (dt) {
+        if (dt == null || dt === DataType.Undefined) return;
+        if (_promotionOrder.indexOf(dt) < 0) {
+          throw new Error("The '" + this.op + "' operator requires numeric operands - not: " + dt.name);
+        }
+        if (dataType == null || _promotionOrder.indexOf(dt) > _promotionOrder.indexOf(dataType)) {
+          dataType = dt;
+        }
+      }, this);
+      // numeric literals are parsed only once the type of the expression is known.
+      exprs.forEach(function (expr) {
+        if (!isUnparsedLiteral(expr)) return;
+        var dt = dataType || literalDataType(expr.value);
+        expr.value = dt.parse(expr.value, typeof expr.value);
+        expr.dataType = dt;
+      });
+      this.dataType = dataType;
+    };
+
+    // dates and durations may only be added to or subtracted from one another.
+    proto._validateTemporal = function (dts) {
+      var dt1 = dts[0], dt2 = dts[1];
+      var dataType;
+      if (this.op === "add" || this.op === "sub") {
+        if (isDate(dt1) && dt2 === DataType.Time) {
+          dataType = dt1;
+        } else if (this.op === "add" && dt1 === DataType.Time && isDate(dt2)) {
+          dataType = dt2;
+        } else if (dt1 === DataType.Time && dt2 === DataType.Time) {
+          dataType = DataType.Time;
+        } else if (this.op === "sub" && isDate(dt1) && isDate(dt2)) {
+          dataType = DataType.Time;
+        }
+      }
+      if (dataType == null) {
+        throw new Error("The '" + this.op + "' operator cannot be applied to: " + (dt1 ? dt1.name : "?") + " and " + (dt2 ? dt2.name : "?"));
+      }
+      [this.expr1, this.expr2].forEach(function (expr, ix) {
+        if (!isUnparsedLiteral(expr)) return;
+        expr.dataType = dts[ix];
+      });
+      this._operandTypes = dts;
+      this.dataType = dataType;
+    };
+
+    proto.getLocalFn = function () {
+      if (this._operandTypes) {
+        return getTemporalFn(this.op, this._operandTypes);
+      }
+      var opFn = _opMap[this.op].fn;
+      var isInteger = !!(this.dataType && this.dataType.isInteger);
+      return function (v1, v2) {
+        if (v1 == null || v2 == null) return null;
+        return opFn(v1, v2, isInteger);
+      };
+    };
+
+    ctor.isOperator = function (op) {
+      return _opMap[op.toLowerCase()] != null;
+    };
+
+    ctor.getPrecedence = function (op) {
+      return _opMap[op.toLowerCase()].precedence;
+    };
+
+    function isUnparsedLiteral(expr) {
+      return expr instanceof LitExpr && expr.dataType === DataType.Undefined;
+    }
+
+    function getTemporalFn(op, dts) {
+      var sign = op === "sub" ? -1 : 1;
+      var dt1 = dts[0], dt2 = dts[1];
+      var fn;
+      if (isDate(dt1) && isDate(dt2)) {
+        fn = function (v1, v2) {
+          return __secondsToDuration((v1.getTime() - v2.getTime()) / 1000);
+        };
+      } else if (isDate(dt1)) {
+        fn = function (v1, v2) {
+          return new Date(v1.getTime() + sign * __durationToSeconds(v2) * 1000);
+        };
+      } else if (isDate(dt2)) {
+        fn = function (v1, v2) {
+          return new Date(v2.getTime() + __durationToSeconds(v1) * 1000);
+        };
+      } else {
+        fn = function (v1, v2) {
+          return __secondsToDuration(__durationToSeconds(v1) + sign * __durationToSeconds(v2));
+        };
+      }
+      return function (v1, v2) {
+        if (v1 == null || v2 == null) return null;
+        return fn(v1, v2);
+      };
+    }
+
+    function isDate(dt) {
+      return !!(dt && dt.isDate);
+    }
+
+    function isTemporal(dt) {
+      return isDate(dt) || dt === DataType.Time;
+    }
+
+    function literalDataType(value) {
+      if (__isDuration(value)) return DataType.Time;
+      if (typeof value === "string" && /^[-+]?\d+$/.test(value.trim())) return DataType.Int32;
+      if (isNaN(parseFloat(value))) {
+        throw new Error("Unable to interpret '" + value + "' as a number within an arithmetic expression");
+      }
+      return DataType.Double;
+    }
+
+    var _promotionOrder = [DataType.Byte, DataType.Int16, DataType.Int32, DataType.Int64, DataType.Single, DataType.Double, DataType.Decimal];
+
+    var _opMap = {
+      add: {
+        fn: function (v1, v2) {
+          return v1 + v2;
+        }, precedence: 1
+      },
+      sub: {
+        fn: function (v1, v2) {
+          return v1 - v2;
+        }, precedence: 1
+      },
+      mul: {
+        fn: function (v1, v2) {
+          return v1 * v2;
+        }, precedence: 2
+      },
+      div: {
+        fn: function (v1, v2, isInteger) {
+          // OData integer division truncates.
+          var r = v1 / v2;
+          return isInteger ? (r < 0 ? Math.ceil(r) : Math.floor(r)) : r;
+        }, precedence: 2
+      },
+      mod: {
+        fn: function (v1, v2) {
+          return v1 % v2;
+        }, precedence: 2
+      }
+    };
+
+    return ctor;
+  })();
+
   var RX_IDENTIFIER = /^[a-z_][\w.$]*$/i;
   // comma delimited expressions ignoring commas inside of both single and double quotes.
   var RX_COMMA_DELIM1 = /('[^']*'|[^,]+)/g;
   var RX_COMMA_DELIM2 = /("[^"]*"|[^,]+)/g;
   var DELIM = String.fromCharCode(191);
+  // whitespace delimited words ignoring whitespace inside of quotes.
+  var RX_WORD = /'[^']*'|"[^"]*"|\S+/g;
 
   function createExpr(source, exprContext) {
     var entityType = exprContext.entityType;
 
+    // an already parsed expression - i.e. from an OData filter.
+    if (source instanceof PredicateExpression) {
+      source._validate(entityType, exprContext.usesNameOnServer);
+      return source;
+    }
+
     // the right hand side of an 'in' clause
     if (Array.isArray(source)) {
       if (!exprContext.isRHS) {
@@ -826,36 +1264,89 @@
       if (entityType == null || entityType.isAnonymous) {
         // if entityType is unknown then assume that the rhs is a literal
         return new LitExpr(source, exprContext.dataType);
-      } else {
-        return parseLitOrPropExpr(source, exprContext);
       }
-    } else {
-      var regex = /\([^()]*\)/;
-      var m;
-      var tokens = [];
-      var i = 0;
-      while (m = regex.exec(source)) {
-        var token = m[0];
-        tokens.push(token);
-        var repl = DELIM + i++;
-        source = source.replace(token, repl);
+      // the rhs can only be an arithmetic or function expression when it is being compared with a numeric or temporal lhs.
+      var dt = exprContext.dataType;
+      var isNumericOrTemporal = dt && (dt.isNumeric || dt.isDate || dt === DataType.Time);
+      if (!isNumericOrTemporal || !(isArithExpr(source.match(RX_WORD) || []) || isFnCall(source))) {
+        return parseLitOrPropExpr(source, exprContext);
       }
+    }
 
-      var expr = parseExpr(source, tokens, exprContext);
-      expr._validate(entityType, exprContext.usesNameOnServer);
-      return expr;
+    var regex = /\([^()]*\)/;
+    var m;
+    var tokens = [];
+    var i = 0;
+    while (m = regex.exec(source)) {
+      var token = m[0];
+      tokens.push(token);
+      var repl = DELIM + i++;
+      source = source.replace(token, repl);
     }
+
+    var expr = parseExpr(source, tokens, exprContext);
+    expr._validate(entityType, exprContext.usesNameOnServer);
+    return expr;
   }
 
   function parseExpr(source, tokens, exprContext) {
+    var words = source.match(RX_WORD) || [];
+    if (isArithExpr(words)) {
+      return parseArithExpr(words, tokens, exprContext);
+    }
     var parts = source.split(DELIM);
     if (parts.length === 1) {
       return parseLitOrPropExpr(parts[0], exprContext);
+    } else if (parts.length === 2 && parts[0].trim() === "") {
+      // a parenthesized expression
+      var innerSource = tokens[parts[1].trim()];
+      return parseExpr(innerSource.substr(1, innerSource.length - 2), tokens, exprContext);
     } else {
       return parseFnExpr(source, parts, tokens, exprContext);
     }
   }
 
+  // i.e. "date(now())" - but only for a known function.
+  function isFnCall(source) {
+    var m = /^\s*([a-z_]\w*)\s*\(.*\)\s*$/i.exec(source);
+    return m != null && FnExpr.funcMap[m[1].toLowerCase()] != null;
+  }
+
+  function isArithExpr(words) {
+    if (words.length < 3 || words.length % 2 === 0) return false;
+    return words.every(function (word, ix) {
+      return ix % 2 === 0 || ArithExpr.isOperator(word);
+    });
+  }
+
+  function parseArithExpr(words, tokens, exprContext) {
+    var newContext = __extend({}, exprContext);
+    // numeric literals are parsed by the ArithExpr once the type of the expression is known.
+    newContext.dataType = DataType.Undefined;
+    var operands = [];
+    var ops = [];
+    var reduce = function () {
+      var expr2 = operands.pop();
+      var expr1 = operands.pop();
+      operands.push(new ArithExpr(ops.pop(), expr1, expr2));
+    };
+    words.forEach(function (word, ix) {
+      if (ix % 2 === 0) {
+        operands.push(parseExpr(word, tokens, newContext));
+      } else {
+        // all of the operators are left associative
+        while (ops.length && ArithExpr.getPrecedence(ops[ops.length - 1]) >= ArithExpr.getPrecedence(word)) {
+          reduce();
+        }
+        ops.push(word);
+      }
+    });
+    while (ops.length) {
+      reduce();
+    }
+    return operands[0];
+  }
+
   function parseLitOrPropExpr(value, exprContext) {
     value = value.trim();
     // value is either a string, a quoted string, a number, a bool value, or a date
@@ -888,22 +1379,64 @@
     }
   }
 
+  // resolves the type name argument of an 'isof' or 'cast' into an EntityType or a primitive DataType.
+  // i.e. 'BankAccount', 'Billing.Models.BankAccount', 'BankAccount:#Billing.Models' or 'Edm.Int32'
+  function resolveTypeArg(expr, entityType) {
+    var typeName = expr instanceof PropExpr ? expr.propertyPath : expr.value;
+    if (!__isString(typeName) || typeName.length === 0) {
+      throw new Error("Invalid type name: " + typeName);
+    }
+    var dataType = __stringStartsWith(typeName, "Edm.") ? DataType.fromEdmDataType(typeName) : DataType.fromName(typeName);
+    if (DataType.contains(dataType) && dataType !== DataType.Undefined) return dataType;
+    var metadataStore = entityType && entityType.metadataStore;
+    var type = metadataStore && metadataStore._getEntityType(typeName, true);
+    var ix = typeName.lastIndexOf(".");
+    if (metadataStore && type == null && ix > 0 && typeName.indexOf(":#") < 0) {
+      type = metadataStore._getEntityType(qualifyTypeName(typeName.substr(ix + 1), typeName.substr(0, ix)), true);
+    }
+    if (type instanceof EntityType) return type;
+    // without metadata the type name can only be passed thru to the server.
+    if (entityType == null || entityType.isAnonymous) return typeName;
+    throw new Error("Unable to resolve an EntityType or DataType named: " + typeName);
+  }
+
+  function isOfType(source, type) {
+    if (source == null) return false;
+    if (type instanceof EntityType) {
+      return source.entityType instanceof EntityType && source.entityType.isSubtypeOf(type);
+    }
+    // a primitive value is of a type if it survives being cast to it.
+    return castToType(source, type) == source;
+  }
+
+  function castToType(source, type) {
+    if (source == null) return null;
+    if (type instanceof EntityType) {
+      return isOfType(source, type) ? source : null;
+    }
+    var value = type.parse ? type.parse(source, typeof source) : source;
+    return (value == null || (typeof value === "number" && isNaN(value))) ? null : value;
+  }
+
   function parseFnExpr(source, parts, tokens, exprContext) {
     try {
       var fnName = parts[0].trim().toLowerCase();
+      var qf = FnExpr.funcMap[fnName];
+      var argTypes = (qf && qf.argTypes) || [];
 
       var argSource = tokens[parts[1]].trim();
       if (argSource.substr(0, 1) === "(") {
         argSource = argSource.substr(1, argSource.length - 2);
       }
       var commaMatchStr = source.indexOf("'") >= 0 ? RX_COMMA_DELIM1 : RX_COMMA_DELIM2;
-      var args = argSource.match(commaMatchStr);
-      var newContext = __extend({}, exprContext);
-      // a dataType of Undefined on a context basically means not to try parsing
-      // the value if the expr is a literal
-      newContext.dataType = DataType.Undefined;
-      newContext.isFnArg = true;
-      var exprs = args.map(function (a) {
+      // i.e. now()
+      var args = argSource.trim() === "" ? [] : argSource.match(commaMatchStr);
+      var exprs = args.map(function (a, ix) {
+        var newContext = __extend({}, exprContext);
+        // a dataType of Undefined on a context basically means not to try parsing
+        // the value if the expr is a literal
+        newContext.dataType = argTypes[ix] || DataType.Undefined;
+        newContext.isFnArg = true;
         return parseExpr(a, tokens, newContext);
       });
       return new FnExpr(fnName, exprs);
@@ -936,6 +1469,13 @@
         var expr2Fn = this.expr2.visit(context);
         var dataType = this.expr1.dataType || this.expr2.dataType;
         var lqco = context.entityType.metadataStore.localQueryComparisonOptions;
+        if (this.caseSensitive != null || this.usesSql92CompliantStringComparison != null) {
+          lqco = {
+            isCaseSensitive: this.caseSensitive != null ? this.caseSensitive : lqco.isCaseSensitive,
+            usesSql92CompliantStringComparison: this.usesSql92CompliantStringComparison != null ?
+                this.usesSql92CompliantStringComparison : lqco.usesSql92CompliantStringComparison
+          };
+        }
         var predFn = getBinaryPredicateFn(this, dataType, lqco);
         if (predFn == null) {
           throw new Error("Invalid binaryPredicate operator:" + this.op.key);
@@ -1006,6 +1546,13 @@
           return expr.visit(context);
         });
         var that = this;
+        if (this.hasTypeArg) {
+          // without a source expression the function applies to the entity itself.
+          var sourceFn = exprFns.length > 1 ? exprFns[0] : __identity;
+          return function (entity) {
+            return that.localFn(sourceFn(entity), that.typeArg);
+          };
+        }
         return function (entity) {
           var values = exprFns.map(function (exprFn) {
             var value = exprFn(entity);
@@ -1014,6 +1561,15 @@
           var result = that.localFn.apply(null, values);
           return result;
         }
+      },
+
+      arithExpr: function (context) {
+        var expr1Fn = this.expr1.visit(context);
+        var expr2Fn = this.expr2.visit(context);
+        var localFn = this.getLocalFn();
+        return function (entity) {
+          return localFn(expr1Fn(entity), expr2Fn(entity));
+        };
       }
 
     };
@@ -1040,6 +1596,8 @@
     function getBinaryPredicateFn(binaryPredicate, dataType, lqco) {
       var op = binaryPredicate.op;
       var mc = DataType.getComparableFn(dataType);
+      // 'in' clauses only use the string comparison options when they are specified on the predicate itself.
+      var hasStringOptions = binaryPredicate.caseSensitive != null || binaryPredicate.usesSql92CompliantStringComparison != null;
       var predFn;
       switch (op.key) {
         case 'eq':
@@ -1097,11 +1655,29 @@
           break;
         case 'in':
           predFn = function (v1, v2) {
+            if (hasStringOptions && v1 && typeof v1 === 'string') {
+              return v2.some(function (v) { return stringEquals(v1, v, lqco); });
+            }
             v1 = mc(v1);
             v2 = v2.map(function(v) { return mc(v) });
             return v2.indexOf(v1) >= 0;
           };
           break;
+        case 'notin':
+          predFn = function (v1, v2) {
+            if (hasStringOptions && v1 && typeof v1 === 'string') {
+              return !v2.some(function (v) { return stringEquals(v1, v, lqco); });
+            }
+            v1 = mc(v1);
+            v2 = v2.map(function(v) { return mc(v) });
+            return v2.indexOf(v1) < 0;
+          };
+          break;
+        case 'isof':
+          predFn = function (v1) {
+            return isOfType(v1, binaryPredicate.typeArg);
+          };
+          break;
         default:
           return null;
       }
@@ -1172,12 +1748,18 @@
         if (this.expr2 instanceof PropExpr) {
           expr2Val = { value: expr2Val, isProperty: true };
         }
+        if (this.caseSensitive != null || this.usesSql92CompliantStringComparison != null) {
+          expr2Val = (expr2Val != null && __isObject(expr2Val) && __hasOwnProperty(expr2Val, "value")) ? __extend({}, expr2Val) : { value: expr2Val };
+          __extend(expr2Val, this, ["caseSensitive", "usesSql92CompliantStringComparison"]);
+        }
         if (this.op.key === "eq") {
           json[expr1Val] = expr2Val;
         } else {
           var value = {};
           json[expr1Val] = value;
-          value[this.op.key] = expr2Val;
+          // a context may supply alternate names for some operators, i.e. mongo style '$in'.
+          var opName = (context.jsonOperatorMap && context.jsonOperatorMap[this.op.key]) || this.op.key;
+          value[opName] = expr2Val;
         }
         return json;
       },
@@ -1232,7 +1814,20 @@
         var exprVals = this.exprs.map(function(expr) {
           return expr.visit(context);
         });
-        return this.fnName + "(" + exprVals.join(",") + ")";
+        if (this.hasTypeArg) {
+          // quoted so that the type name is never mistaken for a property.
+          var typeArg = this.typeArg;
+          exprVals[exprVals.length - 1] = "'" + (__isString(typeArg) ? typeArg : typeArg.name) + "'";
+        }
+        return this.jsonName + "(" + exprVals.join(",") + ")";
+      },
+
+      arithExpr: function (context) {
+        var exprVals = [this.expr1, this.expr2].map(function (expr) {
+          var val = expr.visit(context);
+          return (expr instanceof LitExpr && __isObject(val)) ? val.value : val;
+        });
+        return "(" + exprVals[0] + " " + this.op + " " + exprVals[1] + ")";
       }
     };
     
@@ -1257,7 +1852,431 @@
     return visitor;
   }());
 
-  
+  var explainVisitor = (function () {
+    var visitor = {
+
+      passthruPredicate: function () {
+        return { passthru: this.value };
+      },
+
+      unaryPredicate: function (context) {
+        return { op: this.op.key, pred: this.pred.visit(context) };
+      },
+
+      binaryPredicate: function (context) {
+        var json = { op: this.op.key, expr1: this.expr1.visit(context), expr2: this.expr2.visit(context) };
+        if (this.caseSensitive != null) json.caseSensitive = this.caseSensitive;
+        if (this.usesSql92CompliantStringComparison != null) json.usesSql92CompliantStringComparison = this.usesSql92CompliantStringComparison;
+        return json;
+      },
+
+      andOrPredicate: function (context) {
+        return {
+          op: this.op.key, preds: this.preds.map(function (pred) {
+            return pred.visit(context);
+          })
+        };
+      },
+
+      anyAllPredicate: function (context) {
+        var newContext = __extend({}, context);
+        newContext.entityType = this.expr.dataType;
+        return { op: this.op.key, expr: this.expr.visit(context), pred: this.pred.visit(newContext) };
+      },
+
+      litExpr: function () {
+        return { value: this.value, dataType: getDataTypeName(this.dataType), hasExplicitDataType: !!this.hasExplicitDataType };
+      },
+
+      propExpr: function (context) {
+        var entityType = context.entityType;
+        var nameOnServer = (context.usesNameOnServer || !entityType) ? this.propertyPath : entityType.clientPropertyPathToServer(this.propertyPath);
+        return { propertyPath: this.propertyPath, nameOnServer: nameOnServer, dataType: getDataTypeName(this.dataType) };
+      },
+
+      fnExpr: function (context) {
+        // the type argument of an 'isof' or 'cast' is a type name rather than an expression.
+        var exprs = this.hasTypeArg ? this.exprs.slice(0, -1) : this.exprs;
+        var json = {
+          fnName: this.fnName, exprs: exprs.map(function (expr) {
+            return expr.visit(context);
+          }), dataType: getDataTypeName(this.dataType)
+        };
+        if (this.hasTypeArg) json.typeArg = getDataTypeName(this.typeArg);
+        return json;
+      },
+
+      arithExpr: function (context) {
+        return { op: this.op, expr1: this.expr1.visit(context), expr2: this.expr2.visit(context), dataType: getDataTypeName(this.dataType) };
+      }
+    };
+
+    // dataTypes may be a DataType, an EntityType or ComplexType, an unresolved type name or not yet known.
+    function getDataTypeName(dataType) {
+      if (dataType == null) return null;
+      return __isString(dataType) ? dataType : dataType.name;
+    }
+
+    return visitor;
+  }());
+
+  // Parses an OData $filter string into a Predicate tree.
+  var ODataFilterParser = (function () {
+
+    var ctor = function ODataFilterParser(source, entityType) {
+      this.source = source;
+      this.tokens = tokenize(source);
+      this.ix = 0;
+      this.entityType = entityType;
+      this.lambdaVar = null;
+    };
+    var proto = ctor.prototype;
+
+    proto.parse = function () {
+      var node = this.parseOrExpr();
+      if (this.ix < this.tokens.length) {
+        throw this.error("Unexpected token: '" + this.tokens[this.ix].text + "'");
+      }
+      return asPredicate(node, this);
+    };
+
+    proto.parseOrExpr = function () {
+      var node = this.parseAndExpr();
+      while (this.nextIsWord("or")) {
+        node = new AndOrPredicate("or", [asPredicate(node, this), asPredicate(this.parseAndExpr(), this)]);
+      }
+      return node;
+    };
+
+    proto.parseAndExpr = function () {
+      var node = this.parseNotExpr();
+      while (this.nextIsWord("and")) {
+        node = new AndOrPredicate("and", [asPredicate(node, this), asPredicate(this.parseNotExpr(), this)]);
+      }
+      return node;
+    };
+
+    proto.parseNotExpr = function () {
+      if (this.nextIsWord("not")) {
+        return new UnaryPredicate("not", asPredicate(this.parseNotExpr(), this));
+      }
+      return this.parseCmpExpr();
+    };
+
+    proto.parseCmpExpr = function () {
+      var node = this.parseAddExpr();
+      var token = this.peek();
+      var op = token && token.type === "word" && token.text.toLowerCase();
+      if (_comparisonOps[op]) {
+        this.ix++;
+        return toComparison(op, node, this.parseAddExpr(), this);
+      } else if (op === "in") {
+        this.ix++;
+        var values = this.parseList().map(function (item) {
+          if (!item.isLiteral) throw this.error("The 'in' operator only supports a list of literals");
+          return item.value;
+        }, this);
+        return new BinaryPredicate("in", asSource(node, this), values);
+      }
+      return node;
+    };
+
+    proto.parseAddExpr = function () {
+      var node = this.parseMulExpr();
+      var op;
+      while (op = this.nextIsWord("add", "sub")) {
+        node = new ArithExpr(op, asArithOperand(node, this), asArithOperand(this.parseMulExpr(), this));
+      }
+      return node;
+    };
+
+    proto.parseMulExpr = function () {
+      var node = this.parsePrimary();
+      var op;
+      while (op = this.nextIsWord("mul", "div", "mod")) {
+        node = new ArithExpr(op, asArithOperand(node, this), asArithOperand(this.parsePrimary(), this));
+      }
+      return node;
+    };
+
+    proto.parsePrimary = function () {
+      var token = this.next();
+      if (token == null) {
+        throw this.error("Unexpected end of expression");
+      }
+      if (token.type === "(") {
+        var node = this.parseOrExpr();
+        this.expect(")");
+        return node;
+      }
+      if (token.type === "literal") {
+        return token;
+      }
+      if (token.type !== "word") {
+        throw this.error("Unexpected token: '" + token.text + "'");
+      }
+      var word = token.text.toLowerCase();
+      if (_keywordLiterals.hasOwnProperty(word)) {
+        return { isLiteral: true, value: _keywordLiterals[word], dataType: null };
+      }
+      if (this.peekType("(")) {
+        return { isCall: true, fnName: word, args: this.parseList(_typeArgFns[word]) };
+      }
+      return this.parseMemberPath(token.text);
+    };
+
+    proto.parseMemberPath = function (firstSegment) {
+      var segments = [firstSegment];
+      while (this.peekType("/")) {
+        this.ix++;
+        var segment = this.expect("word").text;
+        var anyAllOp = segment.toLowerCase();
+        if ((anyAllOp === "any" || anyAllOp === "all") && this.peekType("(")) {
+          return this.parseLambda(anyAllOp, segments);
+        }
+        segments.push(segment);
+      }
+      return new PropExpr(this.toClientPath(segments));
+    };
+
+    // i.e. Orders/any(x: x/Freight gt 100)
+    proto.parseLambda = function (op, segments) {
+      var navPath = this.toClientPath(segments);
+      var props = this.entityType && !this.entityType.isAnonymous && this.entityType.getPropertiesOnPath(navPath, false, true);
+      var lambdaType = props ? props[props.length - 1].entityType : null;
+      this.expect("(");
+      var lambdaVar = this.expect("word").text;
+      this.expect(":");
+      var entityType = this.entityType;
+      var outerLambdaVar = this.lambdaVar;
+      this.entityType = lambdaType;
+      this.lambdaVar = lambdaVar;
+      var pred = asPredicate(this.parseOrExpr(), this);
+      this.entityType = entityType;
+      this.lambdaVar = outerLambdaVar;
+      this.expect(")");
+      return new AnyAllPredicate(op, navPath, pred);
+    };
+
+    proto.parseList = function (hasTypeArg) {
+      this.expect("(");
+      var items = [];
+      if (!this.peekType(")")) {
+        items.push(this.parseListItem(hasTypeArg));
+        while (this.peekType(",")) {
+          this.ix++;
+          items.push(this.parseListItem(hasTypeArg));
+        }
+      }
+      this.expect(")");
+      return items;
+    };
+
+    proto.parseListItem = function (hasTypeArg) {
+      var token = this.peek();
+      var nextToken = this.tokens[this.ix + 1];
+      // OData v4 type names are unquoted, i.e. isof(Billing.Models.BankAccount).
+      if (hasTypeArg && token && token.type === "word" && nextToken && nextToken.type === ")") {
+        this.ix++;
+        return { isLiteral: true, value: token.text, dataType: DataType.String };
+      }
+      return this.parseOrExpr();
+    };
+
+    proto.toClientPath = function (segments) {
+      if (this.lambdaVar && segments[0] === this.lambdaVar) {
+        segments = segments.slice(1);
+      }
+      var serverPath = segments.join("/");
+      if (!this.entityType) {
+        return segments.join(".");
+      }
+      return this.entityType.serverPropertyPathToClient(serverPath, "/");
+    };
+
+    proto.peek = function () {
+      return this.tokens[this.ix];
+    };
+
+    proto.peekType = function (type) {
+      var token = this.tokens[this.ix];
+      return token != null && token.type === type;
+    };
+
+    proto.next = function () {
+      return this.tokens[this.ix++];
+    };
+
+    // consumes the next token if it is one of the specified words and returns the word.
+    proto.nextIsWord = function () {
+      var token = this.tokens[this.ix];
+      if (token == null || token.type !== "word") return null;
+      var word = token.text.toLowerCase();
+      if (__arraySlice(arguments).indexOf(word) < 0) return null;
+      this.ix++;
+      return word;
+    };
+
+    proto.expect = function (type) {
+      var token = this.next();
+      if (token == null || token.type !== type) {
+        throw this.error("Expected '" + type + "' but found: " + (token ? "'" + token.text + "'" : "the end of the expression"));
+      }
+      return token;
+    };
+
+    proto.error = function (msg) {
+      return new Error("Unable to parse the OData filter: '" + this.source + "'. " + msg);
+    };
+
+    var _comparisonOps = { eq: "eq", ne: "ne", lt: "lt", le: "le", gt: "gt", ge: "ge" };
+    var _reversedOps = { eq: "eq", ne: "ne", lt: "gt", le: "ge", gt: "lt", ge: "le" };
+    var _keywordLiterals = { "true": true, "false": false, "null": null };
+    // OData string functions that map onto binary predicate operators; the 'find' arg position differs.
+    var _stringFnOps = {
+      substringof: { op: "contains", sourceIx: 1, findIx: 0 },
+      contains: { op: "contains", sourceIx: 0, findIx: 1 },
+      startswith: { op: "startswith", sourceIx: 0, findIx: 1 },
+      endswith: { op: "endswith", sourceIx: 0, findIx: 1 }
+    };
+    var _typedLiterals = {
+      datetime: DataType.DateTime,
+      datetimeoffset: DataType.DateTimeOffset,
+      time: DataType.Time,
+      duration: DataType.Time,
+      guid: DataType.Guid,
+      binary: DataType.Binary,
+      x: DataType.Binary
+    };
+    var _typeArgFns = { isof: true, cast: true };
+    var _numberSuffixes = { m: DataType.Decimal, d: DataType.Double, f: DataType.Single, l: DataType.Int64 };
+
+    var RX_WHITESPACE = /^\s+/;
+    var RX_STRING = /^'((?:[^']|'')*)'/;
+    var RX_TYPED_LITERAL = /^([a-z]+)'((?:[^']|'')*)'/i;
+    var RX_GUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(?![\w-])/i;
+    var RX_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?/;
+    var RX_NUMBER = /^-?\d+(\.\d+)?([eE][-+]?\d+)?([mMdDfFlL])?(?![\w.])/;
+    var RX_WORD = /^[a-z_$][\w.]*/i;
+
+    function tokenize(source) {
+      var tokens = [];
+      var rest = source;
+      var m;
+      while (rest.length) {
+        if (m = RX_WHITESPACE.exec(rest)) {
+          // skip
+        } else if (m = RX_STRING.exec(rest)) {
+          tokens.push({ type: "literal", isLiteral: true, text: m[0], value: m[1].replace(/''/g, "'"), dataType: DataType.String });
+        } else if (m = RX_TYPED_LITERAL.exec(rest)) {
+          var dataType = _typedLiterals[m[1].toLowerCase()];
+          if (!dataType) {
+            throw new Error("Unable to parse the OData filter: '" + source + "'. Unknown literal type: " + m[1]);
+          }
+          tokens.push({ type: "literal", isLiteral: true, text: m[0], value: m[2].replace(/''/g, "'"), dataType: dataType });
+        } else if (m = RX_GUID.exec(rest)) {
+          tokens.push({ type: "literal", isLiteral: true, text: m[0], value: m[0], dataType: DataType.Guid });
+        } else if (m = RX_DATE.exec(rest)) {
+          tokens.push({ type: "literal", isLiteral: true, text: m[0], value: m[0], dataType: DataType.DateTime });
+        } else if (m = RX_NUMBER.exec(rest)) {
+          var suffix = m[3] && m[3].toLowerCase();
+          var numText = suffix ? m[0].substr(0, m[0].length - 1) : m[0];
+          // an unsuffixed number's type is inferred from the other side of the expression.
+          tokens.push({ type: "literal", isLiteral: true, text: numText, value: parseFloat(numText), dataType: suffix ? _numberSuffixes[suffix] : null });
+        } else if (m = RX_WORD.exec(rest)) {
+          tokens.push({ type: "word", text: m[0] });
+        } else if ("()/,:".indexOf(rest.charAt(0)) >= 0) {
+          m = [rest.charAt(0)];
+          tokens.push({ type: m[0], text: m[0] });
+        } else {
+          throw new Error("Unable to parse the OData filter: '" + source + "'. Unexpected character: '" + rest.charAt(0) + "'");
+        }
+        rest = rest.substr(m[0].length);
+      }
+      return tokens;
+    }
+
+    function toComparison(op, node1, node2, parser) {
+      // i.e. startswith(CompanyName,'A') eq true
+      if (node1.isCall && _stringFnOps[node1.fnName] && node2.isLiteral && typeof node2.value === "boolean") {
+        var pred = asPredicate(node1, parser);
+        return (node2.value === (op === "eq")) ? pred : pred.not();
+      }
+      // the lhs of a BinaryPredicate cannot be a literal.
+      if (node1.isLiteral && !node2.isLiteral) {
+        return toComparison(_reversedOps[op], node2, node1, parser);
+      }
+      return new BinaryPredicate(op, asSource(node1, parser), asSource(node2, parser));
+    }
+
+    function asPredicate(node, parser) {
+      if (node instanceof Predicate) return node;
+      if (node.isCall) {
+        var stringFnOp = _stringFnOps[node.fnName];
+        if (stringFnOp) {
+          var source = asSource(node.args[stringFnOp.sourceIx], parser);
+          var find = asSource(node.args[stringFnOp.findIx], parser);
+          return new BinaryPredicate(stringFnOp.op, source, find);
+        }
+      }
+      if (node.isLiteral) {
+        throw parser.error("A literal cannot be used as a boolean expression: " + node.value);
+      }
+      // a boolean property or function
+      return new BinaryPredicate("eq", asExpr(node, parser), true);
+    }
+
+    // returns something that BinaryPredicate will accept as either of its expressions.
+    function asSource(node, parser) {
+      if (node.isLiteral) {
+        // untyped literals have their dataTypes inferred by the BinaryPredicate.
+        return node.dataType ? { value: node.value, dataType: node.dataType } : node.value;
+      }
+      return asExpr(node, parser);
+    }
+
+    function asExpr(node, parser) {
+      if (node instanceof Predicate) {
+        throw parser.error("A boolean expression cannot be used here");
+      }
+      if (node.isLiteral) {
+        return new LitExpr(node.value, node.dataType, !!node.dataType);
+      }
+      if (node.isCall) {
+        var fnName = resolveFnName(node.fnName, parser);
+        return new FnExpr(fnName, node.args.map(function (arg) {
+          return asExpr(arg, parser);
+        }));
+      }
+      return node;
+    }
+
+    function asArithOperand(node, parser) {
+      // unsuffixed numbers are typed by the ArithExpr itself.
+      if (node.isLiteral && node.dataType == null && typeof node.value === "number") {
+        return new LitExpr(node.text, DataType.Undefined);
+      }
+      return asExpr(node, parser);
+    }
+
+    function resolveFnName(fnName, parser) {
+      var funcMap = FnExpr.funcMap;
+      if (funcMap[fnName]) return fnName;
+      // registered functions may be known to the server by a different name.
+      var key = __arrayFirst(Object.keys(funcMap), function (k) {
+        var odataName = funcMap[k].odataName;
+        return odataName && odataName.toLowerCase() === fnName;
+      });
+      if (key == null) {
+        throw parser.error("Unknown function: " + fnName);
+      }
+      return key;
+    }
+
+    return ctor;
+  })();
+
+
   return Predicate;
 
 })();
@@ -29,13 +29,18 @@
     this.resourceName = resourceName;
     this.fromEntityType = null;
     this.wherePredicate = null;
+    this.searchClause = null;
     this.orderByClause = null;
     this.selectClause = null;
     this.skipCount = null;
     this.takeCount = null;
+    this.keysetClause = null;
     this.expandClause = null;
+    this.groupByClause = null;
+    this.aggregateClause = null;
     this.parameters = {};
     this.inlineCountEnabled = false;
+    this.countOnlyEnabled = false;
     this.noTrackingEnabled = false;
     // default is to get queryOptions and dataService from the entityManager.
     // this.queryOptions = new QueryOptions();
@@ -77,6 +82,13 @@
   @property wherePredicate {Predicate}
   **/
 
+  /**
+  The free text search, added via the 'search' method, used by this query.
+
+  __readOnly__
+  @property searchClause {SearchClause}
+  **/
+
   /**
   The {{#crossLink "OrderByClause"}}{{/crossLink}} used by this query.
 
@@ -98,6 +110,27 @@
   @property takeCount {Integer}
   **/
 
+  /**
+  The position, added via the 'after' or 'before' methods, that the results of this query will be paged from.
+
+  __readOnly__
+  @property keysetClause {KeysetClause}
+  **/
+
+  /**
+  The property paths that the results of this query will be grouped by, added via the 'groupBy' method.
+
+  __readOnly__
+  @property groupByClause {GroupByClause}
+  **/
+
+  /**
+  The aggregate projections ( count, sum, min, max, average) added to this query via the 'aggregate' method.
+
+  __readOnly__
+  @property aggregateClause {AggregateClause}
+  **/
+
   /**
   Any additional parameters that were added to the query via the 'withParameters' method.
 
@@ -238,6 +271,42 @@
     return clone(this, "wherePredicate", wherePredicate);
   };
 
+  /**
+  Returns a new query that only returns the entities that match every word, or "quoted phrase", of a free text search.
+  Words are matched case-insensitively against any of the specified string properties; all of the string properties of the
+  query's EntityType are searched when none are specified. Any existing search is replaced.
+  @example
+      var query = new EntityQuery("Customers")
+        .search("bakery \"new york\"", { properties: ["CompanyName", "City"] });
+  A search is sent to an OData server as '$search' and to a JSON server as a 'search' element. OData has no syntax
+  for the 'properties' so these are only applied locally or by a JSON server.
+  @method search
+  @param text {String} The words or "quoted phrases" to search for.
+  If 'text' is either null or omitted then any existing search on the query is removed.
+  @param [options] {Object}
+  @param [options.properties] {String|Array of String} The property paths of the string properties to search.
+  @return {EntityQuery}
+  @chainable
+  **/
+  proto.search = function (text, options) {
+    assertParam(text, "text").isOptional().isString().check();
+    if (!text || !text.trim()) {
+      return clone(this, "searchClause", null);
+    }
+    var config = { text: text };
+    if (options != null) {
+      assertConfig(options)
+          .whereParam("properties").isOptional().isString().or().isArray().isString()
+          .applyAll(config);
+    }
+    if (config.properties != null) {
+      config.properties = normalizePropertyPaths(config.properties);
+    }
+    var searchClause = new SearchClause(config);
+    if (this.fromEntityType) searchClause.validate(this.fromEntityType);
+    return clone(this, "searchClause", searchClause);
+  };
+
   /**
   Returns a new query that orders the results of the query by property name.  By default sorting occurs is ascending order, but sorting in descending order is supported as well.
   OrderBy clauses may be chained.
@@ -264,18 +333,34 @@
   @example
       var query = new EntityQuery("Customers")
         .orderBy("Region desc, CompanyName desc");
+
+  Where null values sort and how strings are compared can be controlled either with an options object or by adding
+  'nulls first', 'nulls last' or 'collate <locale>' after the sort direction of any property path.
+  @example
+      var query = new EntityQuery("Customers")
+        .orderBy("CompanyName", { nullsFirst: true, collation: "de" });
+  or
+  @example
+      var query = new EntityQuery("Customers")
+        .orderBy("Region desc nulls last, CompanyName collate de");
   @method orderBy
   @param propertyPaths {String|Array of String} A comma-separated (',') string of property paths or an array of property paths.
   Each property path can optionally end with " desc" to force a descending sort order. If 'propertyPaths' is either null or omitted then all ordering is removed.
-  @param isDescending {Boolean} - If specified, overrides all of the embedded 'desc' tags in the previously specified property paths.
+  @param [options] {Boolean|Object} - Either an 'isDescending' flag or an options object. Any option that is specified overrides the
+  corresponding embedded tags in the previously specified property paths.
+  @param [options.isDescending] {Boolean} Whether to sort in descending order.
+  @param [options.nullsFirst] {Boolean} Whether null values sort before ( true ) or after ( false ) every other value regardless of the
+  sort direction. By default, nulls sort as if they were the lowest value for strings and are left to the server elsewhere.
+  @param [options.collation] {String} A BCP 47 locale used to compare string values ( with an 'Intl.Collator' when executed locally ).
+  Null ordering and collations are sent to the server by the JSON uriBuilder but cannot be expressed in OData and are only applied locally.
   @return {EntityQuery}
   @chainable
   **/
-  proto.orderBy = function (propertyPaths, isDescending) {
+  proto.orderBy = function (propertyPaths, options) {
     // propertyPaths: can pass in create("A.X,B") or create("A.X desc, B") or create("A.X desc,B", true])
     // isDesc parameter trumps isDesc in propertyName.
-
-    var orderByClause = propertyPaths == null ? null : new OrderByClause(normalizePropertyPaths(propertyPaths), isDescending);
+    options = normalizeOrderByOptions(options);
+    var orderByClause = propertyPaths == null ? null : new OrderByClause(normalizePropertyPaths(propertyPaths), options.isDescending, options);
     if (this.orderByClause && orderByClause) {
       orderByClause = new OrderByClause([this.orderByClause, orderByClause]);
     }
@@ -301,11 +386,12 @@
   @method orderByDesc
   @param propertyPaths {String|Array of String} A comma-separated (',') string of property paths or an array of property paths.
   If 'propertyPaths' is either null or omitted then all ordering is removed.
+  @param [options] {Object} The 'nullsFirst' and 'collation' options described for {{#crossLink "EntityQuery/orderBy"}}{{/crossLink}}.
   @return {EntityQuery}
   @chainable
   **/
-  proto.orderByDesc = function (propertyPaths) {
-    return this.orderBy(propertyPaths, true);
+  proto.orderByDesc = function (propertyPaths, options) {
+    return this.orderBy(propertyPaths, __extend(normalizeOrderByOptions(options), { isDescending: true }));
   };
   
   /**
@@ -338,14 +424,29 @@
       var query = EntityQuery("Orders")
         .where("Customer.CompanyName", "startsWith", "C")
         .select("Customer.CompanyName, Customer, OrderDate");
+  A path thru a navigation collection returns the values from each of its entities, and a projected navigation property
+  may be filtered, ordered, paged and itself projected.
+  @example
+      var query = EntityQuery("Customers")
+        .select(["CompanyName", "Orders.OrderDetails.ProductID", { Orders: { where: { Freight: { gt: 100 } }, orderBy: "OrderDate desc", top: 5, select: "OrderID, Freight" } }]);
   @method select
-  @param propertyPaths {String|Array of String} A comma-separated (',') string of property paths or an array of property paths.
+  @param propertyPaths {String|Array of String|Object} A comma-separated (',') string of property paths or an array of property paths.
+  An object that maps navigation property paths to their nested options may be used in place of any property path.
   If 'propertyPaths' is either null or omitted then any existing projection on the query is removed.
+  @param [options] {Object} Nested options that apply to each of the navigation properties in 'propertyPaths'.
+  @param [options.where] {Predicate|Object} Filters the entities of the navigation property.
+  @param [options.orderBy] {String|Array of String} Orders the entities of the navigation property.
+  @param [options.skip] {Number}
+  @param [options.top] {Number} Same as 'take'.
+  @param [options.select] {String|Array of String|Object} Projects the entities of the navigation property.
   @return {EntityQuery}
   @chainable
   **/
-  proto.select = function (propertyPaths) {
-    var selectClause = propertyPaths == null ? null : new SelectClause(normalizePropertyPaths(propertyPaths));
+  proto.select = function (propertyPaths, options) {
+    var selectClause = propertyPaths == null ? null : new SelectClause(normalizeNestedPaths(propertyPaths), options);
+    if (selectClause && this._isGrouped()) {
+      throw new Error("A 'select' clause cannot be combined with a 'groupBy' or 'aggregate' clause");
+    }
     return clone(this, "selectClause", selectClause);
   };
   
@@ -398,7 +499,59 @@
     assertParam(count, "count").isOptional().isNumber().check();
     return clone(this, "takeCount", (count == null) ? null : count);
   };
-  
+
+  /**
+  Returns a new query that returns only the entities that sort after the specified position - i.e. keyset or 'cursor' paging.
+  The position is described by the values of each of the query's 'orderBy' property paths followed by the values of any
+  key properties not already in the 'orderBy' clause. The key properties are also appended to the ordering of the query so that the
+  paging is stable. Unlike 'skip', the page returned does not shift when entities are added or removed before it.
+
+  The 'orderBy' clause must be added before calling this method. An empty array starts paging from the beginning, in the same stable order.
+  Null values are paged as the lowest values unless an orderBy item specifies 'nullsFirst'; an orderBy item with a 'collation' cannot be paged thru.
+  @example
+      var query = new EntityQuery("Customers")
+        .orderBy("CompanyName")
+        .take(20)
+        .after([]);
+      // lastCustomer is the last customer returned by the previous page.
+      var nextQuery = query.after(lastCustomer);
+  The 'continuationToken' returned with a full page of query results may be used instead of an entity
+  @example
+      em.executeQuery(query).then(function (data) {
+          var nextQuery = query.after(data.continuationToken);
+      });
+  or the values may be passed directly
+  @example
+      var nextQuery = query.after(["Wartian Herkku", "C4E1A2B3-0000-0000-0000-000000000000"]);
+  @method after
+  @param entityOrKeyValues {Entity|Array of Object|String} An entity, an array of the 'orderBy' and key property values or a continuation token.
+  If 'entityOrKeyValues' is either null or omitted then any existing 'after' or 'before' clause on the query is removed.
+  @return {EntityQuery}
+  @chainable
+  **/
+  proto.after = function (entityOrKeyValues) {
+    return setKeyset(this, entityOrKeyValues, false);
+  };
+
+  /**
+  Returns a new query that returns only the entities that sort before the specified position. This is the reverse of the 'after' method;
+  the 'take' count is applied to the entities immediately before the position and the results are still returned in the query's order.
+  @example
+      var query = new EntityQuery("Customers")
+        .orderBy("CompanyName")
+        .take(20);
+      // firstCustomer is the first customer returned by the current page.
+      var prevQuery = query.before(firstCustomer);
+  @method before
+  @param entityOrKeyValues {Entity|Array of Object|String} An entity, an array of the 'orderBy' and key property values or a continuation token.
+  If 'entityOrKeyValues' is either null or omitted then any existing 'after' or 'before' clause on the query is removed.
+  @return {EntityQuery}
+  @chainable
+  **/
+  proto.before = function (entityOrKeyValues) {
+    return setKeyset(this, entityOrKeyValues, true);
+  };
+
   /**
   Returns a new query that will return related entities nested within its results. The expand method allows you to identify related entities, via navigation property
   names such that a graph of entities may be retrieved with a single request. Any filtering occurs before the results are 'expanded'.
@@ -415,18 +568,93 @@
   @example
       var query = new EntityQuery("Orders")
         .expand("Customer, OrderDetails, OrderDetails.Product")
+  The expanded entities may also be filtered, ordered, paged and projected ( OData v4 only ). A filtered or paged navigation
+  property is not marked as loaded because it may not contain all of its related entities.
+  @example
+      var query = new EntityQuery("Customers")
+        .expand("Orders", { where: Predicate.create("Freight", ">", 100), orderBy: "OrderDate desc", top: 5, expand: "OrderDetails" });
   @method expand
-  @param propertyPaths {String|Array of String} A comma-separated list of navigation property names or an array of navigation property names. Each Navigation Property name can be followed
+  @param propertyPaths {String|Array of String|Object} A comma-separated list of navigation property names or an array of navigation property names. Each Navigation Property name can be followed
   by a '.' and another navigation property name to enable identifying a multi-level relationship.
+  An object that maps navigation property paths to their nested options may be used in place of any property path.
   If 'propertyPaths' is either null or omitted then any existing 'expand' clause on the query is removed.
+  @param [options] {Object} Nested options that apply to each of the navigation properties in 'propertyPaths'.
+  @param [options.where] {Predicate|Object} Filters the expanded entities.
+  @param [options.orderBy] {String|Array of String} Orders the expanded entities.
+  @param [options.skip] {Number}
+  @param [options.top] {Number} Same as 'take'.
+  @param [options.select] {String|Array of String|Object} Projects the expanded entities.
+  @param [options.expand] {String|Array of String|Object} Navigation properties of the expanded entities to expand in turn.
   @return {EntityQuery}
   @chainable
   **/
-  proto.expand = function (propertyPaths) {
-    var expandClause = propertyPaths == null ? null : new ExpandClause(normalizePropertyPaths(propertyPaths));
+  proto.expand = function (propertyPaths, options) {
+    var expandClause = propertyPaths == null ? null : new ExpandClause(normalizeNestedPaths(propertyPaths), options);
     return clone(this, "expandClause", expandClause);
   };
-  
+
+  /**
+  Returns a new query that groups the results of the query by one or more property paths.  Each result of a grouped query
+  is a simple javascript object containing the values of the grouping properties along with any aggregates added via the
+  'aggregate' method.  Any 'where' clause is applied before the grouping and any 'orderBy', 'skip' or 'take' clauses are
+  applied to the grouped results.
+  @example
+      var query = new EntityQuery("Orders")
+        .where("Freight", ">", 100)
+        .groupBy("ShipCity")
+        .aggregate("sum", "Freight", "TotalFreight")
+        .orderBy("TotalFreight desc");
+  will return one object per ship city, each with a 'ShipCity' and a 'TotalFreight' property.
+  Nested property paths are also supported, in which case the '.'s in the path are replaced with '_'s in the result.
+  @example
+      var query = new EntityQuery("Orders")
+        .groupBy("Customer.Country, ShipCity")
+        .aggregate("count", null, "OrderCount");
+  @method groupBy
+  @param propertyPaths {String|Array of String} A comma-separated (',') string of property paths or an array of property paths.
+  If 'propertyPaths' is either null or omitted then any existing 'groupBy' clause on the query is removed.
+  @return {EntityQuery}
+  @chainable
+  **/
+  proto.groupBy = function (propertyPaths) {
+    var groupByClause = propertyPaths == null ? null : new GroupByClause(normalizePropertyPaths(propertyPaths));
+    if (groupByClause) checkCanGroup(this);
+    return clone(this, "groupByClause", groupByClause);
+  };
+
+  /**
+  Returns a new query with an added aggregate projection. Can be called multiple times to add multiple aggregates or can be
+  called with null to clear all aggregates.  If the query also has a 'groupBy' clause then each aggregate is computed per group,
+  otherwise a single result containing the aggregates across all of the entities that satisfy the query is returned.
+  @example
+      var query = new EntityQuery("Orders")
+        .groupBy("EmployeeID")
+        .aggregate("count", null, "OrderCount")
+        .aggregate("average", "Freight", "AvgFreight")
+        .aggregate("max", "OrderDate", "LastOrderDate");
+  @method aggregate
+  @param aggregateFn {String} One of 'count', 'sum', 'min', 'max' or 'average' ( 'avg' is accepted as an alias).
+  @param [propertyPath] {String} The property path to aggregate. Must be null or omitted for 'count', which counts the entities in each group.
+  @param [alias] {String} The name of the property that will hold the aggregate value in each result.  Defaults to
+  the function name and the property path joined with a '_', i.e. 'sum_Freight'.
+  @return {EntityQuery}
+  @chainable
+  **/
+  proto.aggregate = function (aggregateFn, propertyPath, alias) {
+    if (aggregateFn == null) {
+      return clone(this, "aggregateClause", null);
+    }
+    assertParam(aggregateFn, "aggregateFn").isString().check();
+    assertParam(propertyPath, "propertyPath").isOptional().isString().check();
+    assertParam(alias, "alias").isOptional().isString().check();
+    checkCanGroup(this);
+    var aggregateClause = new AggregateClause(aggregateFn, propertyPath, alias);
+    if (this.aggregateClause) {
+      aggregateClause = new AggregateClause([this.aggregateClause, aggregateClause]);
+    }
+    return clone(this, "aggregateClause", aggregateClause);
+  };
+
   /**
   Returns a new query that includes a collection of parameters to pass to the server.
   @example
@@ -478,6 +706,39 @@
     return clone(this, "inlineCountEnabled", enabled);
   };
 
+  /**
+  Returns a query with the 'count' capability either enabled or disabled.  With 'count' enabled, executing the query will
+  return only the number of entities that satisfy the query's 'where'/'filter' clauses instead of the entities themselves.
+  Any 'orderBy', 'select', 'expand', 'skip' or 'take' clauses are ignored.  Remote OData queries are sent to the
+  resource's '$count' endpoint and local queries skip the sorting and projection steps entirely.
+
+  @example
+      var query = new EntityQuery("Customers")
+        .where("CompanyName", "startsWith", "C")
+        .count();
+      em.executeQuery(query).then(function (data) {
+          var count = data.count;
+      });
+  or more simply
+  @example
+      em.executeQueryCount(query).then(function (count) {
+          ...
+      });
+  or against the local cache
+  @example
+      var count = em.executeQueryLocallyCount(query);
+
+  @method count
+  @param enabled {Boolean=true} Whether or not the count capability should be enabled. If this parameter is omitted, true is assumed.
+  @return {EntityQuery}
+  @chainable
+  **/
+  proto.count = function (enabled) {
+    assertParam(enabled, "enabled").isBoolean().isOptional().check();
+    enabled = (enabled === undefined) ? true : !!enabled;
+    return clone(this, "countOnlyEnabled", enabled);
+  };
+
   proto.useNameOnServer = function(usesNameOnServer) {
     assertParam(usesNameOnServer, "usesNameOnServer").isBoolean().isOptional().check();
     usesNameOnServer = (usesNameOnServer === undefined) ? true : !!usesNameOnServer;
@@ -504,6 +765,33 @@
     enabled = (enabled === undefined) ? true : !!enabled;
     return clone(this, "noTrackingEnabled", enabled);
   };
+
+  /**
+  Returns a query that is cancelled when the specified signal is aborted. This is a shortcut for setting the
+  {{#crossLink "QueryOptions/signal"}}{{/crossLink}} of the query's QueryOptions.
+
+  @example
+      var controller = new AbortController();
+      var query = new EntityQuery("Customers")
+        .where("CompanyName", "startsWith", searchText)
+        .withCancellation(controller.signal);
+      em.executeQuery(query).then(...).catch(function (err) {
+          if (err.isCancelled) return; // a newer search superseded this one.
+      });
+      // later
+      controller.abort();
+
+  @method withCancellation
+  @param signal {AbortSignal} An AbortSignal ( or any object with an 'aborted' property and 'addEventListener'/'removeEventListener' methods).
+  If 'signal' is either null or omitted then any existing signal on the query is removed.
+  @return {EntityQuery}
+  @chainable
+  **/
+  proto.withCancellation = function (signal) {
+    assertParam(signal, "signal").isObject().isOptional().check();
+    var queryOptions = (this.queryOptions || new QueryOptions()).using({ signal: signal || null });
+    return clone(this, "queryOptions", queryOptions);
+  };
   
   /**
   Returns a copy of this EntityQuery with the specified {{#crossLink "EntityManager"}}{{/crossLink}}, {{#crossLink "DataService"}}{{/crossLink}},
@@ -598,6 +886,7 @@
   items that would have been returned by the query before applying any skip or take operators, but after any filter/where predicates
   would have been applied.
   @param callback.data.retrievedEntities {Array of Entity} All entities returned by the query.  Differs from results when .expand() is used.
+  @param callback.data.count {Integer} Only available if 'count()' was applied to the query, in which case it replaces the 'results'.
 
   @param errorCallback {Function} Function called on failure.
 
@@ -641,7 +930,14 @@
     context = context || {};
     context.entityType = context.entityType || this.fromEntityType;
     context.propertyPathFn = context.toNameOnServer ? context.entityType.clientPropertyPathToServer.bind(context.entityType) : __identity;
-    
+    if (context.toNameOnServer && this._isGrouped()) {
+      // orderBy clauses on a grouped query may refer to aggregate aliases which are not properties.
+      var entityType = context.entityType;
+      context.propertyPathFn = function (pp) {
+        return entityType.getProperty(pp) ? entityType.clientPropertyPathToServer(pp) : pp;
+      };
+    }
+
     var that = this;
     
     var toJSONExtFn = function (v) {
@@ -654,15 +950,20 @@
         return v ? (__isString(v) ? v : v.name) : undefined;
       },
       "where,wherePredicate": toJSONExtFn,
+      "search,searchClause": toJSONExtFn,
       "orderBy,orderByClause": toJSONExtFn,
       "select,selectClause": toJSONExtFn,
       "expand,expandClause": toJSONExtFn,
+      "groupBy,groupByClause": toJSONExtFn,
+      "aggregate,aggregateClause": toJSONExtFn,
       "skip,skipCount": null,
       "take,takeCount": null,
+      "keyset,keysetClause": toJSONExtFn,
       parameters: function (v) {
         return __isEmpty(v) ? undefined : v;
       },
       "inlineCount,inlineCountEnabled": false,
+      "count,countOnlyEnabled": false,
       "noTracking,noTrackingEnabled": false,
       queryOptions: null
     });
@@ -677,6 +978,9 @@
       "wherePredicate,where": function (v) {
         return v ? new Predicate(v) : undefined;
       },
+      "searchClause,search": function (v) {
+        return v ? new SearchClause(v) : undefined;
+      },
       "orderByClause,orderBy": function (v) {
         return v ? new OrderByClause(v) : undefined;
       },
@@ -686,12 +990,22 @@
       "expandClause,expand": function (v) {
         return v ? new ExpandClause(v) : undefined;
       },
+      "groupByClause,groupBy": function (v) {
+        return v ? new GroupByClause(v) : undefined;
+      },
+      "aggregateClause,aggregate": function (v) {
+        return v ? new AggregateClause(v) : undefined;
+      },
       "skipCount,skip": null,
       "takeCount,take": null,
+      "keysetClause,keyset": function (v) {
+        return v ? new KeysetClause(v) : undefined;
+      },
       parameters: function (v) {
         return __isEmpty(v) ? undefined : v;
       },
       "inlineCountEnabled,inlineCount": false,
+      "countOnlyEnabled,count": false,
       "noTrackingEnabled,noTracking": false,
       queryOptions: function (v) {
         return v ? QueryOptions.fromJSON(v) : undefined;
@@ -800,6 +1114,75 @@
     var em = entity.entityAspect.entityManager;
     return em ? q.using(em) : q;
   };
+
+  /**
+  Creates an EntityQuery from an OData uri, i.e. a resource name followed by OData query options. The $filter, $orderby,
+  $select and $expand options are parsed into the corresponding clauses so that the query can also be executed locally.
+  Server property names in the uri are converted into client property names. The nested $filter, $orderby, $skip, $top, $select
+  and $expand options of a $select or $expand path, i.e. "Orders($top=5;$expand=OrderDetails)", are also parsed.
+  @example
+      var query = EntityQuery.fromODataUri("Customers?$filter=startswith(CompanyName,'C') eq true&$orderby=City desc&$top=10",
+          em.metadataStore);
+      var customers = em.executeQueryLocally(query);
+  @method fromODataUri
+  @static
+  @param uri {String} A resource name followed by any number of $filter, $orderby, $select, $expand, $skip, $top and $inlinecount
+  query options.  Any query options without a '$' prefix are treated as parameters.
+  @param [metadataStore] {MetadataStore} Used to find the EntityType for the resource so that property names can be converted.
+  @return {EntityQuery}
+  @chainable
+  **/
+  ctor.fromODataUri = function (uri, metadataStore) {
+    assertParam(uri, "uri").isNonEmptyString().check();
+    assertParam(metadataStore, "metadataStore").isInstanceOf(MetadataStore).isOptional().check();
+    var ix = uri.indexOf("?");
+    var q = new EntityQuery(ix >= 0 ? uri.substr(0, ix) : uri);
+    var entityType = metadataStore ? q._getFromEntityType(metadataStore, false) : null;
+
+    var parameters = {};
+    var queryString = ix >= 0 ? uri.substr(ix + 1) : "";
+    queryString.split("&").forEach(function (option) {
+      if (!option) return;
+      var eqIx = option.indexOf("=");
+      var name = decodeODataComponent(eqIx >= 0 ? option.substr(0, eqIx) : option);
+      var value = eqIx >= 0 ? decodeODataComponent(option.substr(eqIx + 1)) : "";
+      switch (name.toLowerCase()) {
+        case "$filter":
+          q = q.where(Predicate.fromODataFilter(value, entityType || undefined));
+          break;
+        case "$orderby":
+          q = q.orderBy(parseODataOrderBy(value, entityType));
+          break;
+        case "$select":
+          q = q.select(parseODataNestedPaths(value, entityType));
+          break;
+        case "$expand":
+          q = q.expand(parseODataNestedPaths(value, entityType));
+          break;
+        case "$skip":
+          q = q.skip(parseInt(value, 10));
+          break;
+        case "$top":
+          q = q.take(parseInt(value, 10));
+          break;
+        case "$inlinecount":
+          q = q.inlineCount(value === "allpages");
+          break;
+        case "$count":
+          q = q.inlineCount(value === "true");
+          break;
+        default:
+          if (name.substr(0, 1) === "$") {
+            throw new Error("Unsupported OData query option: " + name);
+          }
+          parameters[name] = value;
+      }
+    });
+    if (!__isEmpty(parameters)) {
+      q = q.withParameters(parameters);
+    }
+    return q;
+  };
   
   // protected methods
   
@@ -857,11 +1240,46 @@
     } else {
       // resolve it, if possible, via the resourceName
       // do not cache this value in this case
-      // cannot determine the resultEntityType if a selectClause is present.
-      return skipFromCheck ? null : (!this.selectClause) && this._getFromEntityType(metadataStore, false);
+      // cannot determine the resultEntityType if a selectClause or a grouping is present.
+      return skipFromCheck ? null : (!this.selectClause && !this._isGrouped()) && this._getFromEntityType(metadataStore, false);
     }
   };
   
+  // true if the results of this query are groups/aggregates instead of entities.
+  proto._isGrouped = function () {
+    return !!(this.groupByClause || this.aggregateClause);
+  };
+
+  // returns an equivalent query with any 'after' or 'before' clause converted into a 'where' predicate and an 'orderBy' clause.
+  // a 'before' query is ordered in reverse so its results need to be reversed after the 'take' is applied.
+  proto._expandKeyset = function (entityType) {
+    var keysetClause = this.keysetClause;
+    if (!keysetClause) return this;
+    var items = getKeysetItems(this, entityType);
+    var predicate = keysetClause.toPredicate(items);
+    var orderByClause = new OrderByClause(items.map(function (item) {
+      // reversing a 'before' query also moves its nulls to the other end.
+      var nullsFirst = (item.nullsFirst == null) ? null : (item.nullsFirst !== keysetClause.isBefore);
+      return formatOrderByItem(item.propertyPath, item.isDesc !== keysetClause.isBefore, nullsFirst, item.collation);
+    }));
+    var eq = clone(this, "keysetClause", null);
+    if (predicate) {
+      eq.wherePredicate = eq.wherePredicate ? Predicate.and([eq.wherePredicate, predicate]) : predicate;
+    }
+    eq.orderByClause = orderByClause;
+    return eq;
+  };
+
+  // the token for the page following this query's results - null if the results are not a full page of entities.
+  // only a keyset query's ordering is stable enough to continue from.
+  proto._getContinuationToken = function (results) {
+    if (!this.keysetClause || !this.takeCount || this.selectClause || this._isGrouped() || !results || results.length < this.takeCount) return null;
+    var isBefore = this.keysetClause && this.keysetClause.isBefore;
+    var entity = isBefore ? results[0] : results[results.length - 1];
+    if (!entity || !entity.entityAspect) return null;
+    return JSON.stringify(getKeysetValues(this, entity));
+  };
+
   // for testing
   proto._toUri = function (em) {
     var ds = DataService.resolve([em.dataService]);
@@ -880,12 +1298,17 @@
       "resourceName",
       "fromEntityType",
       "wherePredicate",
+      "searchClause",
       "orderByClause",
       "selectClause",
       "skipCount",
       "takeCount",
+      "keysetClause",
       "expandClause",
+      "groupByClause",
+      "aggregateClause",
       "inlineCountEnabled",
+      "countOnlyEnabled",
       "noTrackingEnabled",
       "usesNameOnServer",
       "queryOptions",
@@ -900,6 +1323,160 @@
     return copy;
   }
   
+  // a '+' in a query string is an encoded space.
+  function decodeODataComponent(value) {
+    return decodeURIComponent(value.replace(/\+/g, " "));
+  }
+
+  // splits an OData query option value at each separator that is not within parentheses or a quoted string.
+  function splitODataList(value, separator) {
+    var items = [];
+    var depth = 0;
+    var isQuoted = false;
+    var start = 0;
+    for (var i = 0; i < value.length; i++) {
+      var ch = value.charAt(i);
+      if (ch === "'") {
+        // an escaped quote ('') toggles twice.
+        isQuoted = !isQuoted;
+      } else if (isQuoted) {
+        continue;
+      } else if (ch === "(") {
+        depth++;
+      } else if (ch === ")") {
+        depth--;
+      } else if (ch === separator && depth === 0) {
+        items.push(value.substring(start, i));
+        start = i + 1;
+      }
+    }
+    items.push(value.substring(start));
+    return items.map(function (item) {
+      return item.trim();
+    }).filter(function (item) {
+      return item.length > 0;
+    });
+  }
+
+  function getODataClientPathFn(entityType) {
+    return function (serverPath) {
+      serverPath = serverPath.trim();
+      return entityType ? entityType.serverPropertyPathToClient(serverPath, "/") : serverPath.split("/").join(".");
+    };
+  }
+
+  function parseODataOrderBy(value, entityType) {
+    var toClientPath = getODataClientPathFn(entityType);
+    return splitODataList(value, ",").map(function (item) {
+      var parts = item.split(/\s+/);
+      var isDesc = parts[1] && parts[1].toLowerCase() === "desc";
+      return toClientPath(parts[0]) + (isDesc ? " desc" : "");
+    });
+  }
+
+  // the paths of an OData $select or $expand - any of which may be followed by nested options, i.e. "Orders($top=5;$expand=OrderDetails)".
+  function parseODataNestedPaths(value, entityType) {
+    var toClientPath = getODataClientPathFn(entityType);
+    return splitODataList(value, ",").map(function (item) {
+      var parenIx = item.indexOf("(");
+      if (parenIx < 0) return toClientPath(item);
+      var path = toClientPath(item.substr(0, parenIx));
+      var navEntityType = getNavigationEntityType(entityType, path);
+      var options = {};
+      splitODataList(item.substring(parenIx + 1, item.lastIndexOf(")")), ";").forEach(function (option) {
+        var eqIx = option.indexOf("=");
+        var name = option.substr(0, eqIx).trim().toLowerCase();
+        var optionValue = option.substr(eqIx + 1);
+        switch (name) {
+          case "$filter":
+            options.where = Predicate.fromODataFilter(optionValue, navEntityType || undefined);
+            break;
+          case "$orderby":
+            options.orderBy = parseODataOrderBy(optionValue, navEntityType);
+            break;
+          case "$skip":
+            options.skip = parseInt(optionValue, 10);
+            break;
+          case "$top":
+            options.top = parseInt(optionValue, 10);
+            break;
+          case "$select":
+            options.select = parseODataNestedPaths(optionValue, navEntityType);
+            break;
+          case "$expand":
+            options.expand = parseODataNestedPaths(optionValue, navEntityType);
+            break;
+          default:
+            throw new Error("Unsupported nested OData query option: " + (name || option));
+        }
+      });
+      var result = {};
+      result[path] = options;
+      return result;
+    });
+  }
+
+  function checkCanGroup(eq) {
+    if (eq.selectClause) {
+      throw new Error("A 'groupBy' or 'aggregate' clause cannot be combined with a 'select' clause");
+    }
+    if (eq.keysetClause) {
+      throw new Error("A 'groupBy' or 'aggregate' clause cannot be combined with an 'after' or 'before' clause");
+    }
+  }
+
+  function setKeyset(eq, entityOrKeyValues, isBefore) {
+    assertParam(entityOrKeyValues, "entityOrKeyValues").isOptional().isEntity().or().isArray().or().isString().check();
+    if (entityOrKeyValues == null) {
+      return clone(eq, "keysetClause", null);
+    }
+    if (eq._isGrouped()) {
+      throw new Error("An 'after' or 'before' clause cannot be combined with a 'groupBy' or 'aggregate' clause");
+    }
+    var values;
+    if (__isString(entityOrKeyValues)) {
+      try {
+        values = JSON.parse(entityOrKeyValues);
+      } catch (e) {
+        values = null;
+      }
+      if (!Array.isArray(values)) {
+        throw new Error("Unable to parse the continuation token: " + entityOrKeyValues);
+      }
+    } else if (Array.isArray(entityOrKeyValues)) {
+      values = entityOrKeyValues;
+    } else {
+      values = getKeysetValues(eq, entityOrKeyValues);
+    }
+    return clone(eq, "keysetClause", new KeysetClause({ isBefore: isBefore, values: values }));
+  }
+
+  // the orderBy items followed by any key properties that are not already being ordered on.
+  function getKeysetItems(eq, entityType) {
+    var items = eq.orderByClause ? eq.orderByClause.items.map(function (item) {
+      return { propertyPath: item.propertyPath, isDesc: !!item.isDesc, nullsFirst: item.nullsFirst, collation: item.collation };
+    }) : [];
+    var keyProperties = (entityType && entityType.keyProperties) || [];
+    keyProperties.forEach(function (kp) {
+      var propertyPath = eq.usesNameOnServer ? kp.nameOnServer : kp.name;
+      var isOrdered = items.some(function (item) {
+        return item.propertyPath === propertyPath;
+      });
+      if (!isOrdered) {
+        items.push({ propertyPath: propertyPath, isDesc: false, isNullable: false });
+      }
+    });
+    return items;
+  }
+
+  function getKeysetValues(eq, entity) {
+    var entityType = entity.entityType;
+    return getKeysetItems(eq, entityType).map(function (item) {
+      var propertyPath = eq.usesNameOnServer ? entityType.serverPropertyPathToClient(item.propertyPath) : item.propertyPath;
+      return getPropertyPathValue(entity, propertyPath);
+    });
+  }
+
   function processUsing(eq, map, value, propertyName) {
     var typeName = value._$typeName || (value.parentEnum && value.parentEnum.name);
     var key = typeName && typeName.substr(0, 1).toLowerCase() + typeName.substr(1);
@@ -922,6 +1499,19 @@
     }
   }
   
+  function normalizeOrderByOptions(options) {
+    if (options == null || typeof options === "boolean") {
+      return { isDescending: options };
+    }
+    var result = {};
+    assertConfig(options)
+        .whereParam("isDescending").isBoolean().isOptional()
+        .whereParam("nullsFirst").isBoolean().isOptional()
+        .whereParam("collation").isString().isOptional()
+        .applyAll(result);
+    return result;
+  }
+
   function normalizePropertyPaths(propertyPaths) {
     assertParam(propertyPaths, "propertyPaths").isOptional().isString().or().isArray().isString().check();
     if (typeof propertyPaths === 'string') {
@@ -1063,7 +1653,36 @@ var FilterQueryOp = (function () {
    **/
   aEnum.All = aEnum.addSymbol({ operator: "all" });
   
+  /**
+   Whether an entity is an instance of an EntityType or of one of its subtypes.
+   Aliases: "isof"
+   @example
+       var pred = Predicate.create("BillingDetail", FilterQueryOp.IsTypeOf, "BankAccount");
+   @property IsTypeOf {FilterQueryOp}
+   @final
+   @static
+   **/
   aEnum.IsTypeOf = aEnum.addSymbol({ operator: "isof" });
+
+  /**
+   Whether a value is one of the values in an array.
+   Aliases: "$in"
+   @example
+       var pred = Predicate.create("ShipCity", FilterQueryOp.In, ["London", "Paris", "Berlin"]);
+   @property In {FilterQueryOp}
+   @final
+   @static
+   **/
+  aEnum.In = aEnum.addSymbol({ operator: "in" });
+
+  /**
+   Whether a value is not one of the values in an array.
+   Aliases: "$nin"
+   @property NotIn {FilterQueryOp}
+   @final
+   @static
+   **/
+  aEnum.NotIn = aEnum.addSymbol({ operator: "notin" });
   
   aEnum.resolveSymbols();
 
@@ -1097,7 +1716,8 @@ var BooleanQueryOp = (function () {
  */
 var OrderByClause = (function () {
   
-  var ctor = function (propertyPaths, isDesc) {
+  // 'options' may contain 'nullsFirst' and 'collation' values that override those embedded in the propertyPaths.
+  var ctor = function (propertyPaths, isDesc, options) {
 
     if (propertyPaths.length > 1) {
       // you can also pass in an array of orderByClauses
@@ -1106,10 +1726,10 @@ var OrderByClause = (function () {
         return;
       }
       var items = propertyPaths.map(function (pp) {
-        return new OrderByItem(pp, isDesc);
+        return new OrderByItem(pp, isDesc, options);
       });
     } else {
-      var items = [new OrderByItem(propertyPaths[0], isDesc)];
+      var items = [new OrderByItem(propertyPaths[0], isDesc, options)];
     }
     this.items = items;
   };
@@ -1141,32 +1761,57 @@ var OrderByClause = (function () {
   
   proto.toJSONExt = function (context) {
     return this.items.map(function (item) {
-      return context.propertyPathFn(item.propertyPath) + (item.isDesc ? " desc" : "");
+      return formatOrderByItem(context.propertyPathFn(item.propertyPath), item.isDesc, item.nullsFirst, item.collation);
     });
   };
   
-  var OrderByItem = function (propertyPath, isDesc) {
+  var OrderByItem = function (propertyPath, isDesc, options) {
     if (!(typeof propertyPath === 'string')) {
       throw new Error("propertyPath is not a string");
     }
     propertyPath = propertyPath.trim();
     
-    var parts = propertyPath.split(' ');
+    var parts = propertyPath.split(/\s+/);
     // parts[0] is the propertyPath; [1] would be whether descending or not.
-    if (parts.length > 1 && isDesc !== true && isDesc !== false) {
-      isDesc = __stringStartsWith(parts[1].toLowerCase(), "desc");
-      if (!isDesc) {
-        // isDesc is false but check to make sure its intended.
-        var isAsc = __stringStartsWith(parts[1].toLowerCase(), "asc");
-        if (!isAsc) {
-          throw new Error("the second word in the propertyPath must begin with 'desc' or 'asc'");
+    var ix = 1;
+    if (parts.length > 1 && !isNullsOrCollateTag(parts[1])) {
+      if (isDesc !== true && isDesc !== false) {
+        isDesc = __stringStartsWith(parts[1].toLowerCase(), "desc");
+        if (!isDesc) {
+          // isDesc is false but check to make sure its intended.
+          var isAsc = __stringStartsWith(parts[1].toLowerCase(), "asc");
+          if (!isAsc) {
+            throw new Error("the second word in the propertyPath must begin with 'desc' or 'asc'");
+          }
         }
-
       }
+      ix = 2;
+    }
+    // followed by optional 'nulls first|last' and 'collate <locale>' tags.
+    var nullsFirst, collation;
+    while (ix < parts.length) {
+      var tag = parts[ix].toLowerCase();
+      var arg = parts[ix + 1];
+      if (tag === "nulls" && arg && (arg.toLowerCase() === "first" || arg.toLowerCase() === "last")) {
+        nullsFirst = arg.toLowerCase() === "first";
+      } else if (tag === "collate" && arg) {
+        collation = arg;
+      } else {
+        throw new Error("Unable to parse the orderBy propertyPath: '" + propertyPath + "' - only 'nulls first', 'nulls last' or 'collate <locale>' may follow the sort direction");
+      }
+      ix += 2;
     }
+    options = options || {};
     this.propertyPath = parts[0];
     this.isDesc = isDesc;
+    this.nullsFirst = options.nullsFirst != null ? options.nullsFirst : nullsFirst;
+    this.collation = options.collation || collation;
   };
+
+  function isNullsOrCollateTag(word) {
+    word = word.toLowerCase();
+    return word === "nulls" || word === "collate";
+  }
   
   var itemProto = OrderByItem.prototype;
   
@@ -1184,12 +1829,22 @@ var OrderByClause = (function () {
     }
     var propertyPath = this.propertyPath;
     var isDesc = this.isDesc;
+    var nullsFirst = this.nullsFirst;
+    var collatorFn = this.collation && getCollatorFn(this.collation, isCaseSensitive);
     
     return function (entity1, entity2) {
       var value1 = getPropertyPathValue(entity1, propertyPath);
       var value2 = getPropertyPathValue(entity2, propertyPath);
+      // an explicit null ordering does not depend on the sort direction.
+      if (nullsFirst != null && (value1 == null || value2 == null)) {
+        if (value1 == null && value2 == null) return 0;
+        return (value1 == null) === nullsFirst ? -1 : 1;
+      }
       var dataType = propDataType || (value1 && DataType.fromValue(value1)) || DataType.fromValue(value2);
-      if (dataType === DataType.String) {
+      if (dataType === DataType.String && collatorFn) {
+        var result = collatorFn(value1 || "", value2 || "");
+        return result === 0 ? 0 : ((result > 0) !== !!isDesc ? 1 : -1);
+      } else if (dataType === DataType.String) {
         if (isCaseSensitive) {
           value1 = value1 || "";
           value2 = value2 || "";
@@ -1211,17 +1866,181 @@ var OrderByClause = (function () {
       }
     };
   };
+
+  function getCollatorFn(collation, isCaseSensitive) {
+    if (typeof Intl === "undefined" || !Intl.Collator) {
+      return function (value1, value2) {
+        return value1.localeCompare(value2, collation);
+      };
+    }
+    // 'accent' sensitivity ignores case differences.
+    var collator = new Intl.Collator(collation, { sensitivity: isCaseSensitive ? "variant" : "accent" });
+    return collator.compare;
+  }
   
   return ctor;
 })();
 
+// the string form of an orderBy item, i.e. "CompanyName desc nulls last collate de".
+function formatOrderByItem(propertyPath, isDesc, nullsFirst, collation) {
+  var result = propertyPath + (isDesc ? " desc" : "");
+  if (nullsFirst != null) {
+    result += nullsFirst ? " nulls first" : " nulls last";
+  }
+  if (collation) {
+    result += " collate " + collation;
+  }
+  return result;
+}
+
+// a comma-separated string of property paths, or an array of property paths and of objects that map
+// navigation property paths to their nested options.
+function normalizeNestedPaths(propertyPaths) {
+  assertParam(propertyPaths, "propertyPaths").isString().or().isArray().or().isObject().check();
+  if (typeof propertyPaths === 'string') {
+    propertyPaths = propertyPaths.split(",");
+  } else if (!Array.isArray(propertyPaths)) {
+    propertyPaths = [propertyPaths];
+  }
+  return propertyPaths.map(function (pp) {
+    return __isString(pp) ? pp.trim() : pp;
+  });
+}
+
+// calls fn(propertyPath, options) for each of the normalized paths; 'options' apply to the paths given as strings.
+function forEachNestedPath(propertyPaths, options, fn) {
+  propertyPaths.forEach(function (pp) {
+    if (__isString(pp)) {
+      fn(pp, options);
+    } else {
+      __objectForEach(pp, function (key, value) {
+        fn(key.trim(), __isObject(value) ? value : null);
+      });
+    }
+  });
+}
+
+// the context for the nested options of a navigation property.
+function getNestedContext(context, propertyPath) {
+  var navType = getNavigationEntityType(context.entityType, propertyPath);
+  var newContext = __extend({}, context);
+  newContext.entityType = navType;
+  newContext.toNameOnServer = context.toNameOnServer && navType != null;
+  newContext.propertyPathFn = newContext.toNameOnServer ? navType.clientPropertyPathToServer.bind(navType) : __identity;
+  return newContext;
+}
+
+function getNavigationEntityType(entityType, propertyPath) {
+  if (entityType == null || entityType.isAnonymous) return null;
+  var prop = entityType.getProperty(propertyPath, true);
+  if (!prop.isNavigationProperty) {
+    throw new Error("Nested options can only be applied to a navigation property - not: " + propertyPath);
+  }
+  return prop.entityType;
+}
+
+// like getPropertyPathValue except that a path thru a navigation collection returns the values from each of its entities.
+function getProjectedValue(obj, properties) {
+  var value = obj;
+  for (var i = 0; i < properties.length; i++) {
+    if (value == null) return value;
+    // nonscalar nav values are NOT really arrays
+    if (Array.isArray(value) || value.arrayChanged) {
+      var rest = properties.slice(i);
+      return Array.prototype.concat.apply([], value.map(function (v) {
+        return getProjectedValue(v, rest);
+      }));
+    }
+    value = value.getProperty ? value.getProperty(properties[i]) : value[properties[i]];
+  }
+  return value;
+}
+
+// Not exposed
+// The 'where', 'orderBy', 'skip', 'take' and 'select' options that apply to the entities of a navigation property
+// within a select or expand clause.
+var NestedQueryOptions = (function () {
+
+  var ctor = function (config) {
+    var opts = {};
+    assertConfig(config)
+        .whereParam("where").isOptional()
+        .whereParam("orderBy").isOptional().isString().or().isArray()
+        .whereParam("skip").isOptional().isNumber()
+        .whereParam("take").isOptional().isNumber()
+        .whereParam("top").isOptional().isNumber()
+        .whereParam("select").isOptional()
+        .applyAll(opts);
+    this.wherePredicate = opts.where == null ? null : Predicate(opts.where);
+    this.orderByClause = opts.orderBy == null ? null : new OrderByClause(__isString(opts.orderBy) ? opts.orderBy.split(",") : opts.orderBy);
+    this.skipCount = opts.skip == null ? null : opts.skip;
+    this.takeCount = opts.take != null ? opts.take : (opts.top != null ? opts.top : null);
+    this.selectClause = opts.select == null ? null : new SelectClause(normalizeNestedPaths(opts.select));
+  };
+  var proto = ctor.prototype;
+
+  // whether the navigation property may be missing some of its entities.
+  proto.isPartial = function () {
+    return this.wherePredicate != null || !!this.skipCount || this.takeCount != null;
+  };
+
+  proto.validate = function (entityType) {
+    this.orderByClause && this.orderByClause.validate(entityType);
+    this.selectClause && this.selectClause.validate(entityType);
+  };
+
+  // returns a function that applies these options to the value of a navigation property.
+  proto.toFunction = function (entityType) {
+    var filterFn = this.wherePredicate && this.wherePredicate.toFunction({ entityType: entityType });
+    var comparer = this.orderByClause && this.orderByClause.getComparer(entityType);
+    var selectFn = this.selectClause && this.selectClause.toFunction({ entityType: entityType });
+    var skipCount = this.skipCount;
+    var takeCount = this.takeCount;
+    return function (value) {
+      if (value == null) return value;
+      var isScalar = !(Array.isArray(value) || value.arrayChanged);
+      var result = isScalar ? [value] : Array.prototype.slice.call(value);
+      if (filterFn) result = result.filter(filterFn);
+      if (comparer) result.sort(comparer);
+      if (skipCount) result = result.slice(skipCount);
+      if (takeCount != null) result = result.slice(0, takeCount);
+      if (selectFn) result = result.map(selectFn);
+      return isScalar ? (result.length ? result[0] : null) : result;
+    };
+  };
+
+  proto.toJSONExt = function (context) {
+    var toJSONExtFn = function (v) {
+      return v ? v.toJSONExt(context) : undefined;
+    };
+    return __toJson(this, {
+      "where,wherePredicate": toJSONExtFn,
+      "orderBy,orderByClause": toJSONExtFn,
+      "skip,skipCount": null,
+      "take,takeCount": null,
+      "select,selectClause": toJSONExtFn
+    });
+  };
+
+  return ctor;
+})();
+
 // Not exposed
 var SelectClause = (function () {
   
-  var ctor = function (propertyPaths) {
-    this.propertyPaths = propertyPaths;
-    this._pathNames = propertyPaths.map(function (pp) {
-      return pp.replace(".", "_");
+  // propertyPaths is an array of property paths and of objects that map navigation property paths to their nested options.
+  var ctor = function (propertyPaths, options) {
+    var that = this;
+    this.propertyPaths = [];
+    this.nestedOptions = {};
+    forEachNestedPath(propertyPaths, options, function (pp, opts) {
+      that.propertyPaths.push(pp);
+      if (opts) {
+        that.nestedOptions[pp] = new NestedQueryOptions(opts);
+      }
+    });
+    this._pathNames = this.propertyPaths.map(function (pp) {
+      return pp.replace(/\./g, "_");
     });
   };
   var proto = ctor.prototype;
@@ -1232,23 +2051,31 @@ var SelectClause = (function () {
     this.propertyPaths.forEach(function (path) {
       entityType.getProperty(path, true);
     });
+    __objectForEach(this.nestedOptions, function (path, nested) {
+      nested.validate(getNavigationEntityType(entityType, path));
+    });
   };
   
-  proto.toFunction = function (/* config */) {
+  proto.toFunction = function (config) {
+    var entityType = config && config.entityType;
     var that = this;
+    var nestedFns = {};
+    __objectForEach(this.nestedOptions, function (path, nested) {
+      nestedFns[path] = nested.toFunction(getNavigationEntityType(entityType, path));
+    });
     return function (entity) {
       var result = {};
       that.propertyPaths.forEach(function (path, i) {
-        result[that._pathNames[i]] = getPropertyPathValue(entity, path);
+        var value = getProjectedValue(entity, path.split("."));
+        var nestedFn = nestedFns[path];
+        result[that._pathNames[i]] = nestedFn ? nestedFn(value) : value;
       });
       return result;
     };
   };
   
   proto.toJSONExt = function (context) {
-    return this.propertyPaths.map(function (pp) {
-      return context.propertyPathFn(pp);
-    })
+    return nestedPathsToJSON(this, context);
   };
   
   return ctor;
@@ -1257,24 +2084,395 @@ var SelectClause = (function () {
 // Not exposed
 var ExpandClause = (function () {
   
+  // propertyPaths is an array of navigation property paths and of objects that map navigation property paths to their nested options.
+  // nested expands are flattened into the propertyPaths, i.e. { orders: { expand: "orderDetails" } } becomes "orders", "orders.orderDetails".
+  var ctor = function (propertyPaths, options) {
+    this.propertyPaths = [];
+    this.nestedOptions = {};
+    addExpandPaths(this, propertyPaths, options, null);
+  };
+  var proto = ctor.prototype;
+
+  // whether a navigation property that is expanded by this clause may be missing some of its entities.
+  proto.isPartial = function (propertyPath) {
+    var nested = this.nestedOptions[propertyPath];
+    return nested != null && nested.isPartial();
+  };
+  
+  proto.toJSONExt = function (context) {
+    return nestedPathsToJSON(this, context);
+  };
+
+  function addExpandPaths(clause, propertyPaths, options, parentPath) {
+    forEachNestedPath(propertyPaths, options, function (pp, opts) {
+      var path = parentPath ? parentPath + "." + pp : pp;
+      if (clause.propertyPaths.indexOf(path) < 0) {
+        clause.propertyPaths.push(path);
+      }
+      if (opts == null) return;
+      var nestedOpts = __extend({}, opts);
+      delete nestedOpts.expand;
+      if (!__isEmpty(nestedOpts)) {
+        clause.nestedOptions[path] = new NestedQueryOptions(nestedOpts);
+      }
+      if (opts.expand != null) {
+        addExpandPaths(clause, normalizeNestedPaths(opts.expand), null, path);
+      }
+    });
+  }
+  
+  return ctor;
+})();
+
+function nestedPathsToJSON(clause, context) {
+  return clause.propertyPaths.map(function (pp) {
+    var serverPath = context.propertyPathFn(pp);
+    var nested = clause.nestedOptions[pp];
+    if (!nested) return serverPath;
+    var json = {};
+    json[serverPath] = nested.toJSONExt(getNestedContext(context, pp));
+    return json;
+  });
+}
+
+// Not exposed
+var KeysetClause = (function () {
+
+  // 2 possibilities
+  // config is { isBefore: true|false, values: [...] }
+  // or the json form { after: [...] } or { before: [...] }
+  var ctor = function (config) {
+    this.isBefore = config.isBefore != null ? !!config.isBefore : !!config.before;
+    this.values = config.values || config.before || config.after;
+  };
+  var proto = ctor.prototype;
+
+  // items are the orderBy and key property paths that the values correspond to.
+  // an empty 'values' array is the start of the paging so there is nothing to filter.
+  proto.toPredicate = function (items) {
+    var values = this.values;
+    if (values.length === 0) return null;
+    if (values.length !== items.length) {
+      throw new Error(__formatString("Expected %1 '%2' values for the property paths: %3 - not %4",
+          items.length, this.isBefore ? "before" : "after", items.map(__pluck("propertyPath")).join(", "), values.length));
+    }
+    var isBefore = this.isBefore;
+    // (p1 > v1) or (p1 == v1 and p2 > v2) or ... - where a null sorts as the lowest value unless the orderBy item says otherwise.
+    var preds = [];
+    items.forEach(function (item, ix) {
+      // the predicate cannot compare strings the way a collation does.
+      if (item.collation) {
+        throw new Error("An 'after' or 'before' clause cannot be combined with an orderBy collation: " + item.propertyPath);
+      }
+      var parts = items.slice(0, ix).map(function (prevItem, prevIx) {
+        return createLiteralPredicate(prevItem.propertyPath, FilterQueryOp.Equals, values[prevIx]);
+      });
+      var isReversed = item.isDesc !== isBefore;
+      var nullsFirst = (item.nullsFirst != null ? item.nullsFirst : !item.isDesc) !== isBefore;
+      var value = values[ix];
+      var pred;
+      if (value == null) {
+        // every other value follows a null that sorts first - and none follows a null that sorts last.
+        if (!nullsFirst) return;
+        pred = createLiteralPredicate(item.propertyPath, FilterQueryOp.NotEquals, null);
+      } else {
+        pred = createLiteralPredicate(item.propertyPath, isReversed ? FilterQueryOp.LessThan : FilterQueryOp.GreaterThan, value);
+        if (!nullsFirst && item.isNullable !== false) {
+          pred = Predicate.or([pred, createLiteralPredicate(item.propertyPath, FilterQueryOp.Equals, null)]);
+        }
+      }
+      parts.push(pred);
+      preds.push(Predicate.and(parts));
+    });
+    return Predicate.or(preds);
+  };
+
+  function createLiteralPredicate(propertyPath, op, value) {
+    return Predicate.create(propertyPath, op, { value: value, isLiteral: true });
+  }
+
+  proto.toJSONExt = function (context) {
+    var json = {};
+    json[this.isBefore ? "before" : "after"] = this.values;
+    return json;
+  };
+
+  return ctor;
+})();
+
+// Not exposed
+var SearchClause = (function () {
+
+  // config is { text: "...", properties: [...] } - also the json form.
+  var ctor = function (config) {
+    this.text = config.text;
+    this.properties = config.properties || null;
+    this.terms = tokenize(config.text);
+  };
+  var proto = ctor.prototype;
+
+  proto.validate = function (entityType) {
+    if (entityType == null || entityType.isAnonymous || !this.properties) return; // can't validate yet
+    this.properties.forEach(function (pp) {
+      var prop = entityType.getProperty(pp, true);
+      if (!prop.isDataProperty || prop.dataType !== DataType.String) {
+        throw new Error("Only string data properties can be searched - not: " + pp);
+      }
+    });
+  };
+
+  // returns a function that takes an entity and returns whether it contains every search term.
+  proto.toFunction = function (entityType) {
+    this.validate(entityType);
+    var properties = this.properties || getStringPropertyNames(entityType);
+    var terms = this.terms;
+    return function (entity) {
+      var values = properties.map(function (pp) {
+        var value = getPropertyPathValue(entity, pp);
+        return value == null ? "" : String(value).toLowerCase();
+      });
+      return terms.every(function (term) {
+        return values.some(function (value) {
+          return value.indexOf(term) >= 0;
+        });
+      });
+    };
+  };
+
+  proto.toJSONExt = function (context) {
+    return {
+      text: this.text,
+      properties: this.properties ? this.properties.map(context.propertyPathFn) : undefined
+    };
+  };
+
+  // words and "quoted phrases", lower cased for a case-insensitive match.
+  function tokenize(text) {
+    var terms = [];
+    var re = /"([^"]*)"|(\S+)/g;
+    var match;
+    while ((match = re.exec(text)) != null) {
+      var term = (match[1] != null ? match[1] : match[2]).trim().toLowerCase();
+      if (term) terms.push(term);
+    }
+    return terms;
+  }
+
+  function getStringPropertyNames(entityType) {
+    if (!entityType || entityType.isAnonymous) {
+      throw new Error("The properties to search must be specified when the EntityType of the query is not known");
+    }
+    return entityType.dataProperties.filter(function (dp) {
+      return dp.dataType === DataType.String;
+    }).map(__pluck("name"));
+  }
+
+  return ctor;
+})();
+
+// Not exposed
+var GroupByClause = (function () {
+
   // propertyPaths is an array of strings.
   var ctor = function (propertyPaths) {
     this.propertyPaths = propertyPaths;
+    this._pathNames = propertyPaths.map(function (pp) {
+      return pp.replace(/\./g, "_");
+    });
   };
   var proto = ctor.prototype;
-  
+
+  proto.validate = function (entityType) {
+    if (entityType == null || entityType.isAnonymous) return; // can't validate yet
+    // will throw an exception on bad propertyPath
+    this.propertyPaths.forEach(function (path) {
+      entityType.getProperty(path, true);
+    });
+  };
+
+  // returns a function that takes an array of entities and returns an array of group results
+  proto.toFunction = function (aggregateClause) {
+    var that = this;
+    var aggregateFn = aggregateClause ? aggregateClause.toFunction() : null;
+    return function (entities) {
+      var groupMap = {};
+      var groups = [];
+      entities.forEach(function (entity) {
+        var values = that.propertyPaths.map(function (path) {
+          return getPropertyPathValue(entity, path);
+        });
+        // each value is keyed along with its type so that null, undefined and "" - or 1 and "1" - are grouped separately.
+        var groupKey = JSON.stringify(values.map(function (v) {
+          if (v === null) return ["null"];
+          return __isDate(v) ? ["date", v.getTime()] : [typeof v, v];
+        }));
+        var group = groupMap[groupKey];
+        if (!group) {
+          group = groupMap[groupKey] = { values: values, entities: [] };
+          groups.push(group);
+        }
+        group.entities.push(entity);
+      });
+      return groups.map(function (group) {
+        var result = {};
+        that._pathNames.forEach(function (pathName, i) {
+          result[pathName] = group.values[i];
+        });
+        return aggregateFn ? aggregateFn(group.entities, result) : result;
+      });
+    };
+  };
+
   proto.toJSONExt = function (context) {
     return this.propertyPaths.map(function (pp) {
       return context.propertyPathFn(pp);
-    })
+    });
   };
-  
+
+  return ctor;
+})();
+
+// Not exposed
+var AggregateClause = (function () {
+
+  // 3 possibilities
+  //    AggregateClause(aggregateFn, propertyPath, alias)
+  //    AggregateClause([ anAggregateClause, anotherAggregateClause ])
+  //    AggregateClause({ alias: { aggregateFn: propertyPath }, ... })   - i.e. the json form
+  var ctor = function (aggregateFn, propertyPath, alias) {
+    if (Array.isArray(aggregateFn)) {
+      this.items = Array.prototype.concat.apply([], aggregateFn.map(__pluck("items")));
+    } else if (__isObject(aggregateFn)) {
+      var json = aggregateFn;
+      this.items = Object.keys(json).map(function (alias) {
+        var fnName = Object.keys(json[alias])[0];
+        return new AggregateItem(fnName, json[alias][fnName], alias);
+      });
+    } else {
+      this.items = [new AggregateItem(aggregateFn, propertyPath, alias)];
+    }
+  };
+  var proto = ctor.prototype;
+
+  proto.validate = function (entityType) {
+    if (entityType == null || entityType.isAnonymous) return; // can't validate yet
+    this.items.forEach(function (item) {
+      item.propertyPath && entityType.getProperty(item.propertyPath, true);
+    });
+  };
+
+  // returns a function that takes an array of entities and adds each aggregate value to a 'result' object.
+  proto.toFunction = function () {
+    var items = this.items;
+    return function (entities, result) {
+      result = result || {};
+      items.forEach(function (item) {
+        var values = item.propertyPath ? entities.map(function (entity) {
+          return getPropertyPathValue(entity, item.propertyPath);
+        }) : entities;
+        result[item.alias] = item.aggregateFn.fn(values);
+      });
+      return result;
+    };
+  };
+
+  proto.toJSONExt = function (context) {
+    var json = {};
+    this.items.forEach(function (item) {
+      var value = {};
+      value[item.aggregateFn.name] = item.propertyPath ? context.propertyPathFn(item.propertyPath) : null;
+      json[item.alias] = value;
+    });
+    return json;
+  };
+
+  var AggregateItem = function (aggregateFn, propertyPath, alias) {
+    var fnName = aggregateFn.toLowerCase();
+    var af = _aggregateFnMap[fnName] || _aggregateFnMap[_aggregateFnAliases[fnName]];
+    if (!af) {
+      throw new Error("Unknown aggregate function: " + aggregateFn);
+    }
+    if (af.name === "count") {
+      if (propertyPath) {
+        throw new Error("The 'count' aggregate counts the entities in each group and does not take a propertyPath: " + propertyPath);
+      }
+    } else if (!propertyPath) {
+      throw new Error("The '" + af.name + "' aggregate requires a propertyPath");
+    }
+    this.aggregateFn = af;
+    this.propertyPath = propertyPath || null;
+    this.alias = alias || (propertyPath ? af.name + "_" + propertyPath.replace(/\./g, "_") : af.name);
+  };
+
+  var _aggregateFnAliases = {
+    avg: "average"
+  };
+
+  // each fn takes an array of values; nulls are ignored by all but 'count'.
+  var _aggregateFnMap = {
+    count: {
+      fn: function (values) {
+        return values.length;
+      }
+    },
+    sum: {
+      fn: function (values) {
+        return nonNullValues(values).reduce(function (prev, cur) {
+          return prev + cur;
+        }, 0);
+      }
+    },
+    min: {
+      fn: function (values) {
+        return extremeValue(values, -1);
+      }
+    },
+    max: {
+      fn: function (values) {
+        return extremeValue(values, 1);
+      }
+    },
+    average: {
+      fn: function (values) {
+        values = nonNullValues(values);
+        if (values.length === 0) return null;
+        return _aggregateFnMap.sum.fn(values) / values.length;
+      }
+    }
+  };
+  __objectForEach(_aggregateFnMap, function (name, af) {
+    af.name = name;
+  });
+
+  function nonNullValues(values) {
+    return values.filter(function (v) {
+      return v != null;
+    });
+  }
+
+  // sign: 1 for max, -1 for min
+  function extremeValue(values, sign) {
+    values = nonNullValues(values);
+    if (values.length === 0) return null;
+    var mc = DataType.getComparableFn(DataType.fromValue(values[0]));
+    return values.reduce(function (prev, cur) {
+      var diff = mc(cur) > mc(prev) ? 1 : (mc(cur) < mc(prev) ? -1 : 0);
+      return diff === sign ? cur : prev;
+    });
+  }
+
   return ctor;
 })();
 
 // used by EntityQuery and Predicate
 function getPropertyPathValue(obj, propertyPath) {
   var properties = Array.isArray(propertyPath) ? propertyPath : propertyPath.split(".");
+  if (!obj.getProperty) {
+    // a simple js object, i.e. the result of a grouped query.
+    return properties.reduce(function (value, prop) {
+      return value == null ? value : value[prop];
+    }, obj);
+  }
   if (properties.length === 1) {
     return obj.getProperty(propertyPath);
   } else {
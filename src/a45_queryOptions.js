@@ -79,6 +79,23 @@ var FetchStrategy = (function () {
   @static
   **/
   FetchStrategy.FromLocalCache = FetchStrategy.addSymbol();
+  /**
+  FromLocalCacheIfFresh is used to tell the query to execute against the local EntityManager if the same query was satisfied
+  by the server within the last {{#crossLink "QueryOptions/cacheTtl"}}{{/crossLink}} milliseconds, and against the server otherwise.
+  @property FromLocalCacheIfFresh {MergeStrategy}
+  @final
+  @static
+  **/
+  FetchStrategy.FromLocalCacheIfFresh = FetchStrategy.addSymbol();
+  /**
+  StaleWhileRevalidate behaves like FromLocalCacheIfFresh except that a query whose cached results have expired is also
+  executed against the local EntityManager - while the same query is sent to the server in the background. The query result
+  of a stale query has a 'revalidation' promise that resolves to the result of the server query.
+  @property StaleWhileRevalidate {MergeStrategy}
+  @final
+  @static
+  **/
+  FetchStrategy.StaleWhileRevalidate = FetchStrategy.addSymbol();
   FetchStrategy.resolveSymbols();
   return FetchStrategy;
 })();
@@ -107,6 +124,16 @@ var QueryOptions = (function () {
   @param [config.fetchStrategy] {FetchStrategy}
   @param [config.mergeStrategy] {MergeStrategy}
   @param [config.includeDeleted] {Boolean} Whether query should return cached deleted entities (false by default)
+  @param [config.expandFallbackToServer] {Boolean} Whether a {{#crossLink "FetchStrategy/FromLocalCache"}}{{/crossLink}} query
+  should be sent to the server when any of its expanded navigation paths has not been loaded (false by default)
+  @param [config.signal] {AbortSignal} A signal that cancels the query when it is aborted.
+  @param [config.deduplicate] {Boolean} Whether identical queries executed while one is still in flight should share its
+  request (false by default)
+  @param [config.cacheTtl] {Number} The number of milliseconds for which the results of a query remain fresh when it is
+  executed with a {{#crossLink "FetchStrategy/FromLocalCacheIfFresh"}}{{/crossLink}} or
+  {{#crossLink "FetchStrategy/StaleWhileRevalidate"}}{{/crossLink}} fetchStrategy (null by default - results never expire)
+  @param [config.mergeChunkSize] {Number} The number of top level results merged into the EntityManager on each turn of the
+  event loop (null by default - all of the results are merged at once)
   **/
   var ctor = function QueryOptions(config) {
     updateWithConfig(this, config);
@@ -133,8 +160,89 @@ var QueryOptions = (function () {
   @property includeDeleted {Boolean}
   **/
 
+  /**
+  Whether a query executed with a {{#crossLink "FetchStrategy/FromLocalCache"}}{{/crossLink}} fetchStrategy should instead
+  be executed against the server when any of its 'expand' paths has not yet been loaded into the local cache (false by default).
+
+  __readOnly__
+  @property expandFallbackToServer {Boolean}
+  **/
+
+  /**
+  An AbortSignal ( or any object with an 'aborted' property and 'addEventListener'/'removeEventListener' methods) that cancels
+  any query executed with these options when it is aborted. The HTTP request is aborted, nothing is merged into the EntityManager and the
+  query's promise is rejected with an error whose 'isCancelled' property is true. The signal is not serialized by 'toJSON'.
+  @example
+      var controller = new AbortController();
+      var query = EntityQuery.from("Customers").using(new QueryOptions({ signal: controller.signal }));
+      em.executeQuery(query).catch(function (err) {
+          if (err.isCancelled) { ... }
+      });
+      controller.abort();
+
+  __readOnly__
+  @property signal {AbortSignal}
+  **/
+
+  /**
+  Whether an EntityManager should share a single server request, and a single merge of its results, between identical queries
+  that are executed while the first is still in flight (false by default). Queries are identical when their 'toJSON' forms
+  and their resolved DataServices are the same. Each caller still gets its own query result object containing the same entities.
+  A query with a 'signal' is never shared.
+  @example
+      em.setProperties({ queryOptions: em.queryOptions.using({ deduplicate: true }) });
+      // only one request is sent to the server.
+      var p1 = em.executeQuery(EntityQuery.from("Customers"));
+      var p2 = em.executeQuery(EntityQuery.from("Customers"));
+
+  __readOnly__
+  @property deduplicate {Boolean}
+  **/
+
+  /**
+  The number of milliseconds after an EntityManager last satisfied a query from the server during which the same query is
+  considered fresh and is executed against the local cache by the {{#crossLink "FetchStrategy/FromLocalCacheIfFresh"}}{{/crossLink}}
+  and {{#crossLink "FetchStrategy/StaleWhileRevalidate"}}{{/crossLink}} fetchStrategies. Queries are the same when their
+  'toJSON' forms ( ignoring their queryOptions ) and their resolved DataServices are the same. A null value means that
+  the results never expire (null by default). Server queries are only recorded when they have a cacheTtl or one of these
+  fetchStrategies, and a recorded query is forgotten once it has expired and another server query is recorded.
+  @example
+      var query = EntityQuery.from("Customers").using(new QueryOptions({
+          fetchStrategy: FetchStrategy.FromLocalCacheIfFresh,
+          cacheTtl: 60000
+      }));
+      // goes to the server
+      em.executeQuery(query).then(function () {
+          // executed locally for the next minute.
+          return em.executeQuery(query);
+      });
+
+  __readOnly__
+  @property cacheTtl {Number}
+  **/
+
+  /**
+  The number of top level results of a server query that are merged into the EntityManager on each turn of the event loop. A large
+  result is merged in chunks so that the UI is not frozen while it is merged; the EntityManager's
+  {{#crossLink "EntityManager/queryMergeProgress:event"}}{{/crossLink}} event fires after each chunk and 'entityChanged'
+  notifications are published a chunk at a time. The query's promise still resolves with all of the results once the last
+  chunk has been merged. The query's 'signal' can only cancel the query before the first chunk is merged; once merging has
+  started every chunk is merged and the query resolves. A null value merges all of the results at once (null by default).
+  @example
+      var query = EntityQuery.from("Orders").using(new QueryOptions({ mergeChunkSize: 1000 }));
+      em.queryMergeProgress.subscribe(function (args) {
+          progressBar.value = args.mergedCount / args.totalCount;
+      });
+      em.executeQuery(query).then(function (data) {
+          // data.results contains every order.
+      });
+
+  __readOnly__
+  @property mergeChunkSize {Number}
+  **/
+
   ctor.resolve = function (queryOptionsArray) {
-    return new QueryOptions(__resolveProperties(queryOptionsArray, ["fetchStrategy", "mergeStrategy", "includeDeleted"]));
+    return new QueryOptions(__resolveProperties(queryOptionsArray, ["fetchStrategy", "mergeStrategy", "includeDeleted", "expandFallbackToServer", "signal", "deduplicate", "cacheTtl", "mergeChunkSize"]));
   };
 
   /**
@@ -145,7 +253,11 @@ var QueryOptions = (function () {
   ctor.defaultInstance = new ctor({
     fetchStrategy: FetchStrategy.FromServer,
     mergeStrategy: MergeStrategy.PreserveChanges,
-    includeDeleted: false
+    includeDeleted: false,
+    expandFallbackToServer: false,
+    deduplicate: false,
+    cacheTtl: null,
+    mergeChunkSize: null
   });
 
   /**
@@ -199,7 +311,11 @@ var QueryOptions = (function () {
     return __toJson(this, {
       fetchStrategy: null,
       mergeStrategy: null,
-      includeDeleted: false
+      includeDeleted: false,
+      expandFallbackToServer: false,
+      deduplicate: false,
+      cacheTtl: null,
+      mergeChunkSize: null
     });
   };
 
@@ -207,7 +323,11 @@ var QueryOptions = (function () {
     return new QueryOptions({
       fetchStrategy: FetchStrategy.fromName(json.fetchStrategy),
       mergeStrategy: MergeStrategy.fromName(json.mergeStrategy),
-      includeDeleted: json.includeDeleted === true
+      includeDeleted: json.includeDeleted === true,
+      expandFallbackToServer: json.expandFallbackToServer === true,
+      deduplicate: json.deduplicate === true,
+      cacheTtl: json.cacheTtl,
+      mergeChunkSize: json.mergeChunkSize
     });
   };
 
@@ -217,6 +337,11 @@ var QueryOptions = (function () {
           .whereParam("fetchStrategy").isEnumOf(FetchStrategy).isOptional()
           .whereParam("mergeStrategy").isEnumOf(MergeStrategy).isOptional()
           .whereParam("includeDeleted").isBoolean().isOptional()
+          .whereParam("expandFallbackToServer").isBoolean().isOptional()
+          .whereParam("signal").isObject().isOptional()
+          .whereParam("deduplicate").isBoolean().isOptional()
+          .whereParam("cacheTtl").isNumber().isOptional()
+          .whereParam("mergeChunkSize").isNumber().isOptional()
           .applyAll(obj);
     }
     return obj;
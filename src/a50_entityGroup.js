@@ -12,6 +12,8 @@ var EntityGroup = (function () {
     this._indexMap = {};
     this._entities = [];
     this._emptyIndexes = [];
+    // secondary indexes keyed by data property name.
+    this._secondaryIndexes = {};
   };
   var proto = ctor.prototype;
 
@@ -53,6 +55,9 @@ var EntityGroup = (function () {
       aspect.entityState = entityState;
       aspect.entityGroup = this;
       aspect.entityManager = this.entityManager;
+      __objectForEach(this._secondaryIndexes, function (propName, index) {
+        index.add(entity, entity.getProperty(propName));
+      });
       return entity;
     }
   };
@@ -70,6 +75,9 @@ var EntityGroup = (function () {
     delete this._indexMap[keyInGroup];
     this._emptyIndexes.push(ix);
     this._entities[ix] = null;
+    __objectForEach(this._secondaryIndexes, function (propName, index) {
+      index.remove(entity, entity.getProperty(propName));
+    });
     return entity;
   };
 
@@ -137,11 +145,63 @@ var EntityGroup = (function () {
     this._entities = null;
     this._indexMap = null;
     this._emptyIndexes = null;
+    this._secondaryIndexes = null;
+  };
+
+  proto._addIndex = function (property) {
+    var index = this._secondaryIndexes[property.name];
+    if (index) return index;
+    index = this._secondaryIndexes[property.name] = new SecondaryIndex(property);
+    this._entities.forEach(function (entity) {
+      entity && index.add(entity, entity.getProperty(property.name));
+    });
+    return index;
+  };
+
+  proto._removeIndex = function (propertyName) {
+    delete this._secondaryIndexes[propertyName];
+  };
+
+  // called by the property interceptor whenever a data property of one of this group's entities changes.
+  proto._updateIndexes = function (entity, property, oldValue, newValue) {
+    var index = this._secondaryIndexes[property.name];
+    // entities that are not in the index are being detached.
+    if (index && index.remove(entity, oldValue)) {
+      index.add(entity, newValue);
+    }
+  };
+
+  // returns the smallest set of entities that might satisfy all of the 'terms' ( see Predicate._getIndexTerms) or
+  // null if none of the terms can use an index.  The entities are returned in the same order as they appear in the group.
+  proto._findIndexedEntities = function (terms) {
+    var that = this;
+    var candidates = null;
+    terms.forEach(function (term) {
+      var index = that._secondaryIndexes[term.propertyPath];
+      var entities = index && index.find(term.op, term.value);
+      if (entities && (candidates == null || entities.length < candidates.length)) {
+        candidates = entities;
+      }
+    });
+    if (candidates == null) return null;
+    var indexMap = this._indexMap;
+    var positions = candidates.map(function (entity) {
+      return indexMap[entity.entityAspect.getKey()._keyInGroup];
+    }).sort(function (a, b) {
+      return a - b;
+    });
+    var groupEntities = this._entities;
+    return positions.map(function (ix) {
+      return groupEntities[ix];
+    });
   };
 
   proto._updateFkVal = function (fkProp, oldValue, newValue) {
     var fkPropName = fkProp.name;
-    this._entities.forEach(function (entity) {
+    var index = this._secondaryIndexes[fkPropName];
+    // the index is updated by each setProperty call so the candidates must be copied first.
+    var entities = index ? index.find("eq", oldValue) : this._entities;
+    entities.forEach(function (entity) {
       if (entity != null) {
         if (entity.getProperty(fkPropName) == oldValue) {
           entity.setProperty(fkPropName, newValue);
@@ -171,6 +231,119 @@ var EntityGroup = (function () {
     this._indexMap[newKey._keyInGroup] = ix;
   };
 
+  // maps the values of a single data property to the entities that have them. String values are trimmed and lower cased,
+  // so that a lookup returns a superset of the matches under any LocalQueryComparisonOptions. Callers
+  // must still apply the full predicate to the entities returned.
+  var SecondaryIndex = function (property) {
+    this.property = property;
+    this._comparableFn = DataType.getComparableFn(property.dataType);
+    this._buckets = {};
+    this._sortedBuckets = null;
+  };
+
+  var indexProto = SecondaryIndex.prototype;
+
+  indexProto.add = function (entity, value) {
+    var key = this._getKey(value);
+    var bucket = this._buckets[key];
+    if (!bucket) {
+      bucket = this._buckets[key] = { value: this._comparableFn(value), entities: [] };
+      this._sortedBuckets = null;
+    }
+    bucket.entities.push(entity);
+  };
+
+  indexProto.remove = function (entity, value) {
+    var key = this._getKey(value);
+    var bucket = this._buckets[key];
+    var ix = bucket ? bucket.entities.indexOf(entity) : -1;
+    if (ix < 0) return false;
+    bucket.entities.splice(ix, 1);
+    if (bucket.entities.length === 0) {
+      delete this._buckets[key];
+      this._sortedBuckets = null;
+    }
+    return true;
+  };
+
+  // returns null if the index cannot be used for this 'op'.
+  indexProto.find = function (op, value) {
+    var that = this;
+    if (op === "eq") {
+      return this._getEntities(value);
+    } else if (op === "in") {
+      // values that share a key ( repeats, or strings that differ only in case ) share a bucket, which must only be read once.
+      var keys = {};
+      return Array.prototype.concat.apply([], value.map(function (v) {
+        var key = that._getKey(v);
+        if (keys[key]) return [];
+        keys[key] = true;
+        return that._getEntities(v);
+      }));
+    } else if (op === "gt" || op === "ge" || op === "lt" || op === "le") {
+      return this._findRange(op, value);
+    }
+    return null;
+  };
+
+  indexProto._getEntities = function (value) {
+    var bucket = this._buckets[this._getKey(value)];
+    return bucket ? bucket.entities.slice() : [];
+  };
+
+  indexProto._findRange = function (op, value) {
+    var comparable = this._comparableFn(value);
+    // string comparisons are case sensitive and the keys are not so strings cannot use the index.
+    if (typeof comparable !== "number") return null;
+    var sorted = this._getSortedBuckets();
+    if (!sorted) return null;
+    var isLower = (op === "lt" || op === "le");
+    var isInclusive = (op === "ge" || op === "le");
+    // binary search for the first bucket that is not below the range of the 'gt'/'ge' ops.
+    var lo = 0, hi = sorted.length;
+    while (lo < hi) {
+      var mid = (lo + hi) >> 1;
+      var v = sorted[mid].value;
+      if (v < comparable || (v === comparable && (isLower === isInclusive))) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    var inRange = isLower ? sorted.slice(0, lo) : sorted.slice(lo);
+    // null comparisons follow javascript rules - so entities with null values are always candidates.
+    var nullBucket = this._buckets[this._getKey(null)];
+    if (nullBucket) inRange.push(nullBucket);
+    return Array.prototype.concat.apply([], inRange.map(function (bucket) {
+      return bucket.entities;
+    }));
+  };
+
+  // the non null buckets in ascending order - null if the values are not all numbers.
+  indexProto._getSortedBuckets = function () {
+    if (this._sortedBuckets) return this._sortedBuckets;
+    var buckets = [];
+    for (var key in this._buckets) {
+      var bucket = this._buckets[key];
+      if (bucket.value == null) continue;
+      if (typeof bucket.value !== "number") return null;
+      buckets.push(bucket);
+    }
+    this._sortedBuckets = buckets.sort(function (b1, b2) {
+      return b1.value - b2.value;
+    });
+    return this._sortedBuckets;
+  };
+
+  indexProto._getKey = function (value) {
+    if (value == null) return "null";
+    var comparable = this._comparableFn(value);
+    if (typeof comparable === "string") {
+      return "s:" + comparable.trim().toLowerCase();
+    }
+    return (typeof comparable) + ":" + comparable;
+  };
+
   function getFilter(entityStates) {
     if (!entityStates) {
       return function (e) {
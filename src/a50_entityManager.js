@@ -51,6 +51,7 @@ var EntityManager = (function () {
   @param [config.saveOptions] {SaveOptions}
   @param [config.validationOptions=ValidationOptions.defaultInstance] {ValidationOptions}
   @param [config.keyGeneratorCtor] {Function}
+  @param [config.changeHistoryDepth] {Number} The maximum number of units of change that can be undone ( see 'undo' ).
   **/
   var ctor = function EntityManager(config) {
 
@@ -68,6 +69,16 @@ var EntityManager = (function () {
     this.entityChanged = new Event("entityChanged", this);
     this.validationErrorsChanged = new Event("validationErrorsChanged", this);
     this.hasChangesChanged = new Event("hasChangesChanged", this);
+    this.queryMergeProgress = new Event("queryMergeProgress", this);
+    // records the changes to this EntityManager's entities for 'undo' and 'redo' - null until it is needed ( see getChangeHistory ).
+    this._changeHistory = this.changeHistoryDepth != null ? new ChangeHistory(this) : null;
+    // promises for the queries currently being executed with 'QueryOptions.deduplicate', keyed by query and dataService.
+    this._inFlightQueries = {};
+    // names of the indexed data properties, keyed by entityType name ( see addIndex ).
+    this._indexedProperties = {};
+    this.parentEntityManager = null;
+    // the values of each sandbox entity when the sandbox was created, keyed by EntityKey ( see createSandbox ).
+    this._sandboxBaselines = null;
 
     this.clear();
 
@@ -94,9 +105,13 @@ var EntityManager = (function () {
   @param [config.saveOptions] {SaveOptions}
   @param [config.validationOptions] {ValidationOptions}
   @param [config.keyGeneratorCtor] {Function}
+  @param [config.changeHistoryDepth] {Number}
   **/
   proto.setProperties = function (config) {
     updateWithConfig(this, config, false);
+    if (this.changeHistoryDepth != null) {
+      getChangeHistory(this);
+    }
   };
 
   function updateWithConfig(em, config, isCtor) {
@@ -111,7 +126,8 @@ var EntityManager = (function () {
         .whereParam("queryOptions").isInstanceOf(QueryOptions).isOptional().withDefault(defaultQueryOptions)
         .whereParam("saveOptions").isInstanceOf(SaveOptions).isOptional().withDefault(defaultSaveOptions)
         .whereParam("validationOptions").isInstanceOf(ValidationOptions).isOptional().withDefault(defaultValidationOptions)
-        .whereParam("keyGeneratorCtor").isFunction().isOptional();
+        .whereParam("keyGeneratorCtor").isFunction().isOptional()
+        .whereParam("changeHistoryDepth").isNumber().isOptional();
     if (isCtor) {
       configParam = configParam
           .whereParam("metadataStore").isInstanceOf(MetadataStore).isOptional().withDefault(new MetadataStore());
@@ -185,6 +201,22 @@ var EntityManager = (function () {
   @property keyGeneratorCtor {KeyGenerator constructor}
   **/
 
+  /**
+  The maximum number of units of change that can be undone. Changes are recorded for 'undo' and 'redo' from the start when
+  this is set; otherwise they are only recorded once 'beginChangeGroup', 'createCheckpoint' or 'beginTransaction' has been called,
+  and no more than 100 units are kept. Older units are discarded - except while a transaction is active.
+
+  __readOnly__
+  @property changeHistoryDepth {Number}
+  **/
+
+  /**
+  The EntityManager that this EntityManager is a sandbox of, or null if it is not a sandbox ( see {{#crossLink "EntityManager/createSandbox"}}{{/crossLink}} ).
+
+  __readOnly__
+  @property parentEntityManager {EntityManager}
+  **/
+
 
   // events
   /**
@@ -228,6 +260,22 @@ var EntityManager = (function () {
   @readOnly
   **/
 
+  /**
+  An {{#crossLink "Event"}}{{/crossLink}} that fires after each chunk of a query result is merged into this EntityManager when the query
+  is executed with a {{#crossLink "QueryOptions/mergeChunkSize"}}{{/crossLink}}.
+  @example
+      var em = new EntityManager( {serviceName: "breeze/NorthwindIBModel" });
+      em.queryMergeProgress.subscribe(function(args) {
+          var percentDone = 100 * args.mergedCount / args.totalCount;
+      });
+  @event queryMergeProgress
+  @param entityManager {EntityManager} The EntityManager that the results are being merged into.
+  @param query {EntityQuery} The query whose results are being merged.
+  @param mergedCount {Integer} The number of top level results that have been merged so far.
+  @param totalCount {Integer} The number of top level results returned by the server.
+  @readOnly
+  **/
+
   // class methods
 
   /**
@@ -527,6 +575,8 @@ var EntityManager = (function () {
     });
 
     this._entityGroupMap = {};
+    // when each query was last satisfied by the server and any revalidation in progress - keyed by getQueryCacheKey.
+    this._queryCache = {};
     this._unattachedChildrenMap = new UnattachedChildrenMap();
     this.keyGenerator = new this.keyGeneratorCtor();
     this.entityChanged.publish({ entityAction: EntityAction.Clear });
@@ -546,10 +596,286 @@ var EntityManager = (function () {
   **/
   proto.createEmptyCopy = function () {
     var copy = new ctor(__extend({}, this,
-        ["dataService", "metadataStore", "queryOptions", "saveOptions", "validationOptions", "keyGeneratorCtor"]));
+        ["dataService", "metadataStore", "queryOptions", "saveOptions", "validationOptions", "keyGeneratorCtor", "changeHistoryDepth"]));
+    __objectForEach(this._indexedProperties, function (entityTypeName, propNames) {
+      copy._indexedProperties[entityTypeName] = propNames.slice();
+    });
     return copy;
   };
 
+  /**
+  Creates a sandbox - a child EntityManager, with all of this EntityManager's settings, that contains copies of the specified
+  entities. Changes made in the sandbox do not affect this EntityManager until they are committed with
+  {{#crossLink "EntityManager/commitToParent"}}{{/crossLink}}; or they can be thrown away with {{#crossLink "EntityManager/discard"}}{{/crossLink}}.
+  The entities should include every entity of the graph that is to be edited; the relations between them are preserved in the sandbox.
+  @example
+      // assume em1 is an EntityManager containing order1 and its orderDetails.
+      var sandbox = em1.createSandbox([order1].concat(order1.getProperty("orderDetails")));
+      var sandboxOrder = sandbox.getEntityByKey(order1.entityAspect.getKey());
+      sandboxOrder.setProperty("freight", 10);
+      // order1 is unchanged until
+      sandbox.commitToParent();
+  @method createSandbox
+  @param entities {Array of Entity} The entities to copy into the sandbox.
+  @return {EntityManager} The sandbox.
+  **/
+  proto.createSandbox = function (entities) {
+    assertParam(entities, "entities").isArray().isEntity().check();
+    var sandbox = this.createEmptyCopy();
+    var bundle = this.exportEntities(entities, { asString: false, includeMetadata: false });
+    var result = sandbox.importEntities(bundle, { mergeStrategy: MergeStrategy.OverwriteChanges });
+    var parentKeys = {};
+    entities.forEach(function (entity) {
+      var key = entity.entityAspect.getKey();
+      var sandboxKey = getMappedKey(result.tempKeyMapping, key) || key;
+      parentKeys[sandboxKey.toString()] = key;
+    });
+    var baselines = {};
+    result.entities.forEach(function (entity) {
+      var key = entity.entityAspect.getKey().toString();
+      baselines[key] = { entity: entity, entityState: entity.entityAspect.entityState, parentKey: parentKeys[key], values: getDataValues(entity) };
+    });
+    sandbox.parentEntityManager = this;
+    sandbox._sandboxBaselines = baselines;
+    sandbox._changeHistory && sandbox._changeHistory.clear();
+    return sandbox;
+  };
+
+  /**
+  Merges the changed, added and deleted entities of this sandbox back into its parent EntityManager and then discards the sandbox.
+  Only the properties that were changed in the sandbox are merged, so changes made to other properties in the parent since the
+  sandbox was created are kept. The temporary keys of entities added in the sandbox are replaced with new temporary keys of the
+  parent, and foreign keys that refer to them are updated. The merge is published as ordinary changes in the parent, so it can be undone there.
+
+  A conflict occurs when a property changed in the sandbox has been changed to a different value in the parent since the sandbox was
+  created, or when an entity changed in the sandbox has since been detached or deleted in the parent. If there are any conflicts
+  nothing is merged and an exception is thrown whose 'conflicts' property describes them - unless 'overwriteConflicts' is set, in which
+  case the sandbox's values of conflicting properties are used. Changes to entities that are detached or deleted in the parent are never merged.
+  @example
+      // assume sandbox was created with em1.createSandbox( ... ).
+      try {
+          var result = sandbox.commitToParent();
+      } catch (e) {
+          e.conflicts.forEach(function (conflict) {
+              // conflict.entity, conflict.parentEntity, conflict.propertyNames
+          });
+      }
+  @method commitToParent
+  @param [config] {Object}
+  @param [config.overwriteConflicts=false] {Boolean} Whether the sandbox's values should be used for properties that were changed in both
+  the sandbox and the parent.
+  @return {Object} result
+
+  result.entities {Array of Entity} The entities of the parent that were added, changed or deleted.
+
+  result.tempKeyMapping {Object} Mapping from the EntityKey of each entity that was added in this sandbox to its EntityKey in the parent.
+
+  result.conflicts {Array of Object} The conflicts that were overwritten.
+  **/
+  proto.commitToParent = function (config) {
+    config = config || {};
+    assertConfig(config)
+        .whereParam("overwriteConflicts").isBoolean().isOptional().withDefault(false)
+        .applyAll(config);
+    var parent = checkSandbox(this);
+    var baselines = this._sandboxBaselines;
+    var changes = this.getChanges();
+    // entities that were added in the parent are detached, rather than deleted, when they are deleted in the sandbox.
+    __objectForEach(baselines, function (key, baseline) {
+      if (baseline.entityState.isAdded() && baseline.entity.entityAspect.entityState.isDetached()) {
+        changes.push(baseline.entity);
+      }
+    });
+
+    var conflicts = [];
+    changes.forEach(function (entity) {
+      var conflict = getSandboxConflict(parent, entity, baselines[entity.entityAspect.getKey().toString()]);
+      conflict && conflicts.push(conflict);
+    });
+    var unmergeable = conflicts.filter(function (conflict) {
+      return conflict.propertyNames.length === 0;
+    });
+    if (unmergeable.length || (conflicts.length && !config.overwriteConflicts)) {
+      var err = new Error("Unable to commit the sandbox because " + conflicts.length +
+          " of its changed entities conflict with changes made to its parent EntityManager");
+      err.conflicts = conflicts;
+      throw err;
+    }
+
+    // the key in the parent of every sandbox entity that may be referred to by a foreign key.
+    var parentKeyMap = {};
+    __objectForEach(baselines, function (key, baseline) {
+      parentKeyMap[key] = baseline.parentKey;
+    });
+    var tempKeyMapping = {};
+    var addedEntities = changes.filter(function (entity) {
+      var aspect = entity.entityAspect;
+      var key = aspect.getKey();
+      if (baselines[key.toString()]) return false;
+      if (aspect.hasTempKey) {
+        var entityType = entity.entityType;
+        var parentKey = new EntityKey(entityType, parent.keyGenerator.generateTempKeyValue(entityType));
+        parentKeyMap[key.toString()] = tempKeyMapping[key.toString()] = parentKey;
+      }
+      return true;
+    });
+
+    var parentEntities = [];
+    // the merge is a single unit of change in the parent's change history.
+    var changeHistory = parent._changeHistory;
+    __wrapExecution(function () {
+      changeHistory && changeHistory.beginGroup();
+    }, function () {
+      changeHistory && changeHistory.endGroup();
+    }, function () {
+      // entities added in the sandbox are attached before the foreign keys of other entities are changed to refer to them.
+      addedEntities.forEach(function (entity) {
+        var entityType = entity.entityType;
+        var parentEntity = entityType._createInstanceCore();
+        var rawEntity = structuralObjectToJson(entity, entityType.dataProperties, getSerializerFn(entityType), []);
+        entityType._updateTargetFromRaw(parentEntity, rawEntity, DataProperty.getRawValueFromClient);
+        var parentKey = parentKeyMap[entity.entityAspect.getKey().toString()];
+        if (parentKey) {
+          parentEntity.entityAspect.hasTempKey = true;
+          parentEntity.setProperty(entityType.keyProperties[0].name, parentKey.values[0]);
+        }
+        updateSandboxForeignKeys(entity, parentEntity, parentKeyMap, null);
+        parentEntities.push(parent.attachEntity(parentEntity, entity.entityAspect.entityState));
+      });
+      changes.forEach(function (entity) {
+        var baseline = baselines[entity.entityAspect.getKey().toString()];
+        if (!baseline) return;
+        var parentEntity = parent.getEntityByKey(baseline.parentKey);
+        if (isSandboxDeletion(entity)) {
+          if (parentEntity && !parentEntity.entityAspect.entityState.isDeleted()) {
+            // the delete rules were applied in the sandbox and their changes are committed along with it.
+            __using(parent, "_isApplyingDeleteRules", true, function () {
+              parentEntity.entityAspect.setDeleted();
+            });
+          }
+        } else {
+          var values = getDataValues(entity);
+          entity.entityType.dataProperties.forEach(function (dp) {
+            var pn = dp.name;
+            if (dp.isPartOfKey || dp.relatedNavigationProperty || isSameValue(values[pn], baseline.values[pn])) return;
+            setSandboxValue(parentEntity, dp, entity.getProperty(pn));
+          });
+          updateSandboxForeignKeys(entity, parentEntity, parentKeyMap, baseline);
+        }
+        parentEntity && parentEntities.push(parentEntity);
+      });
+    });
+
+    this.discard();
+    return {
+      entities: parentEntities,
+      tempKeyMapping: tempKeyMapping,
+      conflicts: conflicts
+    };
+  };
+
+  /**
+  Throws away this sandbox and all of the changes made within it, leaving its parent EntityManager untouched.
+  @example
+      // assume sandbox was created with em1.createSandbox( ... ).
+      sandbox.discard();
+  @method discard
+  **/
+  proto.discard = function () {
+    checkSandbox(this);
+    this.clear();
+    this.parentEntityManager = null;
+    this._sandboxBaselines = null;
+  };
+
+  /**
+  Declares a secondary index on one or more data properties of an EntityType ( and its subtypes ). Local queries
+  ( see {{#crossLink "EntityManager/executeQueryLocally"}}{{/crossLink}} ) whose 'where' clause compares an indexed property
+  to a literal with an 'eq', 'in', 'gt', 'ge', 'lt' or 'le' operator will only examine the entities returned by the index
+  instead of every entity of that type in the cache. The index is also used to fix up the foreign keys of related entities
+  when a key changes. Indexes are kept current as entities are attached, detached and modified and survive a
+  call to {{#crossLink "EntityManager/clear"}}{{/crossLink}}.
+  @example
+      // index all of the foreign key properties of the 'Order' type.
+      em.addIndex("Order");
+      // index specific properties
+      em.addIndex("Order", ["shipCity", "orderDate"]);
+      // this query will now use the 'shipCity' index.
+      var orders = em.executeQueryLocally(EntityQuery.from("Orders").where("shipCity", "==", "London"));
+  @method addIndex
+  @param entityType {EntityType|String} The EntityType or EntityType name to index.
+  @param [propertyNames] {String|Array of String} The names of the scalar data properties to index; defaults to
+  all of the foreign key properties of the EntityType.
+  **/
+  proto.addIndex = function (entityType, propertyNames) {
+    assertParam(entityType, "entityType").isString().or().isInstanceOf(EntityType).check();
+    assertParam(propertyNames, "propertyNames").isOptional().isString().or().isNonEmptyArray().isString().check();
+    entityType = checkEntityTypes(this, entityType);
+    var props = getIndexableProperties(entityType, propertyNames);
+    var em = this;
+    entityType.getSelfAndSubtypes().forEach(function (et) {
+      var propNames = em._indexedProperties[et.name] = em._indexedProperties[et.name] || [];
+      var group = em._entityGroupMap[et.name];
+      props.forEach(function (prop) {
+        if (propNames.indexOf(prop.name) === -1) {
+          propNames.push(prop.name);
+        }
+        group && group._addIndex(prop);
+      });
+    });
+  };
+
+  /**
+  Removes secondary indexes previously declared with {{#crossLink "EntityManager/addIndex"}}{{/crossLink}}.
+  @example
+      em.removeIndex("Order", "shipCity");
+      // remove all of the remaining indexes on 'Order'
+      em.removeIndex("Order");
+  @method removeIndex
+  @param entityType {EntityType|String} The EntityType or EntityType name whose indexes should be removed.
+  @param [propertyNames] {String|Array of String} The names of the indexed properties; defaults to all of them.
+  **/
+  proto.removeIndex = function (entityType, propertyNames) {
+    assertParam(entityType, "entityType").isString().or().isInstanceOf(EntityType).check();
+    assertParam(propertyNames, "propertyNames").isOptional().isString().or().isNonEmptyArray().isString().check();
+    entityType = checkEntityTypes(this, entityType);
+    if (typeof propertyNames === "string") {
+      propertyNames = [propertyNames];
+    }
+    var em = this;
+    entityType.getSelfAndSubtypes().forEach(function (et) {
+      var propNames = em._indexedProperties[et.name];
+      if (!propNames) return;
+      var group = em._entityGroupMap[et.name];
+      var remaining = propNames.filter(function (propName) {
+        var isRemoved = !propertyNames || propertyNames.indexOf(propName) >= 0;
+        isRemoved && group && group._removeIndex(propName);
+        return !isRemoved;
+      });
+      if (remaining.length) {
+        em._indexedProperties[et.name] = remaining;
+      } else {
+        delete em._indexedProperties[et.name];
+      }
+    });
+  };
+
+  function getIndexableProperties(entityType, propertyNames) {
+    if (propertyNames == null) {
+      return entityType.foreignKeyProperties;
+    }
+    if (typeof propertyNames === "string") {
+      propertyNames = [propertyNames];
+    }
+    return propertyNames.map(function (propName) {
+      var prop = entityType.getProperty(propName);
+      if (!prop || !prop.isDataProperty || prop.isComplexProperty || !prop.isScalar) {
+        throw new Error(__formatString("'%1' is not a scalar data property of the '%2' EntityType and cannot be indexed", propName, entityType.name));
+      }
+      return prop;
+    });
+  }
+
   /**
   Attaches an entity to this EntityManager with an  {{#crossLink "EntityState"}}{{/crossLink}} of 'Added'.
   @example
@@ -765,6 +1091,16 @@ var EntityManager = (function () {
   items that would have been returned by the query before applying any skip or take operators, but after any filter/where predicates
   would have been applied.
   @param callback.data.retrievedEntities {Array of Entity} All entities returned by the query.  Differs from results when .expand() is used.
+  @param callback.data.count {Integer} Only available if 'count()' was applied to the query, in which case it replaces the 'results'.
+  @param callback.data.loadedExpandPaths {Array of String} Only available for an expanded query executed against the local cache.
+  The 'expand' paths that have been loaded for every entity in the results.
+  @param callback.data.unloadedExpandPaths {Array of String} Only available for an expanded query executed against the local cache.
+  The 'expand' paths that have not yet been loaded for one or more entities in the results. See
+  {{#crossLink "QueryOptions/expandFallbackToServer"}}{{/crossLink}} to have such a query executed against the server instead.
+  @param callback.data.continuationToken {String} Only available if 'take' and either 'after' or 'before' were applied to the query and a full page of entities was returned.
+  Passing it to the 'after' method of the query ( or 'before' for a 'before' query) returns the next page.
+  @param callback.data.revalidation {Promise} Only available for a {{#crossLink "FetchStrategy/StaleWhileRevalidate"}}{{/crossLink}} query whose
+  cached results have expired. Resolves to the query result of the server query that refreshes the cache.
 
   @param [errorCallback] {Function} Function called on failure.
 
@@ -773,6 +1109,7 @@ var EntityManager = (function () {
   @param [errorCallback.error.query] The query that caused the error.
   @param [errorCallback.error.entityManager] The query that caused the error.
   @param [errorCallback.error.httpResponse] {HttpResponse} The HttpResponse returned from the server.
+  @param [errorCallback.error.isCancelled] {Boolean} True if the query was cancelled via its {{#crossLink "QueryOptions/signal"}}{{/crossLink}}.
 
 
   @return {Promise}
@@ -784,6 +1121,7 @@ var EntityManager = (function () {
       - [inlineCount] {Integer} Only available if 'inlineCount(true)' was applied to the query.  Returns the count of
     items that would have been returned by the query before applying any skip or take operators, but after any filter/where predicates
     would have been applied.
+      - [count] {Integer} Only available if 'count()' was applied to the query.
   **/
   proto.executeQuery = function (query, callback, errorCallback) {
     assertParam(query, "query").isInstanceOf(EntityQuery).or().isString().check();
@@ -796,6 +1134,27 @@ var EntityManager = (function () {
     var queryOptions = QueryOptions.resolve([ query.queryOptions, this.queryOptions, QueryOptions.defaultInstance]);
     var dataService = DataService.resolve([ query.dataService, this.dataService]);
 
+    var fetchStrategy = queryOptions.fetchStrategy;
+    if (fetchStrategy === FetchStrategy.FromLocalCacheIfFresh || fetchStrategy === FetchStrategy.StaleWhileRevalidate) {
+      var cacheEntry = this._queryCache[getQueryCacheKey(query, dataService)];
+      var isFresh = isQueryCacheEntryFresh(cacheEntry, queryOptions.cacheTtl);
+      if (isFresh || (cacheEntry && fetchStrategy === FetchStrategy.StaleWhileRevalidate)) {
+        promise = executeQueryCore(this, query, queryOptions.using(FetchStrategy.FromLocalCache), dataService);
+        if (!isFresh) {
+          promise = addRevalidation(this, promise, query, queryOptions, dataService);
+        }
+        return promiseWithCallbacks(promise, callback, errorCallback);
+      }
+      // otherwise executed against the server by executeQueryCore.
+    }
+
+    var inFlightKey = getInFlightKey(query, queryOptions, dataService);
+    var inFlightQueries = this._inFlightQueries;
+    if (inFlightKey && inFlightQueries[inFlightKey]) {
+      promise = shareQueryResult(inFlightQueries[inFlightKey], query);
+      return promiseWithCallbacks(promise, callback, errorCallback);
+    }
+
     if ((!dataService.hasServerMetadata ) || this.metadataStore.hasMetadataFor(dataService.serviceName)) {
       promise = executeQueryCore(this, query, queryOptions, dataService);
     } else {
@@ -805,6 +1164,54 @@ var EntityManager = (function () {
       });
     }
 
+    if (inFlightKey) {
+      var inFlightPromise = inFlightQueries[inFlightKey] = promise;
+      var removeInFlight = function () {
+        if (inFlightQueries[inFlightKey] === inFlightPromise) {
+          delete inFlightQueries[inFlightKey];
+        }
+      };
+      inFlightPromise.then(removeInFlight, removeInFlight);
+      promise = shareQueryResult(inFlightPromise, query);
+    }
+
+    return promiseWithCallbacks(promise, callback, errorCallback);
+  };
+
+  /**
+  Executes the specified query in 'count' mode, i.e. returns only the number of entities that satisfy the query's 'where'/'filter'
+  clauses.  This is the same as calling 'executeQuery' with a query that has had 'count()' applied to it and then
+  retrieving the 'count' property of the result.
+  @example
+      var em = new EntityManager(serviceName);
+      var query = new EntityQuery("Orders").where("Freight", ">", 100);
+      em.executeQueryCount(query).then( function(count) {
+          ... count processed here
+      }).fail( function(err) {
+          ... query failure processed here
+      });
+  @method executeQueryCount
+  @async
+  @param query {EntityQuery}  The {{#crossLink "EntityQuery"}}{{/crossLink}} to count.
+  @param [callback] {Function} Function called on success.
+
+  successFunction([count])
+  @param callback.count {Integer} The number of entities that satisfy the query.
+
+  @param [errorCallback] {Function} Function called on failure.
+
+  failureFunction([error])
+  @param [errorCallback.error] {Error} Any error that occured wrapped into an Error object.
+  @return {Promise}
+    - The promise result is the number of entities that satisfy the query.
+  **/
+  proto.executeQueryCount = function (query, callback, errorCallback) {
+    assertParam(query, "query").isInstanceOf(EntityQuery).check();
+    assertParam(callback, "callback").isFunction().isOptional().check();
+    assertParam(errorCallback, "errorCallback").isFunction().isOptional().check();
+    var promise = this.executeQuery(query.count()).then(function (data) {
+      return data.count;
+    });
     return promiseWithCallbacks(promise, callback, errorCallback);
   };
 
@@ -831,12 +1238,78 @@ var EntityManager = (function () {
       });
   @method executeQueryLocally
   @param query {EntityQuery}  The {{#crossLink "EntityQuery"}}{{/crossLink}} to execute.
-  @return  {Array of Entity}  Array of entities from cache that satisfy the query
+  @return  {Array of Entity}  Array of entities from cache that satisfy the query. A query that has had 'count()' applied
+  to it must be executed with 'executeQueryLocallyCount' instead.
   **/
   proto.executeQueryLocally = function (query) {
+    if (query.countOnlyEnabled) {
+      throw new Error("A query that has had 'count()' applied to it should be executed locally with 'executeQueryLocallyCount'");
+    }
     return executeQueryLocallyCore(this, query).results;
   }
 
+  /**
+  Returns the number of entities in this EntityManager's local cache that satisfy the query's 'where' clause. Any ordering,
+  'skip' and 'take' are ignored - as they are by 'executeQueryCount'.
+  @example
+      var em = new EntityManager(serviceName);
+      var query = new EntityQuery("Orders").where("Freight", ">", 100);
+      var count = em.executeQueryLocallyCount(query);
+  @method executeQueryLocallyCount
+  @param query {EntityQuery}  The {{#crossLink "EntityQuery"}}{{/crossLink}} to count.
+  @return {Integer} The number of entities from cache that satisfy the query.
+  **/
+  proto.executeQueryLocallyCount = function (query) {
+    assertParam(query, "query").isInstanceOf(EntityQuery).check();
+    return executeQueryLocallyCore(this, query.count()).count;
+  };
+
+  /**
+  Returns a description of how the specified query will be resolved without executing it. This is useful when diagnosing why
+  a query does not return the expected results; for example the 'dataType' inferred for each literal in its 'where' clause.
+  @example
+      var query = new EntityQuery("Orders").where("CustomerID", "==", "C4E1A2B3-0000-0000-0000-000000000000");
+      var explanation = em.explainQuery(query);
+      // explanation.wherePredicate.expr2.dataType === "Guid"
+      // explanation.json.where is { CustomerID: "c4e1a2b3-0000-0000-0000-000000000000" }
+  Metadata is not fetched by this method so the EntityTypes of a query that has not yet been resolved against metadata will be null.
+  @method explainQuery
+  @param query {EntityQuery}  The {{#crossLink "EntityQuery"}}{{/crossLink}} to explain.
+  @return {Object}
+    - query {EntityQuery} The original query.
+    - fromEntityType {EntityType} The EntityType of the query's resource name; null if it cannot be resolved.
+    - resultEntityType {EntityType} The EntityType of the query's results; null if it cannot be resolved or the results are projections.
+    - wherePredicate {Object} The validated 'where' clause - including any 'after' or 'before' clause - as a tree of
+      'op', 'preds', 'expr1' and 'expr2' nodes.  Every literal in the tree has its 'value' and inferred 'dataType' name and
+      every property its 'propertyPath', 'nameOnServer' and 'dataType' name.
+    - json {Object} The query serialized with the server's property names after applying the NamingConvention.
+    - uri {String} The uri built for the query by the uriBuilder of the resolved DataService.
+    - queryOptions {QueryOptions} The QueryOptions that the query will be executed with.
+    - dataService {DataService} The DataService that the query will be executed against.
+  **/
+  proto.explainQuery = function (query) {
+    assertParam(query, "query").isInstanceOf(EntityQuery).check();
+    var metadataStore = this.metadataStore;
+    var queryOptions = QueryOptions.resolve([ query.queryOptions, this.queryOptions, QueryOptions.defaultInstance]);
+    var dataService = DataService.resolve([ query.dataService, this.dataService]);
+    var fromEntityType = query._getFromEntityType(metadataStore, false) || null;
+    // an anonymous type still provides the NamingConvention of the metadataStore.
+    var entityType = fromEntityType || new EntityType(metadataStore);
+    // an 'after' or 'before' clause is executed as an ordinary filter and ordering.
+    var expandedQuery = query._expandKeyset(entityType);
+    var context = { entityType: entityType, usesNameOnServer: query.usesNameOnServer };
+    return {
+      query: query,
+      fromEntityType: fromEntityType,
+      resultEntityType: query._getToEntityType(metadataStore, false) || null,
+      wherePredicate: expandedQuery.wherePredicate ? expandedQuery.wherePredicate._explain(context) : null,
+      json: expandedQuery.toJSONExt({ entityType: entityType, toNameOnServer: true }),
+      uri: dataService.qualifyUrl(dataService.uriBuilder.buildUri(query, metadataStore)),
+      queryOptions: queryOptions,
+      dataService: dataService
+    };
+  };
+
   function executeQueryLocallyCore(em, query) {
     assertParam(query, "query").isInstanceOf(EntityQuery).check();
 
@@ -844,26 +1317,44 @@ var EntityManager = (function () {
     var entityType = query._getFromEntityType(metadataStore, true);
     // there may be multiple groups is this is a base entity type.
     var groups = findOrCreateEntityGroups(em, entityType);
+    // an 'after' or 'before' clause becomes part of the filter and ordering.
+    var keysetQuery = query;
+    query = query._expandKeyset(entityType);
     // filter then order then skip then take
     var filterFunc = query.wherePredicate && query.wherePredicate.toFunction({ entityType: entityType});
+    var searchFunc = query.searchClause && query.searchClause.toFunction(entityType);
+    // the 'and'ed comparisons in the (now validated) predicate that a secondary index may be able to satisfy.
+    var indexTerms = query.wherePredicate ? query.wherePredicate._getIndexTerms() : [];
 
     var queryOptions = QueryOptions.resolve([ query.queryOptions, em.queryOptions, QueryOptions.defaultInstance]);
     var includeDeleted = queryOptions.includeDeleted === true;
 
     var newFilterFunc = function (entity) {
-      return entity && (includeDeleted || !entity.entityAspect.entityState.isDeleted()) && (filterFunc ? filterFunc(entity) : true);
+      return entity && (includeDeleted || !entity.entityAspect.entityState.isDeleted()) && (filterFunc ? filterFunc(entity) : true)
+          && (searchFunc ? searchFunc(entity) : true);
     };
 
     var result = [];
-    // TODO: mapMany
     groups.forEach(function (group) {
-      var entities = group._entities.filter(newFilterFunc);
+      var candidates = (indexTerms.length && group._findIndexedEntities(indexTerms)) || group._entities;
+      var entities = candidates.filter(newFilterFunc);
       if (entities.length) {
           result = result.length ? result.concat(entities) : entities;
       }
     });
 
-    var orderByComparer = query.orderByClause && query.orderByClause.getComparer(entityType);
+    // grouping occurs after filtering; any ordering, skip and take are applied to the grouped results.
+    var isGrouped = query._isGrouped();
+    if (isGrouped) {
+      result = groupResults(query, entityType, result);
+    }
+
+    // a count only query does not need to be sorted, paged or projected.
+    if (query.countOnlyEnabled) {
+      return { count: result.length };
+    }
+
+    var orderByComparer = query.orderByClause && query.orderByClause.getComparer(isGrouped ? null : entityType);
     if (orderByComparer) {
       result.sort(orderByComparer);
     }
@@ -880,15 +1371,59 @@ var EntityManager = (function () {
     if (takeCount) {
       result = result.slice(0, takeCount);
     }
+    // a 'before' query was sorted in reverse so that the 'take' applies to the entities just before its position.
+    if (keysetQuery.keysetClause && keysetQuery.keysetClause.isBefore) {
+      result.reverse();
+    }
+    var continuationToken = keysetQuery._getContinuationToken(result);
+
+    // expanded paths are checked against the entities before any projection is applied.
+    var expandClause = query.expandClause;
+    if (expandClause && !isGrouped) {
+      var loadedExpandPaths = [];
+      var unloadedExpandPaths = [];
+      expandClause.propertyPaths.forEach(function (propertyPath) {
+        var isLoaded = isNavPathLoaded(result, propertyPath.split('.'));
+        (isLoaded ? loadedExpandPaths : unloadedExpandPaths).push(propertyPath);
+      });
+    }
 
     var selectClause = query.selectClause;
     if (selectClause) {
-      var selectFn = selectClause.toFunction();
+      var selectFn = selectClause.toFunction({ entityType: entityType });
       result = result.map(selectFn);
     }
-    return {results: result, inlineCount: inlineCount};
+    return {results: result, inlineCount: inlineCount, continuationToken: continuationToken,
+      loadedExpandPaths: loadedExpandPaths, unloadedExpandPaths: unloadedExpandPaths };
   };
 
+  // a nav path is loaded only if every entity along the path has had its navigation property loaded.
+  function isNavPathLoaded(entities, propNames) {
+    var propName = propNames[0];
+    return entities.every(function (entity) {
+      if (!entity.entityAspect.isNavigationPropertyLoaded(propName)) return false;
+      if (propNames.length === 1) return true;
+      var next = entity.getProperty(propName);
+      if (!next) return true; // nothing further to load.
+      // nonscalar nav values are NOT really arrays - see markLoadedNavPath
+      if (!next.arrayChanged) next = [next];
+      return isNavPathLoaded(next, propNames.slice(1));
+    });
+  }
+
+  function groupResults(query, entityType, entities) {
+    var groupByClause = query.groupByClause;
+    var aggregateClause = query.aggregateClause;
+    aggregateClause && aggregateClause.validate(entityType);
+    if (groupByClause) {
+      groupByClause.validate(entityType);
+      return groupByClause.toFunction(aggregateClause)(entities);
+    } else {
+      // aggregates without a groupBy are computed across all of the entities.
+      return [aggregateClause.toFunction()(entities)];
+    }
+  }
+
   /**
   Saves either a list of specified entities or all changed entities within this EntityManager. If there are no changes to any of the entities
   specified then there will be no server side call made but a valid 'empty' saveResult will still be returned.
@@ -1457,6 +1992,35 @@ var EntityManager = (function () {
     return getChangesCore(this, entityTypes);
   };
 
+  /**
+  Returns a summary of the changes made to the specified entities - or to every changed entity in this EntityManager.
+  See {{#crossLink "EntityAspect/getChangedProperties"}}{{/crossLink}} for a description of the changes to each entity.
+  @example
+      // assume em1 is an EntityManager containing a number of preexisting entities.
+      var summary = em1.getChangeSummary();
+      summary.forEach(function (entitySummary) {
+          var count = entitySummary.changedProperties.length;
+          // entitySummary.entity, entitySummary.entityState
+      });
+  @method getChangeSummary
+  @param [entities] {Array of Entity} The entities to summarize. If this parameter is omitted, all changed entities are summarized.
+  @return {Array of Object} An array with the following properties for each entity.
+
+  entity {Entity} The entity.
+
+  entityState {EntityState} The EntityState of the entity.
+
+  changedProperties {Array of Object} The changes to the properties of the entity, as returned by 'getChangedProperties'.
+  **/
+  proto.getChangeSummary = function (entities) {
+    assertParam(entities, "entities").isOptional().isArray().isEntity().check();
+    entities = entities || getChangesCore(this, null);
+    return entities.map(function (entity) {
+      var aspect = entity.entityAspect;
+      return { entity: entity, entityState: aspect.entityState, changedProperties: aspect.getChangedProperties() };
+    });
+  };
+
   /**
   Rejects (reverses the effects) all of the additions, modifications and deletes from this EntityManager.
   Calls EntityAspect.rejectChanges on every changed entity in this EntityManager.
@@ -1480,9 +2044,149 @@ var EntityManager = (function () {
       aspect.rejectChanges();
     });
     this.hasChangesChanged.publish({ entityManager: this, hasChanges: false });
+    this._changeHistory && this._changeHistory.clear();
     return changes;
   };
 
+  /**
+  Undoes the most recent unit of changes made to the entities in this EntityManager. Property changes (including those to
+  navigation and complex properties), EntityState changes and entities being attached or detached are recorded from the
+  {{#crossLink "EntityManager/entityChanged:event"}}{{/crossLink}} event. All of the changes made in the same turn of the event loop,
+  i.e. within a single event handler, are undone together; 'beginChangeGroup' and 'endChangeGroup' group changes made across turns.
+
+  Changes are only recorded once the change history is needed ( see {{#crossLink "EntityManager/changeHistoryDepth:property"}}{{/crossLink}} ).
+  Changes made by queries and imports are not recorded and changes to the contents of primitive and complex arrays are not recorded.
+  Accepting, rejecting or saving the changes to an entity discards its recorded changes; clearing the EntityManager or calling its
+  'rejectChanges' method clears the change history.
+  @example
+      // assume em1 is an EntityManager and cust1 a customer within it.
+      cust1.setProperty("companyName", "Acme");
+      em1.undo();
+      // cust1's companyName and EntityState are restored.
+      em1.redo();
+      // cust1's companyName is "Acme" again.
+  @method undo
+  @return {Boolean} Whether there were any changes to undo.
+  **/
+  proto.undo = function () {
+    return !!this._changeHistory && this._changeHistory.undo();
+  };
+
+  /**
+  Redoes the most recent unit of changes undone by 'undo' or 'rollbackTo'. Any new change to the entities of this
+  EntityManager discards the changes that can be redone.
+  @example
+      // assume em1 is an EntityManager and cust1 a customer within it.
+      cust1.setProperty("companyName", "Acme");
+      em1.undo();
+      em1.redo();
+  @method redo
+  @return {Boolean} Whether there were any changes to redo.
+  **/
+  proto.redo = function () {
+    return !!this._changeHistory && this._changeHistory.redo();
+  };
+
+  /**
+  Returns whether there are any changes that can be undone by calling 'undo'.
+  @method canUndo
+  @return {Boolean}
+  **/
+  proto.canUndo = function () {
+    return !!this._changeHistory && this._changeHistory.canUndo();
+  };
+
+  /**
+  Returns whether there are any changes that can be redone by calling 'redo'.
+  @method canRedo
+  @return {Boolean}
+  **/
+  proto.canRedo = function () {
+    return !!this._changeHistory && this._changeHistory.canRedo();
+  };
+
+  /**
+  Returns a checkpoint of the current position in the change history that may later be passed to 'rollbackTo'.
+  @example
+      // assume em1 is an EntityManager.
+      var checkpoint = em1.createCheckpoint();
+      // ... make several changes
+      em1.rollbackTo(checkpoint);
+  @method createCheckpoint
+  @return {Object} An opaque checkpoint.
+  **/
+  proto.createCheckpoint = function () {
+    return getChangeHistory(this).createCheckpoint();
+  };
+
+  /**
+  Undoes every change made since the specified checkpoint was created - or redoes the changes up to it if they were undone
+  after the checkpoint was created. Throws an exception if the change history has been cleared since the checkpoint was created.
+  @example
+      // assume em1 is an EntityManager.
+      var checkpoint = em1.createCheckpoint();
+      // ... make several changes
+      em1.rollbackTo(checkpoint);
+  @method rollbackTo
+  @param checkpoint {Object} A checkpoint returned by 'createCheckpoint'.
+  **/
+  proto.rollbackTo = function (checkpoint) {
+    assertParam(checkpoint, "checkpoint").isObject().check();
+    getChangeHistory(this).rollbackTo(checkpoint);
+  };
+
+  /**
+  Starts a group of changes that will be undone and redone as a single unit, until the matching call to 'endChangeGroup'.
+  Groups may be nested; the changes are grouped until the outermost group ends.
+  @example
+      // assume em1 is an EntityManager and order1 an order within it.
+      em1.beginChangeGroup();
+      order1.setProperty("freight", 10);
+      setTimeout(function () {
+          order1.setProperty("shipCity", "Oslo");
+          em1.endChangeGroup();
+          // undoes both changes.
+          em1.undo();
+      }, 100);
+  @method beginChangeGroup
+  **/
+  proto.beginChangeGroup = function () {
+    getChangeHistory(this).beginGroup();
+  };
+
+  /**
+  Ends a group of changes started by 'beginChangeGroup'.
+  @method endChangeGroup
+  **/
+  proto.endChangeGroup = function () {
+    getChangeHistory(this).endGroup();
+  };
+
+  /**
+  Begins a transaction within which the changes made to the entities of this EntityManager can be committed or rolled back as a whole.
+  A transaction begun while another is active is nested within it, so that it can be rolled back without losing the changes made
+  before it began. Changes are recorded in the same way as for 'undo', so changes made by queries and imports are not rolled back.
+  @example
+      // assume em1 is an EntityManager and order1 an order within it.
+      var dialogTx = em1.beginTransaction();
+      order1.setProperty("freight", 10);
+      // cancel the dialog - any changes made before it was opened are kept.
+      dialogTx.rollback();
+  @method beginTransaction
+  @return {EntityTransaction} The new transaction.
+  **/
+  proto.beginTransaction = function () {
+    return getChangeHistory(this).beginTransaction();
+  };
+
+  /**
+  Discards all of the changes that could be undone or redone. The entities themselves are not changed.
+  @method clearChangeHistory
+  **/
+  proto.clearChangeHistory = function () {
+    this._changeHistory && this._changeHistory.clear();
+  };
+
   /**
   Returns a array of all entities of the specified {{#crossLink "EntityType"}}{{/crossLink}}s with the specified {{#crossLink "EntityState"}}{{/crossLink}}s.
   @example
@@ -1924,7 +2628,10 @@ var EntityManager = (function () {
           var wasUnchanged = targetEntityState.isUnchanged();
           if (mergeStrategy === MergeStrategy.OverwriteChanges || wasUnchanged) {
             entityType._updateTargetFromRaw(targetEntity, rawEntity, rawValueFn);
-            targetEntity.entityAspect.setEntityState(entityState);
+            // the delete rules were applied when the entity was deleted in the exporting EntityManager.
+            __using(em, "_isApplyingDeleteRules", true, function () {
+              targetEntity.entityAspect.setEntityState(entityState);
+            });
             entityChanged.publish({ entityAction: EntityAction.MergeOnImport, entity: targetEntity });
           }
         }
@@ -1963,6 +2670,83 @@ var EntityManager = (function () {
     return entitiesToLink;
   }
 
+  function checkSandbox(em) {
+    if (!em.parentEntityManager) {
+      throw new Error("This EntityManager is not a sandbox; it must be created with 'createSandbox'");
+    }
+    return em.parentEntityManager;
+  }
+
+  // the values of the data properties of an entity or complex object - used to detect the changes made since a sandbox was created.
+  function getDataValues(so) {
+    var values = {};
+    var structuralType = so.entityType || so.complexType;
+    structuralType.dataProperties.forEach(function (dp) {
+      var value = so.getProperty(dp.name);
+      if (dp.isComplexProperty) {
+        value = __map(value, getDataValues);
+      } else if (Array.isArray(value)) {
+        value = value.slice();
+      }
+      values[dp.name] = value;
+    });
+    return values;
+  }
+
+  function isSandboxDeletion(entity) {
+    var entityState = entity.entityAspect.entityState;
+    return entityState.isDeleted() || entityState.isDetached();
+  }
+
+  function isSameValue(value1, value2) {
+    return value1 === value2 || JSON.stringify(value1) === JSON.stringify(value2);
+  }
+
+  function getSandboxConflict(parent, entity, baseline) {
+    if (!baseline) {
+      var existingEntity = parent.getEntityByKey(entity.entityAspect.getKey());
+      // an entity that was not copied from the parent can only conflict with an entity with the same key.
+      return (existingEntity && !entity.entityAspect.hasTempKey) ? { entity: entity, parentEntity: existingEntity, propertyNames: [] } : null;
+    }
+    var parentEntity = parent.getEntityByKey(baseline.parentKey);
+    if (!parentEntity || parentEntity.entityAspect.entityState.isDeleted()) {
+      return isSandboxDeletion(entity) ? null : { entity: entity, parentEntity: parentEntity, propertyNames: [] };
+    }
+    if (isSandboxDeletion(entity)) return null;
+    var values = getDataValues(entity);
+    var parentValues = getDataValues(parentEntity);
+    var propertyNames = Object.keys(values).filter(function (pn) {
+      var baselineValue = baseline.values[pn];
+      return !isSameValue(values[pn], baselineValue) && !isSameValue(parentValues[pn], baselineValue) &&
+          !isSameValue(parentValues[pn], values[pn]);
+    });
+    return propertyNames.length ? { entity: entity, parentEntity: parentEntity, propertyNames: propertyNames } : null;
+  }
+
+  function setSandboxValue(parentEntity, dp, value) {
+    if (dp.isScalar) {
+      parentEntity.setProperty(dp.name, value);
+      return;
+    }
+    var array = parentEntity.getProperty(dp.name);
+    var newItems = dp.isComplexProperty ? value.map(function (co) {
+      return dp.dataType.createInstance(getDataValues(co));
+    }) : value;
+    array.splice.apply(array, [0, array.length].concat(newItems));
+  }
+
+  // sets the foreign keys of an entity in a sandbox's parent to the parent's keys of the entities they refer to in the sandbox.
+  function updateSandboxForeignKeys(entity, parentEntity, parentKeyMap, baseline) {
+    entity.entityType.foreignKeyProperties.forEach(function (fkProp) {
+      var pn = fkProp.name;
+      if (baseline && isSameValue(entity.getProperty(pn), baseline.values[pn])) return;
+      var np = fkProp.relatedNavigationProperty;
+      var relatedEntity = np && entity.getProperty(np.name);
+      var parentKey = relatedEntity && parentKeyMap[relatedEntity.entityAspect.getKey().toString()];
+      parentEntity.setProperty(pn, parentKey ? parentKey.values[0] : entity.getProperty(pn));
+    });
+  }
+
   function getMappedKey(tempKeyMap, entityKey) {
     var newKey = tempKeyMap[entityKey.toString()];
     if (newKey) return newKey;
@@ -1975,6 +2759,98 @@ var EntityManager = (function () {
     return null;
   }
 
+  // the change history is created by the first method that needs it - unless the EntityManager has a 'changeHistoryDepth'.
+  function getChangeHistory(em) {
+    return em._changeHistory || (em._changeHistory = new ChangeHistory(em));
+  }
+
+  // queries are cached by their serialized form - without their queryOptions so that the fetchStrategy does not matter.
+  // string queries cannot be executed locally and are never cached.
+  function getQueryCacheKey(query, dataService) {
+    if (typeof query === 'string') return null;
+    var json = query.toJSON();
+    delete json.queryOptions;
+    return JSON.stringify(dataService.toJSON()) + ":" + JSON.stringify(json);
+  }
+
+  function isQueryCacheEntryFresh(cacheEntry, cacheTtl) {
+    if (!cacheEntry || cacheEntry.fetchedAt == null) return false;
+    return cacheTtl == null || (new Date().getTime() - cacheEntry.fetchedAt) <= cacheTtl;
+  }
+
+  // only queries that may later be satisfied from the local cache need to be recorded.
+  function usesQueryCache(queryOptions) {
+    var fetchStrategy = queryOptions.fetchStrategy;
+    return queryOptions.cacheTtl != null || fetchStrategy === FetchStrategy.FromLocalCacheIfFresh ||
+      fetchStrategy === FetchStrategy.StaleWhileRevalidate;
+  }
+
+  // called after a query has been satisfied by the server.
+  function updateQueryCache(em, query, queryOptions, dataService) {
+    if (!usesQueryCache(queryOptions)) return;
+    var key = getQueryCacheKey(query, dataService);
+    // the results of a 'noTracking' query are not in the cache.
+    if (!key || query.noTrackingEnabled) return;
+    var now = new Date().getTime();
+    evictExpiredQueries(em._queryCache, now);
+    var cacheEntry = em._queryCache[key] = em._queryCache[key] || {};
+    cacheEntry.fetchedAt = now;
+    cacheEntry.expiresAt = queryOptions.cacheTtl == null ? null : now + queryOptions.cacheTtl;
+  }
+
+  // removes the entries that expired according to the cacheTtl they were recorded with - unless they are being revalidated.
+  function evictExpiredQueries(queryCache, now) {
+    __objectForEach(queryCache, function (key, cacheEntry) {
+      if (cacheEntry.expiresAt != null && cacheEntry.expiresAt < now && !cacheEntry.revalidation) {
+        delete queryCache[key];
+      }
+    });
+  }
+
+  // starts a server query for a stale query ( unless one is already running ) and adds its promise to the local result.
+  function addRevalidation(em, promise, query, queryOptions, dataService) {
+    var queryCache = em._queryCache;
+    var key = getQueryCacheKey(query, dataService);
+    var cacheEntry = queryCache[key];
+    var revalidation = cacheEntry.revalidation;
+    if (!revalidation) {
+      var serverQuery = query.using(queryOptions.using(FetchStrategy.FromServer));
+      revalidation = cacheEntry.revalidation = em.executeQuery(serverQuery);
+      var removeRevalidation = function () {
+        // the cache may have been cleared in the meantime.
+        if (queryCache[key] && queryCache[key].revalidation === revalidation) {
+          delete queryCache[key].revalidation;
+        }
+      };
+      revalidation.then(removeRevalidation, removeRevalidation);
+    }
+    return promise.then(function (data) {
+      data.revalidation = revalidation;
+      return data;
+    });
+  }
+
+  // identical queries against the same dataService share a request - except for those with a signal,
+  // because cancelling the shared request would cancel it for every caller.
+  function getInFlightKey(query, queryOptions, dataService) {
+    if (!queryOptions.deduplicate || queryOptions.signal || queryOptions.fetchStrategy === FetchStrategy.FromLocalCache) {
+      return null;
+    }
+    var queryKey = (typeof query === 'string') ? query : JSON.stringify(query.toJSON());
+    return JSON.stringify(dataService.toJSON()) + ":" + queryKey;
+  }
+
+  // each caller of a shared query gets its own copy of the result.
+  function shareQueryResult(promise, query) {
+    return promise.then(function (data) {
+      var result = __extend({}, data);
+      result.query = query;
+      result.results = data.results && data.results.slice();
+      result.retrievedEntities = data.retrievedEntities && data.retrievedEntities.slice();
+      return result;
+    });
+  }
+
   function promiseWithCallbacks(promise, callback, errorCallback) {
     promise = promise.then(function (data) {
       if (callback) callback(data);
@@ -2097,10 +2973,20 @@ var EntityManager = (function () {
         throw new Error("cannot execute _executeQueryCore until metadataStore is populated.");
       }
 
+      var signal = queryOptions.signal;
+      if (signal && signal.aborted) {
+        throw createCancelledError();
+      }
+
       if (queryOptions.fetchStrategy === FetchStrategy.FromLocalCache) {
         try {
           var qr = executeQueryLocallyCore(em, query);
-          return Q.resolve({ results: qr.results, entityManager: em, inlineCount: qr.inlineCount, query: query });
+          var mustFallback = queryOptions.expandFallbackToServer && qr.unloadedExpandPaths && qr.unloadedExpandPaths.length > 0;
+          if (!mustFallback) {
+            return Q.resolve({ results: qr.results, entityManager: em, inlineCount: qr.inlineCount, count: qr.count, query: query,
+              continuationToken: qr.continuationToken,
+              loadedExpandPaths: qr.loadedExpandPaths, unloadedExpandPaths: qr.unloadedExpandPaths });
+          }
         } catch (e) {
           return Q.reject(e);
         }
@@ -2110,6 +2996,7 @@ var EntityManager = (function () {
         query: query,
         entityManager: em,
         dataService: dataService,
+        signal: signal,
         mergeOptions: {
           mergeStrategy: queryOptions.mergeStrategy,
           noTracking: !!query.noTrackingEnabled,
@@ -2119,47 +3006,76 @@ var EntityManager = (function () {
 
       var validateOnQuery = em.validationOptions.validateOnQuery;
 
-      return dataService.adapterInstance.executeQuery(mappingContext).then(function (data) {
-        var result = __wrapExecution(function () {
-          var state = { isLoading: em.isLoading };
-          em.isLoading = true;
-          em._pendingPubs = [];
-          return state;
-        }, function (state) {
-          // cleanup
-          em.isLoading = state.isLoading;
-          em._pendingPubs.forEach(function (fn) {
-            fn();
-          });
-          em._pendingPubs = null;
-          em._hasChangesAction && em._hasChangesAction();
-          // HACK for GC
-          query = null;
-          mappingContext = null;
-          // HACK: some errors thrown in next function do not propogate properly - this catches them.
-
-          if (state.error) {
-            Q.reject(state.error);
+      if (query.countOnlyEnabled) {
+        // nothing to merge - the server returns just the count.
+        return executeAdapterQuery(dataService, mappingContext).then(function (data) {
+          var count = data.count != null ? data.count : data.results;
+          updateQueryCache(em, query, queryOptions, dataService);
+          return { count: parseInt(count, 10), query: query, entityManager: em, httpResponse: data.httpResponse };
+        }, function (e) {
+          if (e) {
+            e.query = query;
+            e.entityManager = em;
           }
+          return Q.reject(e);
+        });
+      }
 
-        }, function () {
-          var nodes = dataService.jsonResultsAdapter.extractResults(data);
-          nodes = __toArray(nodes);
+      return executeAdapterQuery(dataService, mappingContext).then(function (data) {
+        // the signal may have been aborted after the adapter resolved but before this continuation ran.
+        if (signal && signal.aborted) {
+          var err = createCancelledError();
+          err.query = query;
+          err.entityManager = em;
+          return Q.reject(err);
+        }
+        var nodes = __toArray(dataService.jsonResultsAdapter.extractResults(data));
+        // a large result may be merged a chunk at a time - all but the last chunk on earlier turns of the event loop.
+        var chunkSize = queryOptions.mergeChunkSize;
+        var lastChunkIx = (chunkSize && nodes.length > chunkSize) ? Math.floor((nodes.length - 1) / chunkSize) * chunkSize : 0;
+
+        var mergeResults = function (priorResults) {
+          return wrapMerge(em, function (state) {
+            // HACK for GC
+            query = null;
+            mappingContext = null;
+            // HACK: some errors thrown in next function do not propogate properly - this catches them.
+
+            if (state.error) {
+              Q.reject(state.error);
+            }
 
-          results = mappingContext.visitAndMerge(nodes, { nodeType: "root" });
-          if (validateOnQuery) {
-            results.forEach(function (r) {
-              // anon types and simple types will not have an entityAspect.
-              r.entityAspect && r.entityAspect.validateEntity();
-            });
-          }
-          mappingContext.processDeferred();
-          // if query has expand clauses walk each of the 'results' and mark the expanded props as loaded.
-          markLoadedNavProps(results, query);
-          var retrievedEntities = __objectMap(mappingContext.refMap);
-          return { results: results, query: query, entityManager: em, httpResponse: data.httpResponse, inlineCount: data.inlineCount, retrievedEntities: retrievedEntities };
+          }, function () {
+            results = priorResults.concat(mappingContext.visitAndMerge(nodes.slice(lastChunkIx), { nodeType: "root" }));
+            if (validateOnQuery) {
+              results.forEach(function (r) {
+                // anon types and simple types will not have an entityAspect.
+                r.entityAspect && r.entityAspect.validateEntity();
+              });
+            }
+            mappingContext.processDeferred();
+            // if query has expand clauses walk each of the 'results' and mark the expanded props as loaded.
+            markLoadedNavProps(results, query);
+            // the server returns the results of a 'before' query in reverse order.
+            if (query.keysetClause && query.keysetClause.isBefore) {
+              results.reverse();
+            }
+            updateQueryCache(em, query, queryOptions, dataService);
+            var retrievedEntities = __objectMap(mappingContext.refMap);
+            return { results: results, query: query, entityManager: em, httpResponse: data.httpResponse, inlineCount: data.inlineCount,
+              continuationToken: query._getContinuationToken(results), retrievedEntities: retrievedEntities };
+          });
+        };
+
+        if (lastChunkIx === 0) {
+          return Q.resolve(mergeResults([]));
+        }
+        // once merging has started the query can no longer be cancelled - every chunk is merged.
+        return mergeChunks(mappingContext, nodes.slice(0, lastChunkIx), chunkSize, nodes.length).then(function (priorResults) {
+          var result = mergeResults(priorResults);
+          publishMergeProgress(em, result.query, nodes.length, nodes.length);
+          return result;
         });
-        return Q.resolve(result);
       }, function (e) {
         if (e) {
           e.query = query;
@@ -2176,29 +3092,114 @@ var EntityManager = (function () {
     }
   }
 
+  // merges the nodes a chunk at a time, each on its own turn of the event loop, so that a large query result does not freeze the UI.
+  // the entityChanged notifications for each chunk are published when that chunk has been merged.
+  function mergeChunks(mappingContext, nodes, chunkSize, totalCount) {
+    var em = mappingContext.entityManager;
+    var query = mappingContext.query;
+    var results = [];
+    var mergeNext = function (ix) {
+      if (ix >= nodes.length) return Q.resolve(results);
+      var chunk = nodes.slice(ix, ix + chunkSize);
+      wrapMerge(em, null, function () {
+        results = results.concat(mappingContext.visitAndMerge(chunk, { nodeType: "root" }));
+      });
+      publishMergeProgress(em, query, ix + chunk.length, totalCount);
+      return nextTurn().then(function () {
+        return mergeNext(ix + chunkSize);
+      });
+    };
+    return mergeNext(0);
+  }
+
+  // executes the merge while the EntityManager 'isLoading' - its entityChanged notifications are published once the merge is complete.
+  function wrapMerge(em, cleanupFn, mergeFn) {
+    return __wrapExecution(function () {
+      var state = { isLoading: em.isLoading };
+      em.isLoading = true;
+      em._pendingPubs = [];
+      return state;
+    }, function (state) {
+      em.isLoading = state.isLoading;
+      em._pendingPubs.forEach(function (fn) {
+        fn();
+      });
+      em._pendingPubs = null;
+      em._hasChangesAction && em._hasChangesAction();
+      cleanupFn && cleanupFn(state);
+    }, mergeFn);
+  }
+
+  function publishMergeProgress(em, query, mergedCount, totalCount) {
+    em.queryMergeProgress.publish({ entityManager: em, query: query, mergedCount: mergedCount, totalCount: totalCount });
+  }
+
+  function nextTurn() {
+    var deferred = Q.defer();
+    setTimeout(deferred.resolve, 0);
+    return deferred.promise;
+  }
+
+  // rejects as soon as the mappingContext's signal is aborted - the adapter is expected to abort the request itself
+  // but any result that it does return is ignored so that nothing is merged.
+  function executeAdapterQuery(dataService, mappingContext) {
+    var signal = mappingContext.signal;
+    // a query that was cancelled before it started is never sent.
+    if (signal && signal.aborted) {
+      return Q.reject(createCancelledError());
+    }
+    var promise = dataService.adapterInstance.executeQuery(mappingContext);
+    if (!signal) return promise;
+
+    var deferred = Q.defer();
+    var onAbort = function () {
+      deferred.reject(createCancelledError());
+    };
+    signal.addEventListener("abort", onAbort);
+    // an aborted query has already been rejected.
+    promise.then(function (data) {
+      signal.removeEventListener("abort", onAbort);
+      signal.aborted || deferred.resolve(data);
+    }, function (e) {
+      signal.removeEventListener("abort", onAbort);
+      signal.aborted || deferred.reject(e);
+    });
+    return deferred.promise;
+  }
+
+  function createCancelledError() {
+    var err = new Error("The query was cancelled");
+    err.name = "CancellationError";
+    err.isCancelled = true;
+    return err;
+  }
+
   function markLoadedNavProps(entities, query) {
     if (query.noTrackingEnabled) return;
     var expandClause = query.expandClause;
     if (expandClause == null) return;
     expandClause.propertyPaths.forEach(function (propertyPath) {
       var propNames = propertyPath.split('.');
-      markLoadedNavPath(entities, propNames);
+      markLoadedNavPath(entities, propNames, expandClause);
     });
   }
 
-  function markLoadedNavPath(entities, propNames) {
+  function markLoadedNavPath(entities, propNames, expandClause, parentPath) {
     var propName = propNames[0];
+    var path = parentPath ? parentPath + "." + propName : propName;
+    // a filtered or paged expand may not have returned all of the related entities.
+    var isPartial = expandClause.isPartial(path);
     entities.forEach(function (entity) {
       var ea = entity.entityAspect;
       if (!ea) return; // entity may not be a 'real' entity in the case of a projection.
-      ea._markAsLoaded(propName);
+      if (!isPartial) ea._markAsLoaded(propName);
       if (propNames.length === 1) return;
       var next = entity.getProperty(propName);
       if (!next) return; // no children to process.
       // strange logic because nonscalar nav values are NOT really arrays
       // otherwise we could use Array.isArray
       if (!next.arrayChanged) next = [next];
-      markLoadedNavPath(next, propNames.slice(1));
+      markLoadedNavPath(next, propNames.slice(1), expandClause, path);
     });
   }
 
@@ -2253,6 +3254,9 @@ var EntityManager = (function () {
     if (!group) {
       group = new EntityGroup(em, entityType);
       em._entityGroupMap[entityType.name] = group;
+      (em._indexedProperties[entityType.name] || []).forEach(function (propName) {
+        group._addIndex(entityType.getProperty(propName));
+      });
     }
     return group;
   }
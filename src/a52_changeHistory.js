@@ -0,0 +1,428 @@
+﻿/**
+ @module breeze
+ **/
+
+// Internal helper class
+
+// Records the changes made to the entities of an EntityManager, from its 'entityChanged' events, so that they can be undone and redone.
+// Changes are grouped into units - all of the changes made in the same turn of the event loop or between a 'beginChangeGroup'
+// and 'endChangeGroup' - and each unit is undone or redone as a whole.
+// An EntityManager only creates its ChangeHistory once it is needed ( see EntityManager.changeHistoryDepth ).
+var ChangeHistory = (function () {
+
+  var ctor = function ChangeHistory(entityManager) {
+    this.entityManager = entityManager;
+    this._undoStack = [];
+    this._redoStack = [];
+    this._openUnit = null;
+    this._groupDepth = 0;
+    this._isReplaying = false;
+    this._nextUnitId = 1;
+    // the id of the last unit discarded because the undo stack was full - earlier checkpoints can no longer be rolled back to.
+    this._trimmedUnitId = 0;
+    // incremented whenever the history is cleared so that older checkpoints can be recognized.
+    this._generation = 0;
+    // the active transactions - innermost last.
+    this._transactions = [];
+    // the entities already in the EntityManager changed before the history was created.
+    entityManager.getEntities().forEach(updateSnapshot);
+    var that = this;
+    entityManager.entityChanged.subscribe(function (args) {
+      that._onEntityChanged(args);
+    });
+  };
+  var proto = ctor.prototype;
+  proto._$typeName = "ChangeHistory";
+
+  // the number of units kept when the EntityManager does not specify a 'changeHistoryDepth'.
+  ctor.defaultDepth = 100;
+
+  // units whose changes have all been forgotten remain in the stacks - so that checkpoints still refer to them - but are skipped by undo and redo.
+  proto.canUndo = function () {
+    return this._undoStack.some(hasOps);
+  };
+
+  proto.canRedo = function () {
+    return this._redoStack.some(hasOps);
+  };
+
+  proto.undo = function () {
+    this._closeUnit();
+    if (!this.canUndo()) return false;
+    while (!hasOps(this._undoStack[this._undoStack.length - 1])) {
+      this._undoUnit();
+    }
+    this._undoUnit();
+    return true;
+  };
+
+  proto.redo = function () {
+    this._closeUnit();
+    if (!this.canRedo()) return false;
+    while (!hasOps(this._redoStack[this._redoStack.length - 1])) {
+      this._redoUnit();
+    }
+    this._redoUnit();
+    return true;
+  };
+
+  proto._undoUnit = function () {
+    var unit = this._undoStack.pop();
+    this._replay(unit, true);
+    this._redoStack.push(unit);
+  };
+
+  proto._redoUnit = function () {
+    var unit = this._redoStack.pop();
+    this._replay(unit, false);
+    this._undoStack.push(unit);
+  };
+
+  proto.createCheckpoint = function () {
+    this._closeUnit();
+    var lastUnit = this._undoStack[this._undoStack.length - 1];
+    return { entityManager: this.entityManager, _generation: this._generation, _unitId: lastUnit ? lastUnit.id : 0 };
+  };
+
+  proto.rollbackTo = function (checkpoint) {
+    this._closeUnit();
+    this._checkCheckpoint(checkpoint);
+    var isUnit = function (unit) {
+      return unit.id === checkpoint._unitId;
+    };
+    if (checkpoint._unitId === this._trimmedUnitId || this._undoStack.some(isUnit)) {
+      while (this._undoStack.length && !isUnit(this._undoStack[this._undoStack.length - 1])) {
+        this._undoUnit();
+      }
+    } else {
+      // the changes up to the checkpoint were undone after it was created.
+      while (!isUnit(this._undoStack[this._undoStack.length - 1])) {
+        this._redoUnit();
+      }
+    }
+  };
+
+  // throws unless the history can still be rolled back to the checkpoint.
+  proto._checkCheckpoint = function (checkpoint) {
+    var unitId = checkpoint._unitId;
+    var isUnit = function (unit) {
+      return unit.id === unitId;
+    };
+    var isValid = checkpoint.entityManager === this.entityManager && checkpoint._generation === this._generation &&
+        (unitId === this._trimmedUnitId || this._undoStack.some(isUnit) || this._redoStack.some(isUnit));
+    if (!isValid) {
+      throw new Error("This checkpoint is not part of the change history of this EntityManager");
+    }
+  };
+
+  proto.beginGroup = function () {
+    if (this._groupDepth === 0) {
+      this._closeUnit();
+    }
+    this._groupDepth++;
+  };
+
+  proto.endGroup = function () {
+    if (this._groupDepth === 0) {
+      throw new Error("'endChangeGroup' was called without a matching 'beginChangeGroup'");
+    }
+    this._groupDepth--;
+    if (this._groupDepth === 0) {
+      this._closeUnit();
+    }
+  };
+
+  proto.beginTransaction = function () {
+    var transactions = this._transactions;
+    var transaction = new EntityTransaction(this, transactions[transactions.length - 1] || null);
+    transactions.push(transaction);
+    return transaction;
+  };
+
+  proto.endTransaction = function (transaction, isRollback) {
+    var transactions = this._transactions;
+    var ix = transactions.indexOf(transaction);
+    if (ix === -1) {
+      throw new Error("This transaction has already been committed or rolled back");
+    }
+    if (!isRollback && ix < transactions.length - 1) {
+      throw new Error("A transaction cannot be committed while a transaction nested within it is still active");
+    }
+    if (isRollback) {
+      // the transaction remains active if it cannot be rolled back.
+      this._checkCheckpoint(transaction._checkpoint);
+    }
+    // rolling back a transaction also rolls back any transactions nested within it.
+    transactions.splice(ix).forEach(function (t) {
+      t.isActive = false;
+    });
+    if (!isRollback) return;
+    var redoCount = this._redoStack.length;
+    this.rollbackTo(transaction._checkpoint);
+    // changes that were rolled back cannot be redone.
+    this._redoStack.splice(redoCount);
+  };
+
+  proto.clear = function () {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._openUnit = null;
+    this._trimmedUnitId = 0;
+    this._generation++;
+  };
+
+  // discards the recorded changes to a single entity - the changes to other entities can still be undone.
+  proto.forget = function (entity) {
+    var isOtherEntity = function (op) {
+      return op.entity !== entity;
+    };
+    this._undoStack.concat(this._redoStack).forEach(function (unit) {
+      unit.ops = unit.ops.filter(isOtherEntity);
+    });
+  };
+
+  proto._onEntityChanged = function (args) {
+    var action = args.entityAction;
+    var entity = args.entity;
+    // changes that have been cleared can no longer be undone - nor can those to an entity whose changes have been accepted, rejected or saved.
+    if (action === EntityAction.Clear) {
+      this.clear();
+      return;
+    }
+    if (action === EntityAction.AcceptChanges || action === EntityAction.RejectChanges || action === EntityAction.MergeOnSave) {
+      updateSnapshot(entity);
+      this.forget(entity);
+      return;
+    }
+    if (!entity || !entity.entityAspect) return;
+    var before = entity.entityAspect._historySnapshot;
+    var after = updateSnapshot(entity);
+    if (before === undefined) {
+      before = inferSnapshot(action, after);
+    }
+    // only user changes are recorded - not those made by queries, imports or while replaying.
+    if (this._isReplaying || this.entityManager.isLoading || !_recordedActions[action.name]) return;
+
+    var op = { entity: entity, before: before, after: after };
+    if (action === EntityAction.PropertyChange) {
+      var pcArgs = args.args;
+      op.parent = pcArgs.parent;
+      op.propertyName = pcArgs.property.name;
+      op.oldValue = pcArgs.oldValue;
+      op.newValue = pcArgs.newValue;
+    } else if (before && before.entityState === after.entityState) {
+      return;
+    }
+    this._record(op);
+  };
+
+  var _recordedActions = {
+    PropertyChange: true,
+    EntityStateChange: true,
+    Attach: true,
+    Detach: true
+  };
+
+  proto._record = function (op) {
+    var unit = this._openUnit;
+    if (!unit) {
+      unit = this._openUnit = { id: this._nextUnitId++, ops: [] };
+      this._undoStack.push(unit);
+      this._trim();
+      if (this._groupDepth === 0) {
+        var that = this;
+        setTimeout(function () {
+          if (that._openUnit === unit && that._groupDepth === 0) {
+            that._openUnit = null;
+          }
+        }, 0);
+      }
+    }
+    unit.ops.push(op);
+    this._redoStack = [];
+  };
+
+  proto._closeUnit = function () {
+    this._openUnit = null;
+  };
+
+  // discards the oldest units beyond the EntityManager's 'changeHistoryDepth' - but not while a transaction might roll back to them.
+  proto._trim = function () {
+    if (this._transactions.length) return;
+    var depth = this.entityManager.changeHistoryDepth;
+    if (depth == null) {
+      depth = ctor.defaultDepth;
+    }
+    while (this._undoStack.length > depth) {
+      this._trimmedUnitId = this._undoStack.shift().id;
+    }
+  };
+
+  proto._replay = function (unit, isUndo) {
+    var em = this.entityManager;
+    var ops = isUndo ? unit.ops.slice().reverse() : unit.ops;
+    __using(this, "_isReplaying", true, function () {
+      ops.forEach(function (op) {
+        // a change made to a deleted entity - when it was removed from its relations - is redone once the entity has been
+        // deleted again, so that its foreign keys are kept.
+        var isDeletedChange = !isUndo && op.propertyName && op.after.entityState.isDeleted();
+        if (op.propertyName && !isDeletedChange) {
+          op.parent.setProperty(op.propertyName, isUndo ? op.oldValue : op.newValue);
+        }
+        restoreState(em, op.entity, isUndo ? op.before : op.after);
+        if (isDeletedChange) {
+          op.parent.setProperty(op.propertyName, op.newValue);
+        }
+        updateSnapshot(op.entity);
+      });
+    });
+  };
+
+  function hasOps(unit) {
+    return unit.ops.length > 0;
+  }
+
+  // the entityState, original values and foreign keys of an entity after its last change - an entity without a snapshot was detached.
+  function updateSnapshot(entity) {
+    var aspect = entity.entityAspect;
+    var foreignKeyValues = {};
+    entity.entityType.foreignKeyProperties.forEach(function (fkProp) {
+      foreignKeyValues[fkProp.name] = entity.getProperty(fkProp.name);
+    });
+    return aspect._historySnapshot = {
+      entityState: aspect.entityState,
+      originalValues: __extend({}, aspect.originalValues),
+      foreignKeyValues: foreignKeyValues
+    };
+  }
+
+  // entities attached as part of a graph are attached without an event so their state before their first change is inferred.
+  function inferSnapshot(action, after) {
+    var entityState = after.entityState;
+    if (action === EntityAction.EntityStateChange || action === EntityAction.Detach) {
+      if (entityState.isAdded()) {
+        entityState = EntityState.Detached;
+      } else if (entityState.isModified()) {
+        entityState = EntityState.Unchanged;
+      } else {
+        entityState = (entityState.isUnchanged() || !__isEmpty(after.originalValues)) ? EntityState.Modified : EntityState.Unchanged;
+      }
+    } else if (action === EntityAction.Attach) {
+      entityState = EntityState.Detached;
+    }
+    // the foreign keys before the change are not known.
+    return entityState.isDetached() ? null : { entityState: entityState, originalValues: after.originalValues };
+  }
+
+  function restoreState(em, entity, snapshot) {
+    var aspect = entity.entityAspect;
+    var entityState = snapshot ? snapshot.entityState : EntityState.Detached;
+    if (entityState.isDetached()) {
+      aspect.entityState.isDetached() || aspect.setDetached();
+      return;
+    }
+    if (aspect.entityState.isDetached()) {
+      em.attachEntity(entity, entityState);
+    } else if (aspect.entityState !== entityState) {
+      if (aspect.entityState.isDeleted()) {
+        // a deleted entity was removed from its relations.
+        em._linkRelatedEntities(entity);
+      }
+      if (entityState.isUnchanged() || entityState.isDeleted()) {
+        // the changes made by the delete rules were recorded and are replayed along with this one.
+        __using(em, "_isApplyingDeleteRules", true, function () {
+          aspect.setEntityState(entityState);
+        });
+      } else {
+        aspect.entityState = entityState;
+        em._notifyStateChange(entity, true);
+      }
+    }
+    aspect.originalValues = __extend({}, snapshot.originalValues);
+    // the foreign keys of a deleted entity are kept but can be lost while it is deleted - they relink it to its related entities.
+    if (snapshot.foreignKeyValues && !entityState.isDeleted()) {
+      __using(em, "isLoading", true, function () {
+        __objectForEach(snapshot.foreignKeyValues, function (fkName, value) {
+          if (entity.getProperty(fkName) !== value) {
+            entity.setProperty(fkName, value);
+          }
+        });
+      });
+    }
+  }
+
+  return ctor;
+})();
+
+var EntityTransaction = (function () {
+  /**
+  A scope, returned by {{#crossLink "EntityManager/beginTransaction"}}{{/crossLink}}, within which the changes made to the
+  entities of an EntityManager can be committed or rolled back as a whole.
+
+  @class EntityTransaction
+  **/
+
+  var ctor = function EntityTransaction(changeHistory, parent) {
+    this._changeHistory = changeHistory;
+    this._checkpoint = changeHistory.createCheckpoint();
+    this.entityManager = changeHistory.entityManager;
+    this.parent = parent;
+    this.isActive = true;
+  };
+  var proto = ctor.prototype;
+  proto._$typeName = "EntityTransaction";
+
+  /**
+  The EntityManager whose changes are scoped by this transaction.
+
+  __readOnly__
+  @property entityManager {EntityManager}
+  **/
+
+  /**
+  The transaction that this transaction is nested within, or null if it is an outermost transaction.
+
+  __readOnly__
+  @property parent {EntityTransaction}
+  **/
+
+  /**
+  Whether this transaction has yet to be committed or rolled back.
+
+  __readOnly__
+  @property isActive {Boolean}
+  **/
+
+  /**
+  Ends this transaction, keeping its changes. The changes of a nested transaction become part of the transaction that it
+  is nested within and are still rolled back if that transaction is rolled back.
+  @example
+      // assume em1 is an EntityManager and order1 an order within it.
+      var tx = em1.beginTransaction();
+      order1.setProperty("freight", 10);
+      tx.commit();
+  @method commit
+  **/
+  proto.commit = function () {
+    this._changeHistory.endTransaction(this, false);
+  };
+
+  /**
+  Ends this transaction, and any transactions nested within it, restoring the entities of its EntityManager to their state
+  when it began. Property values, entity states and the entities that were added, attached, deleted or detached are all restored.
+  The changes to an entity whose changes have since been accepted, rejected or saved are not rolled back. Throws an exception,
+  and the transaction remains active, if the EntityManager has been cleared or its changes rejected as a whole since the transaction began.
+  @example
+      // assume em1 is an EntityManager and order1 an order within it.
+      var tx = em1.beginTransaction();
+      order1.setProperty("freight", 10);
+      tx.rollback();
+      // order1's freight is restored.
+  @method rollback
+  **/
+  proto.rollback = function () {
+    this._changeHistory.endTransaction(this, true);
+  };
+
+  return ctor;
+})();
@@ -9,7 +9,7 @@ var MappingContext = (function () {
   var ctor = function MappingContext(config) {
 
     __extend(this, config, [
-      "query", "entityManager", "dataService", "mergeOptions"
+      "query", "entityManager", "dataService", "mergeOptions", "signal"
     ]);
 
     // calc'd props
@@ -73,6 +73,8 @@
       url: url,
       params: mappingContext.query.parameters,
       dataType: 'json',
+      // lets the ajax adapter abort the request when the query is cancelled.
+      signal: mappingContext.signal,
       success: function (httpResponse) {
         var data = httpResponse.data;
         try {
@@ -72,6 +72,11 @@
       ngConfig.data = config.data;
     }
 
+    if (config.signal) {
+      // $http aborts the request when its 'timeout' promise resolves.
+      var abortPromise = ngConfig.timeout = toAbortPromise(config.signal);
+    }
+
     if (!core.isEmpty(this.defaultSettings)) {
       var compositeConfig = core.extend({}, this.defaultSettings);
       ngConfig = core.extend(compositeConfig, ngConfig);
@@ -113,6 +118,7 @@
         status: status,
         statusText: statusText
       };
+      abortPromise && abortPromise.dispose();
       config.success(httpResponse);
     }
 
@@ -130,10 +136,32 @@
         status: status,
         statusText: statusText
       };
+      abortPromise && abortPromise.dispose();
       config.error(httpResponse);
     }
   };
 
+  // $http only needs a 'thenable' so there is no need to involve $q.
+  // 'dispose' removes the abort listener once the request has completed.
+  function toAbortPromise(signal) {
+    var abortFn;
+    return {
+      then: function (onAbort) {
+        if (signal.aborted) {
+          onAbort();
+        } else {
+          abortFn = function () {
+            onAbort();
+          };
+          signal.addEventListener("abort", abortFn);
+        }
+      },
+      dispose: function () {
+        abortFn && signal.removeEventListener("abort", abortFn);
+      }
+    };
+  }
+
   function encodeParams(obj) {
     var query = '';
     var subValue, innerObj, fullSubName;
@@ -70,6 +70,12 @@
       requestInfo.jqXHR = jQuery.ajax(requestInfo.config)
           .done(requestInfo.success)
           .fail(requestInfo.error);
+      // a query cancelled thru its signal aborts the request; the abort is then reported to the error callback.
+      config.signal && config.signal.addEventListener("abort", abortFn);
+    }
+
+    function abortFn() {
+      requestInfo.jqXHR.abort && requestInfo.jqXHR.abort();
     }
 
     function successFn(data, statusText, jqXHR) {
@@ -80,6 +86,7 @@
         status: jqXHR.status,
         statusText: statusText
       };
+      config.signal && config.signal.removeEventListener("abort", abortFn);
       config.success(httpResponse);
       jqXHR.onreadystatechange = null;
       jqXHR.abort = null;
@@ -94,6 +101,7 @@
         status: jqXHR.status,
         statusText: statusText
       };
+      config.signal && config.signal.removeEventListener("abort", abortFn);
       config.error(httpResponse);
       jqXHR.onreadystatechange = null;
       jqXHR.abort = null;
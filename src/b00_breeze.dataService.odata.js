@@ -57,12 +57,18 @@
 
     var deferred = Q.defer();
     var url = this.getAbsoluteUrl(mappingContext.dataService, mappingContext.getUrl());
+    var signal = mappingContext.signal;
 
-    OData.read({
+    var request = OData.read({
           requestUri: url,
           headers: this.headers
         },
         function (data, response) {
+          signal && signal.removeEventListener("abort", abortFn);
+          if (mappingContext.query.countOnlyEnabled) {
+            // the '$count' endpoint returns a raw number
+            return deferred.resolve({ count: parseInt(data, 10), httpResponse: response });
+          }
           var inlineCount;
           if (data.__count) {
             // OData can return data.__count as a string
@@ -71,10 +77,19 @@
           return deferred.resolve({ results: data.results, inlineCount: inlineCount, httpResponse: response });
         },
         function (error) {
+          signal && signal.removeEventListener("abort", abortFn);
           return deferred.reject(createError(error, url));
         }
     );
+    // a query cancelled thru its signal aborts the datajs request.
+    if (signal && request && request.abort) {
+      signal.addEventListener("abort", abortFn);
+    }
     return deferred.promise;
+
+    function abortFn() {
+      request.abort();
+    }
   };
 
 
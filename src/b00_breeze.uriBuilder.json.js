@@ -18,13 +18,27 @@
 
   proto.initialize = function() {};
 
+  // set operators are sent using their mongo names.
+  var _jsonOperatorMap = {
+    'in': '$in',
+    'notin': '$nin'
+  };
+
   proto.buildUri = function (entityQuery, metadataStore) {
     // force entityType validation;
     var entityType = entityQuery._getFromEntityType(metadataStore, false);
     if (!entityType) entityType = new EntityType(metadataStore);
-    var json = entityQuery.toJSONExt( { entityType: entityType, toNameOnServer: true});
+    // an 'after' or 'before' clause is sent to the server as an ordinary filter and ordering.
+    entityQuery = entityQuery._expandKeyset(entityType);
+    var json = entityQuery.toJSONExt( { entityType: entityType, toNameOnServer: true, jsonOperatorMap: _jsonOperatorMap });
     json.from = undefined;
     json.queryOptions = undefined;
+    // a count only query is sent with its 'count' element and only needs the filter.
+    if (entityQuery.countOnlyEnabled) {
+      ["orderBy", "select", "expand", "skip", "take", "inlineCount"].forEach(function (name) {
+        json[name] = undefined;
+      });
+    }
 
     var jsonString = JSON.stringify(json);
     var urlBody = encodeURIComponent(jsonString);
@@ -10,7 +10,9 @@
   }
 }(function (breeze) {
   "use strict";
+  var core = breeze.core;
   var EntityType = breeze.EntityType;
+  var DataType = breeze.DataType;
   var toODataFragmentVisitor;
 
   var ctor = function UriBuilderODataAdapter() {
@@ -20,6 +22,9 @@
 
   proto.initialize = function() {};
 
+  // the OData protocol version that uris are built for.
+  proto.odataVersion = 3;
+
   proto.buildUri = function (entityQuery, metadataStore) {
     // force entityType validation;
     var entityType = entityQuery._getFromEntityType(metadataStore, false);
@@ -27,10 +32,29 @@
       // anonymous type but still has naming convention info avail
       entityType = new EntityType(metadataStore);
     }
+    // an 'after' or 'before' clause is sent to the server as an ordinary filter and ordering.
+    entityQuery = entityQuery._expandKeyset(entityType);
+    var odataVersion = this.odataVersion;
 
     var queryOptions = {};
-    queryOptions["$filter"] = toWhereODataFragment(entityQuery.wherePredicate);
-    queryOptions["$orderby"] = toOrderByODataFragment(entityQuery.orderByClause);
+    if (entityQuery._isGrouped()) {
+      // the filter has to be applied before the grouping so it becomes part of the $apply pipeline.
+      queryOptions["$apply"] = toApplyODataFragment(entityQuery);
+    } else {
+      queryOptions["$filter"] = toWhereODataFragment(entityQuery.wherePredicate);
+      queryOptions["$search"] = toSearchODataFragment(entityQuery.searchClause);
+    }
+
+    // a count only query goes to the '$count' path segment and only needs the filter.
+    if (entityQuery.countOnlyEnabled) {
+      return entityQuery.resourceName + "/$count" + toQueryOptionsString(queryOptions);
+    }
+
+    if (entityQuery._isGrouped()) {
+      queryOptions["$orderby"] = toGroupedOrderByODataFragment(entityQuery.orderByClause);
+    } else {
+      queryOptions["$orderby"] = toOrderByODataFragment(entityQuery.orderByClause);
+    }
 
     if (entityQuery.skipCount) {
       queryOptions["$skip"] = entityQuery.skipCount;
@@ -40,8 +64,14 @@
       queryOptions["$top"] = entityQuery.takeCount;
     }
 
-    queryOptions["$expand"] = toExpandODataFragment(entityQuery.expandClause);
-    queryOptions["$select"] = toSelectODataFragment(entityQuery.selectClause);
+    var navTree = toNavTree(entityQuery.selectClause, entityQuery.expandClause);
+    if (navTree) {
+      queryOptions["$expand"] = toNestedExpandODataFragment(navTree);
+      queryOptions["$select"] = navTree.select.length ? navTree.select.join(",") : undefined;
+    } else {
+      queryOptions["$expand"] = toExpandODataFragment(entityQuery.expandClause);
+      queryOptions["$select"] = toSelectODataFragment(entityQuery.selectClause);
+    }
 
     if (entityQuery.inlineCountEnabled) {
       queryOptions["$inlinecount"] = "allpages";
@@ -55,19 +85,85 @@
     function toWhereODataFragment(wherePredicate) {
       if (!wherePredicate) return undefined;
       // validation occurs inside of the toODataFragment call here.
-      return wherePredicate.visit({ entityType: entityType}, toODataFragmentVisitor );
+      return wherePredicate.visit({ entityType: entityType, odataVersion: odataVersion }, toODataFragmentVisitor );
     }
 
-    function toOrderByODataFragment(orderByClause) {
+    // 'orderByType' is the type of a nested orderBy; defaults to the query's type.
+    function toOrderByODataFragment(orderByClause, orderByType) {
       if (!orderByClause) return undefined;
-      orderByClause.validate(entityType);
+      var et = orderByType || entityType;
+      orderByClause.validate(et);
+      // OData has no syntax for an item's 'nullsFirst' or 'collation' so these only apply to local queries.
       var strings = orderByClause.items.map(function (item) {
-        return entityType.clientPropertyPathToServer(item.propertyPath, "/") + (item.isDesc ? " desc" : "");
+        return et.clientPropertyPathToServer(item.propertyPath, "/") + (item.isDesc ? " desc" : "");
       });
       // should return something like CompanyName,Address/City desc
       return strings.join(',');
     }
 
+    // OData v4 data aggregation extension, i.e.
+    //   filter(Freight gt 100)/groupby((ShipCity),aggregate(Freight with sum as TotalFreight,$count as OrderCount))
+    function toApplyODataFragment(entityQuery) {
+      var transforms = [];
+      var search = toSearchODataFragment(entityQuery.searchClause);
+      if (search) {
+        transforms.push("search(" + search + ")");
+      }
+      var filter = toWhereODataFragment(entityQuery.wherePredicate);
+      if (filter) {
+        transforms.push("filter(" + filter + ")");
+      }
+      var aggregate = toAggregateODataFragment(entityQuery.aggregateClause);
+      var groupByClause = entityQuery.groupByClause;
+      if (groupByClause) {
+        groupByClause.validate(entityType);
+        var groupPaths = groupByClause.propertyPaths.map(function (pp) {
+          return entityType.clientPropertyPathToServer(pp, "/");
+        }).join(",");
+        transforms.push("groupby((" + groupPaths + ")" + (aggregate ? "," + aggregate : "") + ")");
+      } else {
+        transforms.push(aggregate);
+      }
+      return transforms.join("/");
+    }
+
+    // OData has no syntax for the properties to search so these only apply to local and JSON queries.
+    function toSearchODataFragment(searchClause) {
+      if (!searchClause) return undefined;
+      searchClause.validate(entityType);
+      return searchClause.text.trim();
+    }
+
+    function toAggregateODataFragment(aggregateClause) {
+      if (!aggregateClause) return undefined;
+      aggregateClause.validate(entityType);
+      var frag = aggregateClause.items.map(function (item) {
+        var alias = toServerAlias(item.alias);
+        if (item.aggregateFn.name === "count") {
+          return "$count as " + alias;
+        }
+        return entityType.clientPropertyPathToServer(item.propertyPath, "/") + " with " + item.aggregateFn.name + " as " + alias;
+      }).join(",");
+      return "aggregate(" + frag + ")";
+    }
+
+    // orderBy items on a grouped query refer either to grouping properties or to aggregate aliases.
+    function toGroupedOrderByODataFragment(orderByClause) {
+      if (!orderByClause) return undefined;
+      var strings = orderByClause.items.map(function (item) {
+        var pp = item.propertyPath;
+        var serverPath = entityType.getProperty(pp) ? entityType.clientPropertyPathToServer(pp, "/") : toServerAlias(pp);
+        return serverPath + (item.isDesc ? " desc" : "");
+      });
+      return strings.join(',');
+    }
+
+    // aliases come back as property names on the server's anonymous results and will be converted
+    // back to client names via the NamingConvention
+    function toServerAlias(alias) {
+      return metadataStore.namingConvention.clientPropertyNameToServer(alias);
+    }
+
     function toSelectODataFragment(selectClause) {
       if (!selectClause) return undefined;
       selectClause.validate(entityType);
@@ -87,6 +183,112 @@
       return frag;
     }
 
+    // OData v4 nests the options of a navigation property within its $expand, i.e.
+    //   $expand=Orders($filter=Freight gt 100;$orderby=OrderDate desc;$top=5;$select=OrderID;$expand=OrderDetails)
+    // returns null unless the select or expand clause requires this syntax.
+    function toNavTree(selectClause, expandClause) {
+      var hasNestedOptions = [selectClause, expandClause].some(function (clause) {
+        return clause != null && !core.isEmpty(clause.nestedOptions);
+      });
+      if (!hasNestedOptions && !selectsThruCollection(selectClause)) return null;
+      if (odataVersion < 4) {
+        throw new Error("Nested select or expand options and selecting thru a navigation collection require OData v4");
+      }
+      selectClause && selectClause.validate(entityType);
+      var root = createNavNode(entityType);
+      if (expandClause) {
+        expandClause.propertyPaths.forEach(function (pp) {
+          var node = getNavNode(root, pp.split("."));
+          setNavNodeOptions(node, expandClause.nestedOptions[pp]);
+        });
+      }
+      addSelectPaths(root, selectClause);
+      return root;
+    }
+
+    function selectsThruCollection(selectClause) {
+      if (!selectClause || entityType.isAnonymous) return false;
+      return selectClause.propertyPaths.some(function (pp) {
+        var props = entityType.getPropertiesOnPath(pp, false, true);
+        return props.slice(0, -1).some(function (prop) {
+          return prop.isNavigationProperty && !prop.isScalar;
+        });
+      });
+    }
+
+    function createNavNode(navType) {
+      return { entityType: navType, select: [], children: {}, options: null };
+    }
+
+    function getNavNode(node, propNames) {
+      propNames.forEach(function (propName) {
+        var np = node.entityType.getProperty(propName, true);
+        var child = node.children[np.nameOnServer];
+        if (!child) {
+          child = node.children[np.nameOnServer] = createNavNode(np.entityType);
+        }
+        node = child;
+      });
+      return node;
+    }
+
+    function setNavNodeOptions(node, nestedOptions) {
+      if (!nestedOptions) return;
+      node.options = nestedOptions;
+      addSelectPaths(node, nestedOptions.selectClause);
+    }
+
+    // a selected data property is selected by the node of the navigation property that it belongs to.
+    function addSelectPaths(node, selectClause) {
+      if (!selectClause) return;
+      selectClause.propertyPaths.forEach(function (pp) {
+        var props = node.entityType.getPropertiesOnPath(pp, false, true);
+        var navCount = 0;
+        props.forEach(function (prop, ix) {
+          if (prop.isNavigationProperty) navCount = ix + 1;
+        });
+        var navNode = getNavNode(node, pp.split(".").slice(0, navCount));
+        if (navCount === props.length) {
+          setNavNodeOptions(navNode, selectClause.nestedOptions[pp]);
+        } else {
+          navNode.select.push(props.slice(navCount).map(function (prop) {
+            return prop.nameOnServer;
+          }).join("/"));
+        }
+      });
+    }
+
+    function toNestedExpandODataFragment(node) {
+      var frags = Object.keys(node.children).map(function (name) {
+        var child = node.children[name];
+        var options = child.options;
+        var parts = [];
+        if (options) {
+          if (options.wherePredicate) {
+            parts.push("$filter=" + options.wherePredicate.visit({ entityType: child.entityType, odataVersion: odataVersion }, toODataFragmentVisitor));
+          }
+          if (options.orderByClause) {
+            parts.push("$orderby=" + toOrderByODataFragment(options.orderByClause, child.entityType));
+          }
+          if (options.skipCount) {
+            parts.push("$skip=" + options.skipCount);
+          }
+          if (options.takeCount != null) {
+            parts.push("$top=" + options.takeCount);
+          }
+        }
+        if (child.select.length) {
+          parts.push("$select=" + child.select.join(","));
+        }
+        var expand = toNestedExpandODataFragment(child);
+        if (expand) {
+          parts.push("$expand=" + expand);
+        }
+        return name + (parts.length ? "(" + parts.join(";") + ")" : "");
+      });
+      return frags.length ? frags.join(",") : undefined;
+    }
+
     function toQueryOptionsString(queryOptions) {
       var qoStrings = [];
       for (var qoName in queryOptions) {
@@ -136,11 +338,24 @@
 
         var odataOp = odataOpFrom(this);
 
-        if (this.op.key === 'in') {
-          var result = expr2Val.map(function (v) {
-            return "(" + expr1Val + " eq " + v + ")";
-          }).join(" or ");
-          return result;
+        if (this.op.key === 'isof') {
+          return "isof(" + expr1Val + "," + fmtTypeArg(this.typeArg, context.odataVersion) + ")";
+        }
+
+        // a case insensitive string comparison is expressed by lower casing both sides.
+        var dataType = this.expr1.dataType || this.expr2.dataType;
+        if (this.caseSensitive === false && dataType === DataType.String) {
+          expr1Val = "tolower(" + expr1Val + ")";
+          if (Array.isArray(expr2Val)) {
+            // the values of an OData 'in' clause must be literals
+            expr2Val = expr2Val.map(function (v) { return v.toLowerCase(); });
+          } else {
+            expr2Val = "tolower(" + expr2Val + ")";
+          }
+        }
+
+        if (this.op.key === 'in' || this.op.key === 'notin') {
+          return toInODataFragment(this.op.key === 'notin', expr1Val, expr2Val, context.odataVersion);
         } else if (this.op.isFunction) {
           if (odataOp === "substringof") {
             return odataOp + "(" + expr2Val + "," + expr1Val + ") eq true";
@@ -177,9 +392,12 @@
         return exprVal + "/" + odataOpFrom(this) + "(" + prefix + ": " + newPredVal + ")";
       },
 
-      litExpr: function () {
+      litExpr: function (context) {
         if (Array.isArray(this.value)) {
           return this.value.map(function(v) { return this.dataType.fmtOData(v)}, this);
+        } else if (this.dataType === DataType.Time && context.odataVersion >= 4 && this.value != null) {
+          // OData v4 replaced the 'time' literal with 'duration'.
+          return "duration'" + this.value + "'";
         } else {
           return this.dataType.fmtOData(this.value);
         }
@@ -195,7 +413,16 @@
         var exprVals = this.exprs.map(function(expr) {
           return expr.visit(context);
         });
-        return this.fnName + "(" + exprVals.join(",") + ")";
+        if (this.hasTypeArg) {
+          exprVals[exprVals.length - 1] = fmtTypeArg(this.typeArg, context.odataVersion);
+        }
+        return this.odataName + "(" + exprVals.join(",") + ")";
+      },
+
+      arithExpr: function (context) {
+        var expr1Val = this.expr1.visit(context);
+        var expr2Val = this.expr2.visit(context);
+        return "(" + expr1Val + " " + this.op + " " + expr2Val + ")";
       }
     };
 
@@ -203,6 +430,33 @@
       'contains': 'substringof'
     };
 
+    // the type argument of 'isof' and 'cast' is a namespace qualified name; quoted prior to OData v4.
+    function fmtTypeArg(typeArg, odataVersion) {
+      var typeName;
+      if (typeArg instanceof EntityType) {
+        typeName = typeArg.namespace + "." + typeArg.shortName;
+      } else if (DataType.contains(typeArg)) {
+        typeName = "Edm." + typeArg.name;
+      } else {
+        typeName = typeArg;
+      }
+      return odataVersion >= 4 ? typeName : "'" + typeName + "'";
+    }
+
+    // OData v4 has an 'in' operator; earlier versions need an expanded 'or' chain.
+    function toInODataFragment(isNot, expr1Val, expr2Vals, odataVersion) {
+      if (expr2Vals.length === 0) {
+        return isNot ? "true" : "false";
+      }
+      if (odataVersion >= 4) {
+        var result = expr1Val + " in (" + expr2Vals.join(",") + ")";
+        return isNot ? "not (" + result + ")" : result;
+      }
+      return expr2Vals.map(function (v) {
+        return "(" + expr1Val + (isNot ? " ne " : " eq ") + v + ")";
+      }).join(isNot ? " and " : " or ");
+    }
+
     function odataOpFrom(node) {
       var op = node.op.key;
       var odataOp = _operatorMap[op];
@@ -214,6 +468,14 @@
 
   breeze.config.registerAdapter("uriBuilder", ctor);
 
+  // OData 4 uriBuilder
+  var odata4Ctor = function UriBuilderOData4Adapter() {
+    this.name = "odata4";
+  };
+  breeze.core.extend(odata4Ctor.prototype, proto);
+  odata4Ctor.prototype.odataVersion = 4;
+  breeze.config.registerAdapter("uriBuilder", odata4Ctor);
+
 }));
 
 
@@ -80,6 +80,258 @@
 
   });
 
+  /*********************************************************
+   * a query cancelled thru its signal is rejected and its results are not merged
+   *********************************************************/
+  test("cancelled query is rejected and not merged", 4, function (assert) {
+    var done = assert.async();
+    var ds = new breeze.DataService({ serviceName: '/bad/address/', hasServerMetadata: false });
+    var em = new breeze.EntityManager({ dataService: ds });
+    var signal = createSignal();
+    var ajaxConfig;
+    var ajaxStub = sinon.stub(originalAjaxAdapter, 'ajax', function (config) {
+      ajaxConfig = config;
+    });
+
+    breeze.EntityQuery.from("Todos").withCancellation(signal).using(em).execute()
+        .then(unexpectedSuccess, function (err) {
+          ok(err.isCancelled, "should have been rejected with a cancellation error: " + err.message);
+          equal(em.getEntities().length, 0, "nothing should have been merged");
+        }).finally(fin);
+
+    ok(ajaxConfig.signal === signal, "the signal should have been passed to the ajax adapter");
+    signal.abort();
+    // a late response from the server must be ignored.
+    ajaxConfig.success({ data: [{ id: 1, description: "stale" }], status: 200 });
+    ok(signal.aborted, "the signal should be aborted");
+
+    function fin() {
+      ajaxStub.restore();
+      done();
+    }
+  });
+
+  /*********************************************************
+   * a query whose signal was aborted before it was executed is never sent
+   *********************************************************/
+  test("query cancelled before it is executed is not sent", 2, function (assert) {
+    var done = assert.async();
+    var ds = new breeze.DataService({ serviceName: '/bad/address/', hasServerMetadata: false });
+    var em = new breeze.EntityManager({ dataService: ds });
+    var signal = createSignal();
+    var ajaxCount = 0;
+    var ajaxStub = sinon.stub(originalAjaxAdapter, 'ajax', function (config) {
+      ajaxCount++;
+    });
+
+    signal.abort();
+    breeze.EntityQuery.from("Todos").withCancellation(signal).using(em).execute()
+        .then(unexpectedSuccess, function (err) {
+          ok(err.isCancelled, "should have been rejected with a cancellation error: " + err.message);
+          equal(ajaxCount, 0, "the ajax adapter should not have been called");
+        }).finally(fin);
+
+    function fin() {
+      ajaxStub.restore();
+      done();
+    }
+  });
+
+  /*********************************************************
+   * identical in-flight queries share one request when 'deduplicate' is set
+   *********************************************************/
+  test("deduplicated queries share one request", 4, function (assert) {
+    var done = assert.async();
+    var ds = new breeze.DataService({ serviceName: '/bad/address/', hasServerMetadata: false });
+    var em = new breeze.EntityManager({ dataService: ds });
+    em.setProperties({ queryOptions: em.queryOptions.using({ deduplicate: true }) });
+    var ajaxConfigs = [];
+    var ajaxStub = sinon.stub(originalAjaxAdapter, 'ajax', function (config) {
+      ajaxConfigs.push(config);
+    });
+
+    var query1 = breeze.EntityQuery.from("Todos").where("id", "gt", 0);
+    var query2 = breeze.EntityQuery.from("Todos").where("id", "gt", 0);
+    var promises = [em.executeQuery(query1), em.executeQuery(query2)];
+    equal(ajaxConfigs.length, 1, "only one request should have been sent");
+    ajaxConfigs[0].success({ data: [{ id: 1, description: "shared" }], status: 200 });
+
+    breeze.Q.all(promises).then(function (results) {
+      var data1 = results[0], data2 = results[1];
+      ok(data1 !== data2 && data1.results !== data2.results, "each caller should get its own result object");
+      ok(data1.results[0] === data2.results[0], "both results should contain the same items");
+      ok(data1.query === query1 && data2.query === query2, "each result should have the caller's query");
+    }).finally(fin);
+
+    function fin() {
+      ajaxStub.restore();
+      done();
+    }
+  });
+
+  /*********************************************************
+   * fresh queries are executed locally and stale ones are revalidated in the background
+   *********************************************************/
+  test("cached query results are used until they expire", 7, function (assert) {
+    var done = assert.async();
+    var ds = new breeze.DataService({ serviceName: '/bad/address/', hasServerMetadata: false });
+    var em = new breeze.EntityManager({ dataService: ds, metadataStore: createTodoMetadataStore() });
+    var ajaxConfigs = [];
+    var ajaxStub = sinon.stub(originalAjaxAdapter, 'ajax', function (config) {
+      ajaxConfigs.push(config);
+    });
+    var FetchStrategy = breeze.FetchStrategy;
+    var query = breeze.EntityQuery.from("Todos").where("id", "==", 1);
+    var ifFreshQuery = query.using(new breeze.QueryOptions({ fetchStrategy: FetchStrategy.FromLocalCacheIfFresh, cacheTtl: 60000 }));
+    var swrQuery = query.using(new breeze.QueryOptions({ fetchStrategy: FetchStrategy.StaleWhileRevalidate, cacheTtl: 0 }));
+
+    execute(ifFreshQuery).then(function (data) {
+      equal(ajaxConfigs.length, 1, "a query that was never executed should go to the server");
+      return execute(ifFreshQuery);
+    }).then(function (data) {
+      ok(ajaxConfigs.length === 1 && data.results.length === 1, "a fresh query should be executed locally");
+      return breeze.Q.delay(5);
+    }).then(function () {
+      return em.executeQuery(swrQuery);
+    }).then(function (data) {
+      equal(data.results[0].getProperty("description"), "todo 1", "stale results should be returned from the cache");
+      ok(data.revalidation && ajaxConfigs.length === 2, "a stale query should be revalidated");
+      respond(ajaxConfigs[1]);
+      return data.revalidation;
+    }).then(function (data) {
+      equal(data.results[0].getProperty("description"), "todo 2", "the revalidation should have merged the server results");
+      return execute(ifFreshQuery);
+    }).then(function (data) {
+      equal(ajaxConfigs.length, 2, "the revalidation should have refreshed the cache");
+      em.clear();
+      return execute(ifFreshQuery);
+    }).then(function (data) {
+      equal(ajaxConfigs.length, 3, "clearing the EntityManager should expire every query");
+    }).fail(function (err) {
+      ok(false, "should not fail: " + err.message);
+    }).finally(fin);
+
+    // executes the query and responds to any request that it makes.
+    function execute(q) {
+      var count = ajaxConfigs.length;
+      var promise = em.executeQuery(q);
+      if (ajaxConfigs.length > count) {
+        respond(ajaxConfigs[count]);
+      }
+      return promise;
+    }
+
+    function respond(config) {
+      config.success({ data: [{ id: 1, description: "todo " + ajaxConfigs.length }], status: 200 });
+    }
+
+    function fin() {
+      ajaxStub.restore();
+      done();
+    }
+  });
+
+  /*********************************************************
+   * a large query result is merged in chunks that each publish their own notifications
+   *********************************************************/
+  test("query results are merged in chunks", 4, function (assert) {
+    var done = assert.async();
+    var ds = new breeze.DataService({ serviceName: '/bad/address/', hasServerMetadata: false });
+    var em = new breeze.EntityManager({ dataService: ds, metadataStore: createTodoMetadataStore() });
+    var ajaxStub = sinon.stub(originalAjaxAdapter, 'ajax', function (config) {
+      var todos = [1, 2, 3, 4, 5, 6, 7].map(function (id) {
+        return { id: id, description: "todo " + id };
+      });
+      config.success({ data: todos, status: 200 });
+    });
+    var changedCount = 0;
+    em.entityChanged.subscribe(function () {
+      changedCount++;
+    });
+    var progress = [];
+    em.queryMergeProgress.subscribe(function (args) {
+      progress.push(args.mergedCount + "/" + args.totalCount + ":" + changedCount);
+    });
+    var query = breeze.EntityQuery.from("Todos").using(new breeze.QueryOptions({ mergeChunkSize: 3 }));
+
+    em.executeQuery(query).then(function (data) {
+      equal(data.results.length, 7, "should have returned every result");
+      equal(data.results[6].getProperty("description"), "todo 7", "the results should be in order");
+      equal(progress.join(), "3/7:3,6/7:6,7/7:7", "progress and entityChanged notifications should be published for each chunk");
+      ok(data.query === query, "should have the same result shape");
+    }).fail(function (err) {
+      ok(false, "should not fail: " + err.message);
+    }).finally(fin);
+
+    function fin() {
+      ajaxStub.restore();
+      done();
+    }
+  });
+
+  test("chunked merge cannot be cancelled once it has started", 2, function (assert) {
+    var done = assert.async();
+    var ds = new breeze.DataService({ serviceName: '/bad/address/', hasServerMetadata: false });
+    var em = new breeze.EntityManager({ dataService: ds, metadataStore: createTodoMetadataStore() });
+    var ajaxStub = sinon.stub(originalAjaxAdapter, 'ajax', function (config) {
+      var todos = [1, 2, 3, 4, 5].map(function (id) {
+        return { id: id, description: "todo " + id };
+      });
+      config.success({ data: todos, status: 200 });
+    });
+    var signal = createSignal();
+    em.queryMergeProgress.subscribe(function () {
+      signal.abort();
+    });
+    var query = breeze.EntityQuery.from("Todos").using(new breeze.QueryOptions({ mergeChunkSize: 2, signal: signal }));
+
+    em.executeQuery(query).then(function (data) {
+      equal(data.results.length, 5, "should have merged every chunk");
+      equal(em.getEntities().length, 5, "every result should be in the cache");
+    }).fail(function (err) {
+      ok(false, "should not fail: " + err.message);
+    }).finally(fin);
+
+    function fin() {
+      ajaxStub.restore();
+      done();
+    }
+  });
+
+  function createTodoMetadataStore() {
+    var metadataStore = new breeze.MetadataStore({ namingConvention: breeze.NamingConvention.none });
+    metadataStore.addEntityType({
+      shortName: "Todo",
+      namespace: "Test",
+      dataProperties: {
+        id: { dataType: breeze.DataType.Int32, isPartOfKey: true },
+        description: { dataType: breeze.DataType.String }
+      }
+    });
+    metadataStore.setEntityTypeForResourceName("Todos", "Todo");
+    return metadataStore;
+  }
+
+  function createSignal() {
+    var listeners = [];
+    return {
+      aborted: false,
+      addEventListener: function (name, fn) {
+        listeners.push(fn);
+      },
+      removeEventListener: function (name, fn) {
+        var ix = listeners.indexOf(fn);
+        if (ix >= 0) listeners.splice(ix, 1);
+      },
+      abort: function () {
+        this.aborted = true;
+        listeners.slice().forEach(function (fn) {
+          fn();
+        });
+      }
+    };
+  }
+
   function inheritedDefaultSettingsTest(adapter, ajaxStub, done) {
     // copy the original default settings so can restore at end of test
     var defSettings = adapter.defaultSettings;
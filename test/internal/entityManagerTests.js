@@ -1702,6 +1702,218 @@
     'the export method threw because there is no "Foo" type');
   });
 
+  test("undo and redo changes", function () {
+    var em = newEm();
+    var UNCHG = EntityState.Unchanged;
+    var cust1 = em.createEntity('Customer', { customerID: core.getUuid(), companyName: 'cust 1' }, UNCHG);
+    var cust2 = em.createEntity('Customer', { customerID: core.getUuid(), companyName: 'cust 2' }, UNCHG);
+    var ord1 = em.createEntity('Order', { orderID: 1, customer: cust1 }, UNCHG);
+    cust1.setProperty('companyName', 'cust 1-M');
+    ok(!em.canUndo() && !em.undo(), "changes should not be recorded until the change history is needed");
+    cust1.entityAspect.rejectChanges();
+    em.setProperties({ changeHistoryDepth: 10 });
+
+    cust1.setProperty('companyName', 'cust 1-M');
+    ok(em.undo(), "should have undone the change");
+    ok(cust1.getProperty('companyName') === 'cust 1' && cust1.entityAspect.entityState === UNCHG,
+      "the value and EntityState should have been restored");
+    ok(em.redo(), "should have redone the change");
+    ok(cust1.getProperty('companyName') === 'cust 1-M' && cust1.entityAspect.entityState.isModified(),
+      "the change should have been reapplied");
+    ok(!em.canRedo(), "there should be nothing to redo");
+
+    em.beginChangeGroup();
+    ord1.setProperty('customer', cust2);
+    var ord2 = em.createEntity('Order', { customer: cust1 });
+    em.endChangeGroup();
+    equal(cust1.getProperty('orders').length, 1, "cust1 should have the new order only");
+    em.undo();
+    ok(ord1.getProperty('customer') === cust1 && cust2.getProperty('orders').length === 0,
+      "the navigation property change should have been undone");
+    ok(ord2.entityAspect.entityState.isDetached(), "the new order should have been detached");
+    em.undo();
+    equal(cust1.getProperty('companyName'), 'cust 1', "the earlier change should have been undone");
+    ok(!em.hasChanges(), "there should be no changes");
+    em.redo();
+    em.redo();
+    ok(ord2.entityAspect.entityState.isAdded() && ord1.getProperty('customer') === cust2, "the group should have been redone");
+
+    cust2.setProperty('companyName', 'cust 2-M');
+    em.clearChangeHistory();
+    cust1.setProperty('companyName', 'cust 1-M2');
+    cust2.setProperty('companyName', 'cust 2-M2');
+    cust2.entityAspect.acceptChanges();
+    ok(em.undo(), "accepting the changes to one entity should not discard the changes to others");
+    ok(cust1.getProperty('companyName') === 'cust 1-M' && cust2.getProperty('companyName') === 'cust 2-M2',
+      "only the changes to the other entities should have been undone");
+
+    em.rejectChanges();
+    ok(!em.canUndo() && !em.canRedo(), "rejecting changes should clear the change history");
+
+    em.setProperties({ changeHistoryDepth: 2 });
+    ['a', 'b', 'c'].forEach(function (name) {
+      em.beginChangeGroup();
+      cust1.setProperty('companyName', name);
+      em.endChangeGroup();
+    });
+    ok(em.undo() && em.undo() && !em.undo(), "only the most recent units of change should be kept");
+    equal(cust1.getProperty('companyName'), 'a', "the oldest change should not have been undone");
+  });
+
+  test("undo and redo the deletion of a parent and child", function () {
+    var em = newEm();
+    var UNCHG = EntityState.Unchanged;
+    em.setProperties({ changeHistoryDepth: 10 });
+    var cust1 = em.createEntity('Customer', { customerID: core.getUuid(), companyName: 'cust 1' }, UNCHG);
+    var ord1 = em.createEntity('Order', { orderID: 1, customer: cust1 }, UNCHG);
+    var custID = cust1.getProperty('customerID');
+    var isRestored = function () {
+      return ord1.entityAspect.entityState === UNCHG && ord1.getProperty('customerID') === custID &&
+          cust1.getProperty('orders')[0] === ord1;
+    };
+
+    em.beginChangeGroup();
+    ord1.entityAspect.setDeleted();
+    cust1.entityAspect.setDeleted();
+    em.endChangeGroup();
+    em.undo();
+    ok(isRestored(), "the order should be related to its customer again");
+    em.redo();
+    ok(ord1.entityAspect.entityState.isDeleted() && ord1.getProperty('customerID') === custID,
+      "the deleted order should have kept its foreign key");
+    em.undo();
+    ok(isRestored(), "the order should be unchanged and related to its customer after the redo is undone");
+  });
+
+  test("rollback to a checkpoint", function () {
+    var em = newEm();
+    var sup1 = em.createEntity('Supplier', { supplierID: 1, companyName: 'sup 1' }, EntityState.Unchanged);
+    em.clearChangeHistory();
+    var checkpoint = em.createCheckpoint();
+
+    sup1.getProperty('location').setProperty('city', 'Oslo');
+    em.createCheckpoint();
+    sup1.entityAspect.setDeleted();
+    em.rollbackTo(checkpoint);
+    ok(sup1.entityAspect.entityState.isUnchanged(), "the supplier should be unchanged");
+    equal(sup1.getProperty('location').getProperty('city'), null, "the complex property change should have been undone");
+    ok(em.canRedo(), "the changes should be able to be redone");
+
+    em.clear();
+    throws(function () {
+      em.rollbackTo(checkpoint);
+    }, /checkpoint/, "should throw for a checkpoint from before the history was cleared");
+  });
+
+  test("nested transactions", function () {
+    var em = newEm();
+    var cust1 = em.createEntity('Customer', { customerID: core.getUuid(), companyName: 'cust 1' }, EntityState.Unchanged);
+    var ord1 = em.createEntity('Order', { orderID: 1, customer: cust1 }, EntityState.Unchanged);
+    cust1.setProperty('companyName', 'cust 1-M');
+
+    var outerTx = em.beginTransaction();
+    ord1.setProperty('freight', 10);
+    var innerTx = em.beginTransaction();
+    ok(innerTx.parent === outerTx && innerTx.isActive, "the transaction should be nested");
+    ord1.setProperty('customer', null);
+    var ord2 = em.createEntity('Order', { customer: cust1 });
+    throws(function () {
+      outerTx.commit();
+    }, /nested/, "should not commit while a nested transaction is active");
+
+    innerTx.rollback();
+    ok(!innerTx.isActive && outerTx.isActive, "only the nested transaction should have ended");
+    ok(ord1.getProperty('customer') === cust1 && ord2.entityAspect.entityState.isDetached(),
+      "the changes made in the nested transaction should have been rolled back");
+    equal(cust1.getProperty('orders').length, 1, "the navigation fixups should have been restored");
+    equal(ord1.getProperty('freight'), 10, "the changes made before it began should be kept");
+    ok(!em.canRedo(), "the rolled back changes should not be redoable");
+
+    em.beginTransaction();
+    ord1.entityAspect.setDeleted();
+    outerTx.rollback();
+    ok(ord1.entityAspect.entityState.isUnchanged() && cust1.getProperty('orders').length === 1,
+      "rolling back should also roll back the transactions nested within it");
+    equal(cust1.getProperty('companyName'), 'cust 1-M', "the changes made before any transaction should be kept");
+    throws(function () {
+      outerTx.commit();
+    }, /already/, "should not end a transaction twice");
+
+    var freight = ord1.getProperty('freight');
+    var tx = em.beginTransaction();
+    ord1.setProperty('freight', 20);
+    cust1.entityAspect.acceptChanges();
+    tx.rollback();
+    equal(ord1.getProperty('freight'), freight, "accepting the changes to another entity should not prevent a rollback");
+
+    tx = em.beginTransaction();
+    em.clear();
+    throws(function () {
+      tx.rollback();
+    }, /checkpoint/, "should not roll back once the EntityManager has been cleared");
+    ok(tx.isActive, "a transaction that could not be rolled back should remain active");
+  });
+
+  test("commit a sandbox to its parent", function () {
+    var em = newEm();
+    var cust1 = em.createEntity('Customer', { customerID: core.getUuid(), companyName: 'cust 1' }, EntityState.Unchanged);
+    var ord1 = em.createEntity('Order', { orderID: 1, customer: cust1, freight: 1 }, EntityState.Unchanged);
+    var ord2 = em.createEntity('Order', { customer: cust1 });
+
+    var sandbox = em.createSandbox([cust1, ord1, ord2]);
+    ok(sandbox.parentEntityManager === em, "should be a sandbox of em");
+    equal(sandbox.getEntities().length, 3, "should contain copies of the entities");
+    var sbCust1 = sandbox.getEntityByKey(cust1.entityAspect.getKey());
+    ok(sbCust1 !== cust1 && sbCust1.getProperty('orders').length === 2, "the copies should be related");
+
+    sandbox.getEntityByKey(ord1.entityAspect.getKey()).setProperty('freight', 20);
+    sandbox.getEntities('Order', EntityState.Added)[0].entityAspect.setDeleted();
+    var sbOrd3 = sandbox.createEntity('Order', { customer: sbCust1 });
+    sandbox.createEntity('OrderDetail', { order: sbOrd3, productID: 1, quantity: 2 });
+    ord1.setProperty('shipCity', 'Oslo');
+    equal(ord1.getProperty('freight'), 1, "the parent should not be changed by the sandbox");
+
+    var result = sandbox.commitToParent();
+    ok(ord1.getProperty('freight') === 20 && ord1.getProperty('shipCity') === 'Oslo',
+      "the sandbox's change should be merged without losing the parent's change");
+    ok(ord2.entityAspect.entityState.isDetached(), "the deleted order should be removed");
+    var ord3 = em.getEntityByKey(result.tempKeyMapping[sbOrd3.entityAspect.getKey().toString()]);
+    ok(ord3 && ord3.entityAspect.entityState.isAdded() && ord3.getProperty('customer') === cust1,
+      "the new order should be added to the parent with a new temporary key");
+    equal(ord3.getProperty('orderDetails').length, 1, "foreign keys to the new order should be translated");
+    ok(sandbox.parentEntityManager === null && sandbox.getEntities().length === 0, "the sandbox should have been discarded");
+  });
+
+  test("sandbox conflicts", function () {
+    var em = newEm();
+    var ord1 = em.createEntity('Order', { orderID: 1, shipCity: 'Oslo' }, EntityState.Unchanged);
+    var sandbox = em.createSandbox([ord1]);
+    sandbox.getEntities()[0].setProperty('shipCity', 'Rome');
+    ord1.setProperty('shipCity', 'Paris');
+
+    throws(function () {
+      sandbox.commitToParent();
+    }, /conflict/, "should throw when the same property was changed in the parent");
+    try {
+      sandbox.commitToParent();
+    } catch (e) {
+      ok(e.conflicts.length === 1 && e.conflicts[0].parentEntity === ord1 && e.conflicts[0].propertyNames[0] === 'shipCity',
+        "the conflict should be reported");
+    }
+    equal(ord1.getProperty('shipCity'), 'Paris', "nothing should have been merged");
+
+    sandbox.commitToParent({ overwriteConflicts: true });
+    equal(ord1.getProperty('shipCity'), 'Rome', "the sandbox's value should overwrite the parent's");
+
+    var sandbox2 = em.createSandbox([ord1]);
+    sandbox2.getEntities()[0].setProperty('shipCity', 'Bern');
+    sandbox2.discard();
+    equal(ord1.getProperty('shipCity'), 'Rome', "a discarded sandbox should not change the parent");
+    throws(function () {
+      sandbox2.commitToParent();
+    }, /not a sandbox/, "a discarded sandbox cannot be committed");
+  });
+
   ////////////////////////
   function createCachedData(em) {
     var DEL = breeze.EntityState.Deleted;
@@ -1557,7 +1557,167 @@
     ok(valid, "should no longer have any changes");
   });
 
+  test("getChangedProperties", function () {
+    var em = newEm();
+    var cust1 = em.createEntity("Customer", { customerID: core.getUuid(), companyName: "cust 1" }, EntityState.Unchanged);
+    var cust2 = em.createEntity("Customer", { customerID: core.getUuid(), companyName: "cust 2" }, EntityState.Unchanged);
+    var order = em.createEntity("Order", { orderID: 1, customer: cust1, shipName: "ship 1" }, EntityState.Unchanged);
+    var supplier = em.createEntity("Supplier", { supplierID: 1 }, EntityState.Unchanged);
+    var newOrder = em.createEntity("Order", { orderID: 2 });
+
+    order.setProperty("shipName", "ship 2");
+    order.setProperty("customer", cust2);
+    order.setProperty("freight", order.getProperty("freight"));
+    var changes = order.entityAspect.getChangedProperties();
+    equal(changes.length, 2, "should only return the properties whose values changed");
+    var shipNameChange = changes.filter(function (c) {
+      return c.propertyPath === "shipName";
+    })[0];
+    ok(shipNameChange.oldValue === "ship 1" && shipNameChange.newValue === "ship 2", "should have the old and new values");
+    var fkChange = changes.filter(function (c) {
+      return c.property.name === "customerID";
+    })[0];
+    ok(fkChange.navigationProperty.name === "customer" && fkChange.oldEntity === cust1 && fkChange.newEntity === cust2,
+      "a foreign key change should include the related entities");
+
+    supplier.getProperty("location").setProperty("city", "Oslo");
+    changes = supplier.entityAspect.getChangedProperties();
+    ok(changes.length === 1 && changes[0].propertyPath === "location.city" && changes[0].newValue === "Oslo",
+      "should return the changes to complex properties");
+
+    equal(newOrder.entityAspect.getChangedProperties().length, 0, "an added entity should have no changed properties");
+    var summary = em.getChangeSummary();
+    equal(summary.length, 3, "should summarize every changed entity");
+    ok(summary.some(function (s) {
+      return s.entity === order && s.entityState.isModified() && s.changedProperties.length === 2;
+    }), "should summarize the changed properties");
+  });
 
+  test("getChangedProperties of arrays", function () {
+    var ms = new MetadataStore();
+    ms.addEntityType({
+      shortName: "Phone",
+      namespace: "Test",
+      isComplexType: true,
+      dataProperties: {
+        number: { dataType: DataType.String }
+      }
+    });
+    ms.addEntityType({
+      shortName: "Person",
+      namespace: "Test",
+      dataProperties: {
+        id: { dataType: DataType.Int32, isPartOfKey: true },
+        tags: { dataType: DataType.String, isScalar: false },
+        phones: { complexTypeName: "Phone:#Test", isScalar: false }
+      }
+    });
+    var em = new EntityManager({ metadataStore: ms });
+    var phoneType = ms.getEntityType("Phone");
+    var person = em.createEntity("Person", { id: 1 }, EntityState.Unchanged);
+    person.getProperty("tags").push("a");
+    person.getProperty("phones").push(phoneType.createInstance({ number: "1" }));
+    person.entityAspect.acceptChanges();
+
+    person.getProperty("tags").push("b");
+    person.getProperty("phones")[0].setProperty("number", "2");
+    var changes = person.entityAspect.getChangedProperties();
+    equal(changes.length, 2, "should have two changes");
+    ok(changes[0].propertyPath === "tags" && changes[0].oldValue.join() === "a" && changes[0].added[0] === "b",
+      "should return the change to the primitive array");
+    ok(changes[1].propertyPath === "phones[0].number" && changes[1].oldValue === "1", "should return the change within the complex array");
+  });
+
+  test("setDeleted applies delete rules", function () {
+    var DeleteRule = breeze.DeleteRule;
+    var ms = createInvoiceMetadataStore();
+    var ms2 = new MetadataStore();
+    ms2.importMetadata(ms.exportMetadata());
+    ok(ms2.getEntityType("Invoice").getNavigationProperty("payments").onDelete === DeleteRule.Restrict,
+      "the delete rule should be exported and imported");
+
+    var em = new EntityManager({ metadataStore: ms });
+    var UNCHG = EntityState.Unchanged;
+    var invoice = em.createEntity("Invoice", { id: 1 }, UNCHG);
+    var line1 = em.createEntity("Line", { id: 1, invoiceId: 1 }, UNCHG);
+    var line2 = em.createEntity("Line", { id: 2, invoice: invoice });
+    var note = em.createEntity("Note", { id: 1, invoiceId: 1 }, UNCHG);
+    var payment = em.createEntity("Payment", { id: 1, invoiceId: 1 }, UNCHG);
+
+    throws(function () {
+      invoice.entityAspect.setDeleted();
+    }, /Restrict/, "should not delete an invoice that has payments");
+    ok(invoice.entityAspect.entityState.isUnchanged() && line1.entityAspect.entityState.isUnchanged() && note.getProperty("invoiceId") === 1,
+      "nothing should have been changed");
+
+    payment.entityAspect.setDeleted();
+    invoice.entityAspect.setDeleted();
+    ok(invoice.entityAspect.entityState.isDeleted(), "the invoice should be deleted");
+    ok(line1.entityAspect.entityState.isDeleted() && line2.entityAspect.entityState.isDetached(), "the lines should be deleted");
+    ok(note.getProperty("invoiceId") === null && note.entityAspect.entityState.isModified(), "the note's foreign key should be set to null");
+  });
+
+  test("delete rules are not reapplied to imported or committed deletions", function () {
+    var ms = createInvoiceMetadataStore();
+    var UNCHG = EntityState.Unchanged;
+    var createInvoice = function (em) {
+      em.createEntity("Invoice", { id: 1 }, UNCHG);
+      em.createEntity("Payment", { id: 1, invoiceId: 1 }, UNCHG);
+    };
+    var em1 = new EntityManager({ metadataStore: ms });
+    var em2 = new EntityManager({ metadataStore: ms });
+    createInvoice(em1);
+    createInvoice(em2);
+    em1.getEntityByKey("Payment", 1).entityAspect.setDeleted();
+    em1.getEntityByKey("Invoice", 1).entityAspect.setDeleted();
+    // the invoice is imported before the payment.
+    var exported = em1.exportEntities([em1.getEntityByKey("Invoice", 1), em1.getEntityByKey("Payment", 1)]);
+    em2.importEntities(exported, { mergeStrategy: MergeStrategy.OverwriteChanges });
+    ok(em2.getEntityByKey("Invoice", 1).entityAspect.entityState.isDeleted() &&
+        em2.getEntityByKey("Payment", 1).entityAspect.entityState.isDeleted(), "both deletions should have been imported");
+
+    var em = new EntityManager({ metadataStore: ms });
+    createInvoice(em);
+    var sandbox = em.createSandbox(em.getEntities());
+    sandbox.getEntityByKey("Payment", 1).entityAspect.setDeleted();
+    sandbox.getEntityByKey("Invoice", 1).entityAspect.setDeleted();
+    sandbox.commitToParent();
+    ok(em.getEntityByKey("Invoice", 1).entityAspect.entityState.isDeleted() &&
+        em.getEntityByKey("Payment", 1).entityAspect.entityState.isDeleted(), "both deletions should have been committed");
+  });
+
+
+
+  function createInvoiceMetadataStore() {
+    var DeleteRule = breeze.DeleteRule;
+    var ms = new MetadataStore();
+    ms.addEntityType({
+      shortName: "Invoice",
+      namespace: "Test",
+      dataProperties: {
+        id: { dataType: DataType.Int32, isPartOfKey: true }
+      },
+      navigationProperties: {
+        lines: { entityTypeName: "Line:#Test", isScalar: false, associationName: "Invoice_Lines", onDelete: DeleteRule.Cascade },
+        notes: { entityTypeName: "Note:#Test", isScalar: false, associationName: "Invoice_Notes", onDelete: DeleteRule.SetNull },
+        payments: { entityTypeName: "Payment:#Test", isScalar: false, associationName: "Invoice_Payments", onDelete: DeleteRule.Restrict }
+      }
+    });
+    ["Line", "Note", "Payment"].forEach(function (shortName) {
+      ms.addEntityType({
+        shortName: shortName,
+        namespace: "Test",
+        dataProperties: {
+          id: { dataType: DataType.Int32, isPartOfKey: true },
+          invoiceId: { dataType: DataType.Int32 }
+        },
+        navigationProperties: {
+          invoice: { entityTypeName: "Invoice:#Test", associationName: "Invoice_" + shortName + "s", foreignKeyNames: ["invoiceId"] }
+        }
+      });
+    });
+    return ms;
+  }
 
   function createOrderAndDetails(em, shouldAttachUnchanged) {
     if (shouldAttachUnchanged === undefined) shouldAttachUnchanged = true;
@@ -121,6 +121,36 @@
   });
 
 
+  function queryBillingIsOf(typeName, subtypeName, assert) {
+    var done = assert.async();
+    var em = newEmX();
+
+    var q = EntityQuery.from(typeName + 's')
+        .where("isof('" + subtypeName + "')", "eq", true)
+        .using(em);
+
+    q.execute().then(function (data) {
+      var subtype = em.metadataStore.getEntityType(subtypeName);
+      var r = data.results;
+      ok(r.length > 0, "should have found some " + subtypeName);
+      ok(r.every(function (f) {
+        return f.entityType.isSubtypeOf(subtype);
+      }), "should only have returned " + subtypeName + "s");
+      var r2 = q.executeLocally();
+      equal(r2.length, r.length, "a local query should return the same " + subtypeName + "s");
+    }).fail(testFns.handleFail).fin(done);
+  }
+
+  test("query BillingDetailTPH - isof", function (assert) {
+    queryBillingIsOf("BillingDetailTPH", "BankAccountTPH", assert);
+  });
+  test("query BillingDetailTPT - isof", function (assert) {
+    queryBillingIsOf("BillingDetailTPT", "BankAccountTPT", assert);
+  });
+  test("query BillingDetailTPC - isof", function (assert) {
+    queryBillingIsOf("BillingDetailTPC", "BankAccountTPC", assert);
+  });
+
   test("export metadata", function () {
     var em = newEm();
     var ets = em.metadataStore.getEntityTypes();
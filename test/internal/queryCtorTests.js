@@ -119,6 +119,37 @@
     ok(r4.length === 3);
   });
 
+  test("predicateBuilder fromODataFilter - toFunction", function () {
+    var ms = new MetadataStore();
+    var nullEt = new EntityType(ms);
+    var config = { entityType: nullEt };
+    var p1 = Predicate.fromODataFilter("startswith(ShipCity,'F') eq true and Size gt 2000");
+    var r1 = this.entities.filter(p1.toFunction(config));
+    ok(r1.length === 1, "should have returned one entity");
+
+    var p2 = Predicate.fromODataFilter("not (startswith(ShipCity,'F') eq true) and (Size ge 2000 or ShipCity eq 'Chicago')");
+    var r2 = this.entities.filter(p2.toFunction(config));
+    ok(r2.length === 3, "should have returned three entities");
+
+    var p3 = Predicate.fromODataFilter("Size mul 2 gt 5000 or 100 eq Size");
+    var r3 = this.entities.filter(p3.toFunction(config));
+    ok(r3.length === 3, "arithmetic and a reversed comparison should have returned three entities");
+
+    var p4 = Predicate.fromODataFilter("ShipCity in ('Cannes','Fresno')");
+    var r4 = this.entities.filter(p4.toFunction(config));
+    ok(r4.length === 2, "'in' should have returned two entities");
+
+    var txt = p1.toODataFragment(config);
+    equal(txt, Predicate.create("ShipCity", "startswith", "F").and("Size", "gt", 2000).toODataFragment(config));
+
+    try {
+      Predicate.fromODataFilter("ShipCity eq 'Fargo' xyz");
+      ok(false, "should not get here");
+    } catch (e) {
+      ok(e.message.indexOf("Unexpected token") >= 0, "should have thrown a parse error: " + e.message);
+    }
+  });
+
   test("orderByClause - comparer", function () {
     var obc = new OrderByClause(["ShipCity"]);
 
@@ -738,6 +738,700 @@
     }).fail(testFns.handleFail).fin(done);
   });
 
+  test("local query - groupBy with aggregates", function () {
+    var em = newEm();
+    var cust = addCustomer(em, "Acme");
+    [["Paris", 50], ["Paris", 150], ["Rome", 20], ["Rome", null], ["Oslo", 5]].forEach(function (a) {
+      em.createEntity("Order", { customer: cust, shipCity: a[0], freight: a[1] });
+    });
+    var query = EntityQuery.from("Orders")
+        .where("freight", ">", 10)
+        .groupBy("shipCity")
+        .aggregate("sum", "freight", "totalFreight")
+        .aggregate("count", null, "orderCount")
+        .aggregate("average", "freight")
+        .orderBy("totalFreight desc");
+    var r = em.executeQueryLocally(query);
+    ok(r.length === 2, "should be two groups after filtering");
+    ok(r[0].shipCity === "Paris" && r[0].totalFreight === 200 && r[0].orderCount === 2, "first group should be Paris");
+    ok(r[0].average_freight === 100, "default alias should be 'average_freight'");
+    ok(r[1].shipCity === "Rome" && r[1].totalFreight === 20, "second group should be Rome");
+
+    var q2 = EntityQuery.from("Orders").aggregate("max", "freight", "maxFreight").aggregate("count", null, "orderCount");
+    var r2 = em.executeQueryLocally(q2);
+    ok(r2.length === 1 && r2[0].maxFreight === 150 && r2[0].orderCount === 5, "aggregates without a groupBy should return a single result");
+
+    var q3 = new EntityQuery(JSON.parse(JSON.stringify(query)));
+    var r3 = em.executeQueryLocally(q3);
+    ok(r3.length === 2 && r3[0].totalFreight === 200, "groupBy and aggregate should roundtrip thru json");
+
+    if (!testFns.DEBUG_MONGO) {
+      var uri = decodeURIComponent(query._toUri(em));
+      ok(uri.indexOf("$apply=filter(") > 0 && uri.indexOf("groupby((ShipCity),aggregate(") > 0, "uri should contain an $apply clause: " + uri);
+      ok(uri.indexOf("$filter") < 0, "filter should be part of the $apply clause: " + uri);
+    }
+  });
+
+  test("local query - groupBy null and empty values", function () {
+    var em = newEm();
+    [null, "", null, "a"].forEach(function (city) {
+      em.createEntity("Customer", { companyName: "c", city: city });
+    });
+    var query = EntityQuery.from("Customers").groupBy("city").aggregate("count", null, "n");
+    var r = em.executeQueryLocally(query);
+    deepEqual(r.map(function (g) {
+      return [g.city, g.n];
+    }), [[null, 2], ["", 1], ["a", 1]], "null and empty values should be grouped separately");
+  });
+
+  test("local query - count", function () {
+    var em = newEm();
+    var cust = addCustomer(em, "Acme");
+    [50, 150, 20, null, 5].forEach(function (freight) {
+      em.createEntity("Order", { customer: cust, freight: freight });
+    });
+    var query = EntityQuery.from("Orders")
+        .where("freight", ">", 10)
+        .orderBy("freight")
+        .take(1);
+    var r = em.executeQueryLocallyCount(query);
+    ok(r === 3, "count should ignore take and return 3 - actual: " + r);
+    ok(query.count().countOnlyEnabled && !query.count().count(false).countOnlyEnabled, "count(false) should turn the count off");
+
+    var q2 = new EntityQuery(JSON.parse(JSON.stringify(query.count())));
+    ok(q2.countOnlyEnabled, "count should roundtrip thru json");
+
+    if (!testFns.DEBUG_MONGO) {
+      var uri = decodeURIComponent(query.count()._toUri(em));
+      ok(uri.indexOf("Orders/$count?$filter=") === 0, "uri should target $count: " + uri);
+      ok(uri.indexOf("$orderby") < 0 && uri.indexOf("$top") < 0, "uri should not contain an $orderby or $top: " + uri);
+    }
+    var jsonUriBuilder = breeze.config.getAdapterInstance("uriBuilder", "json");
+    var jsonUri = decodeURIComponent(jsonUriBuilder.buildUri(query.count(), em.metadataStore));
+    ok(jsonUri.indexOf('"count":true') > 0 && jsonUri.indexOf('"where":') > 0, "json uri should contain the count and the filter: " + jsonUri);
+    ok(jsonUri.indexOf('"orderBy"') < 0 && jsonUri.indexOf('"take"') < 0, "json uri should not contain an orderBy or take: " + jsonUri);
+  });
+
+  test("local query - expanded paths", function (assert) {
+    var done = assert.async();
+    var em = newEm();
+    var cust = addCustomer(em, "Acme");
+    var order = em.createEntity("Order", { customer: cust });
+    var query = EntityQuery.from("Customers").expand("orders.orderDetails").using(FetchStrategy.FromLocalCache);
+
+    em.executeQuery(query).then(function (data) {
+      ok(data.results.length === 1, "should have returned one customer");
+      ok(data.loadedExpandPaths.length === 0, "no expanded paths should be loaded");
+      ok(data.unloadedExpandPaths[0] === "orders.orderDetails", "'orders.orderDetails' should not be loaded");
+      cust.entityAspect.markNavigationPropertyAsLoaded("orders");
+      order.entityAspect.markNavigationPropertyAsLoaded("orderDetails");
+      return em.executeQuery(query);
+    }).then(function (data) {
+      ok(data.loadedExpandPaths[0] === "orders.orderDetails", "'orders.orderDetails' should now be loaded");
+      ok(data.unloadedExpandPaths.length === 0, "all expanded paths should be loaded");
+    }).fail(testFns.handleFail).fin(done);
+  });
+
+  test("local query - expanded paths with server fallback", function (assert) {
+    var done = assert.async();
+    var em = newEm();
+    var newCustomer;
+    var customerTypeName = em.metadataStore.getEntityType("Customer").name;
+    var ajaxAdapter = breeze.config.getAdapterInstance('ajax');
+    var ajaxStub = sinon.stub(ajaxAdapter, 'ajax', function (config) {
+      var customers = ["Alfreds", "Antonio"].map(function (name) {
+        return { $type: customerTypeName, customerID: core.getUuid(), companyName: name, orders: [] };
+      });
+      config.success({ data: customers, status: 200 });
+    });
+    var query = EntityQuery.from("Customers")
+        .where("companyName", "startsWith", "A")
+        .expand("orders")
+        .using(new QueryOptions({ fetchStrategy: FetchStrategy.FromLocalCache, expandFallbackToServer: true }));
+
+    em.executeQuery(query).then(function (data) {
+      // nothing in cache - so nothing can be unloaded
+      ok(data.results.length === 0, "should have returned nothing from the empty cache");
+      ok(data.httpResponse == null, "should not have gone to the server");
+      newCustomer = addCustomer(em, "Acme");
+      return em.executeQuery(query);
+    }).then(function (data) {
+      ok(data.httpResponse != null, "should have gone to the server");
+      ok(data.results.length > 1, "should have returned customers from the server");
+      // the unsaved customer's orders were never fetched.
+      newCustomer.entityAspect.markNavigationPropertyAsLoaded("orders");
+      return em.executeQuery(query);
+    }).then(function (data) {
+      ok(data.httpResponse == null, "should not have gone to the server once 'orders' was loaded");
+      ok(data.unloadedExpandPaths.length === 0, "all expanded paths should be loaded");
+    }).fail(testFns.handleFail).fin(function () {
+      ajaxStub.restore();
+      done();
+    });
+  });
+
+  test("local query - registered function", function () {
+    Predicate.registerFunction("fuzzyMatch", {
+      fn: function (source, find, minLength) {
+        return source != null && find.length >= minLength && source.toLowerCase().indexOf(find.toLowerCase()) >= 0;
+      },
+      dataType: breeze.DataType.Boolean,
+      argTypes: [breeze.DataType.String, breeze.DataType.String, breeze.DataType.Int32],
+      odataName: "custom.fuzzymatch",
+      jsonName: "fuzzy_match"
+    });
+    try {
+      var em = newEm();
+      addCustomer(em, "Acme");
+      addCustomer(em, "Zenith");
+      var query = EntityQuery.from("Customers").where("fuzzyMatch(companyName, 'CM', 2)", "eq", true);
+      var r = em.executeQueryLocally(query);
+      ok(r.length === 1 && r[0].getProperty("companyName") === "Acme", "should have matched 'Acme'");
+      var litExpr = query.wherePredicate.expr1.exprs[2];
+      ok(litExpr.value === 2 && litExpr.dataType === breeze.DataType.Int32, "literal arg should have been typed by 'argTypes'");
+
+      var json = JSON.stringify(query);
+      ok(json.indexOf("fuzzy_match(") > 0, "json should use the 'jsonName': " + json);
+      var r2 = em.executeQueryLocally(new EntityQuery(JSON.parse(json)));
+      ok(r2.length === 1, "registered function should roundtrip thru json");
+
+      if (!testFns.DEBUG_MONGO) {
+        var uri = decodeURIComponent(query._toUri(em));
+        ok(uri.indexOf("custom.fuzzymatch(CompanyName,'CM',2) eq true") > 0, "uri should use the 'odataName': " + uri);
+      }
+    } finally {
+      Predicate.unregisterFunction("fuzzyMatch");
+    }
+  });
+
+  test("local query - built in functions cannot be replaced or unregistered", function () {
+    var config = {
+      fn: function (source) {
+        return source;
+      }
+    };
+    try {
+      Predicate.registerFunction("YEAR", config);
+      ok(false, "should not get here");
+    } catch (e) {
+      ok(e.message.indexOf("year") >= 0, "should not replace a built in function: " + e.message);
+    }
+    try {
+      Predicate.registerFunction("myYear", { fn: config.fn, jsonName: "year" });
+      ok(false, "should not get here");
+    } catch (e) {
+      ok(e.message.indexOf("year") >= 0, "should not replace a built in function with a 'jsonName': " + e.message);
+    }
+    Predicate.unregisterFunction("year");
+    Predicate.unregisterFunction("myYear");
+    var em = newEm();
+    var cust = addCustomer(em, "Acme");
+    em.createEntity("Order", { customer: cust, orderDate: new Date(2015, 1, 1) });
+    var r = em.executeQueryLocally(EntityQuery.from("Orders").where("year(orderDate)", "eq", 2015));
+    ok(r.length === 1, "the built in function should still be available");
+  });
+
+  test("local query - arithmetic expressions", function () {
+    var em = newEm();
+    var cust = addCustomer(em, "Acme");
+    [50, 90, 20, 5].forEach(function (freight) {
+      em.createEntity("Order", { customer: cust, freight: freight, employeeID: freight / 5 });
+    });
+    var query = EntityQuery.from("Orders").where("freight mul 1.2", "gt", 100);
+    var r = em.executeQueryLocally(query);
+    ok(r.length === 1 && r[0].getProperty("freight") === 90, "should have returned one order");
+
+    query = EntityQuery.from("Orders").where("(freight add 10) mul 2", "ge", 120);
+    r = em.executeQueryLocally(query);
+    ok(r.length === 2, "parenthesized expression should have returned two orders");
+    var r2 = em.executeQueryLocally(new EntityQuery(JSON.parse(JSON.stringify(query))));
+    ok(r2.length === 2, "arithmetic expression should roundtrip thru json");
+
+    r = em.executeQueryLocally(EntityQuery.from("Orders").where("employeeID div 4", "eq", 2));
+    ok(r.length === 1 && r[0].getProperty("freight") === 50, "integer division should truncate");
+
+    r = em.executeQueryLocally(EntityQuery.from("Orders").where("freight", "gt", "employeeID mul 4 add 5"));
+    ok(r.length === 2, "rhs arithmetic expression should have returned two orders");
+
+    try {
+      EntityQuery.from("Orders").where("shipCity mul 2", "gt", 1).using(em).executeLocally();
+      ok(false, "should not get here");
+    } catch (e) {
+      ok(e.message.indexOf("numeric") >= 0, "should have thrown a numeric operand error: " + e.message);
+    }
+
+    if (!testFns.DEBUG_MONGO) {
+      var uri = decodeURIComponent(query._toUri(em));
+      ok(uri.indexOf("$filter=((Freight add 10m) mul 2m) ge 120m") > 0, "uri should contain arithmetic operators: " + uri);
+    }
+  });
+
+  test("local query - in and notIn", function () {
+    var em = newEm();
+    ["London", "Paris", "Rome", null].forEach(function (city) {
+      em.createEntity("Customer", { companyName: "Acme", city: city });
+    });
+    var query = EntityQuery.from("Customers").where("city", FilterQueryOp.In, ["London", "Paris"]);
+    var r = em.executeQueryLocally(query);
+    ok(r.length === 2, "'in' should have returned two customers");
+    var r2 = em.executeQueryLocally(new EntityQuery(JSON.parse(JSON.stringify(query))));
+    ok(r2.length === 2, "'in' should roundtrip thru json");
+
+    var query2 = EntityQuery.from("Customers").where({ city: { notIn: ["London", "Paris"] } });
+    r = em.executeQueryLocally(query2);
+    ok(r.length === 2 && r.every(function (c) {
+      return c.getProperty("city") !== "London" && c.getProperty("city") !== "Paris";
+    }), "'notIn' should have returned the other two customers");
+
+    r = em.executeQueryLocally(EntityQuery.from("Customers").where({ city: { $in: ["Rome"] } }));
+    ok(r.length === 1, "'$in' should be an alias for 'in'");
+
+    try {
+      em.executeQueryLocally(EntityQuery.from("Customers").where("city", "in", "Rome"));
+      ok(false, "should not get here");
+    } catch (e) {
+      ok(e.message.indexOf("array") >= 0, "should have thrown an array error: " + e.message);
+    }
+
+    if (!testFns.DEBUG_MONGO) {
+      var uri = decodeURIComponent(query._toUri(em));
+      ok(uri.indexOf("$filter=(City eq 'London') or (City eq 'Paris')") > 0, "odata v3 uri should contain an 'or' chain: " + uri);
+      var odata4 = breeze.config.getAdapterInstance("uriBuilder", "odata4");
+      uri = decodeURIComponent(odata4.buildUri(query2, em.metadataStore));
+      ok(uri.indexOf("$filter=not (City in ('London','Paris'))") > 0, "odata v4 uri should use 'in': " + uri);
+    }
+    var jsonUriBuilder = breeze.config.getAdapterInstance("uriBuilder", "json");
+    var jsonUri = decodeURIComponent(jsonUriBuilder.buildUri(query, em.metadataStore));
+    ok(jsonUri.indexOf('"$in":["London","Paris"]') > 0, "json uri should use '$in': " + jsonUri);
+  });
+
+  test("local query - fromODataUri", function () {
+    var em = newEm();
+    ["London", "Paris", "Rome"].forEach(function (city) {
+      var cust = em.createEntity("Customer", { companyName: "C-" + city, city: city });
+      em.createEntity("Order", { customer: cust, freight: city.length * 10 });
+    });
+    addCustomer(em, "Acme");
+    var filter = encodeURIComponent("startswith(CompanyName,'C') eq true and Orders/any(x: x/Freight gt 45m)");
+    var query = EntityQuery.fromODataUri("Customers?$filter=" + filter + "&$orderby=City desc&$top=5", em.metadataStore);
+    var r = em.executeQueryLocally(query);
+    ok(r.length === 2, "should have returned two customers");
+    ok(r[0].getProperty("city") === "Paris" && r[1].getProperty("city") === "London", "should be ordered by city desc");
+    ok(query.takeCount === 5, "should have a take of 5");
+
+    var r2 = em.executeQueryLocally(new EntityQuery(JSON.parse(JSON.stringify(query))));
+    ok(r2.length === 2, "parsed filter should roundtrip thru json");
+
+    var query3 = EntityQuery.fromODataUri("Orders?$filter=Customer/City eq 'Rome'&$select=Freight,Customer/City", em.metadataStore);
+    var r3 = em.executeQueryLocally(query3);
+    ok(r3.length === 1 && r3[0].freight === 40 && r3[0].customer_city === "Rome", "should have returned one projected order");
+
+    var query4 = EntityQuery.fromODataUri("Customers?$filter=City+eq+'Rome'&$orderby=City+desc,CompanyName" +
+      "&$expand=Orders($filter=Freight gt 10;$orderby=Freight desc,OrderDate;$top=2;$expand=OrderDetails)", em.metadataStore);
+    var r4 = em.executeQueryLocally(query4);
+    ok(r4.length === 1 && query4.orderByClause.items.length === 2, "a '+' should be decoded as a space");
+    var expandClause = query4.expandClause;
+    ok(expandClause.propertyPaths.join() === "orders,orders.orderDetails" && expandClause.nestedOptions.orders.takeCount === 2,
+      "commas within the nested options should not split the $expand: " + expandClause.propertyPaths.join());
+  });
+
+  test("local query - keyset paging", function (assert) {
+    var done = assert.async();
+    var em = newEm();
+    ["B", "A", "C", "B", "D", "A", "E", "B"].forEach(function (name) {
+      addCustomer(em, name);
+    });
+    var query = EntityQuery.from("Customers").orderBy("companyName").take(3).after([]);
+    var all = em.executeQueryLocally(query.take(null));
+    var page1 = em.executeQueryLocally(query);
+    var page2 = em.executeQueryLocally(query.after(page1[2]));
+    var page3 = em.executeQueryLocally(query.after(page2[2]));
+    var paged = page1.concat(page2, page3);
+    ok(paged.length === 8 && paged.every(function (c, ix) {
+      return c === all[ix];
+    }), "pages should have returned every customer once and in order");
+
+    var prevPage = em.executeQueryLocally(query.before(page3[0]));
+    ok(prevPage.length === 3 && prevPage.every(function (c, ix) {
+      return c === page2[ix];
+    }), "'before' should have returned the previous page in order");
+
+    var r = em.executeQueryLocally(new EntityQuery(JSON.parse(JSON.stringify(query.after(page1[2])))));
+    ok(r.length === 3 && r[0] === page2[0], "'after' should roundtrip thru json");
+
+    try {
+      em.executeQueryLocally(query.after(["A"]));
+      ok(false, "should not get here");
+    } catch (e) {
+      ok(e.message.indexOf("customerID") >= 0, "should have thrown a value count error: " + e.message);
+    }
+
+    if (!testFns.DEBUG_MONGO) {
+      var uri = decodeURIComponent(query.after(page1[2])._toUri(em));
+      ok(uri.indexOf("$filter=(CompanyName gt 'B') or ((CompanyName eq 'B') and (CustomerID gt guid'") > 0, "uri should contain the keyset filter: " + uri);
+      ok(uri.indexOf("$orderby=CompanyName,CustomerID") > 0, "uri should be ordered by the key as well: " + uri);
+      uri = decodeURIComponent(query.before(page1[2])._toUri(em));
+      ok(uri.indexOf("$orderby=CompanyName desc,CustomerID desc") > 0, "'before' uri should be in reverse order: " + uri);
+    }
+    var jsonUriBuilder = breeze.config.getAdapterInstance("uriBuilder", "json");
+    var jsonUri = decodeURIComponent(jsonUriBuilder.buildUri(query.after(page1[2]), em.metadataStore));
+    ok(jsonUri.indexOf('"or":[') > 0 && jsonUri.indexOf("keyset") === -1, "json uri should contain the keyset filter: " + jsonUri);
+
+    var em2 = newEm();
+    ["B", "A", "C"].forEach(function (name) {
+      addCustomer(em2, name).setProperty("companyName", null);
+      addCustomer(em2, name);
+    });
+    var nullsLastQuery = EntityQuery.from("Customers").orderBy("companyName desc nulls last").take(2).after([]);
+    var nullsPage1 = em2.executeQueryLocally(nullsLastQuery);
+    var nullsPage2 = em2.executeQueryLocally(nullsLastQuery.after(nullsPage1[1]));
+    var nullsPage3 = em2.executeQueryLocally(nullsLastQuery.after(nullsPage2[1]));
+    ok(nullsPage2[1].getProperty("companyName") === null && nullsPage3.length === 2 && nullsPage3[1].getProperty("companyName") === null,
+      "null values should be paged in the order of the 'nulls last' clause");
+    try {
+      em2.executeQueryLocally(EntityQuery.from("Customers").orderBy("companyName collate de").after(nullsPage1[1]));
+      ok(false, "should not get here");
+    } catch (e) {
+      ok(e.message.indexOf("collation") >= 0, "should not page thru a collated ordering: " + e.message);
+    }
+
+    var localQuery = query.using(FetchStrategy.FromLocalCache);
+    em.executeQuery(localQuery).then(function (data) {
+      ok(data.continuationToken, "a full page should have returned a continuation token");
+      return em.executeQuery(localQuery.after(data.continuationToken));
+    }).then(function (data) {
+      ok(data.results[0] === page2[0], "the continuation token should have returned the next page");
+      return em.executeQuery(localQuery.after(data.continuationToken));
+    }).then(function (data) {
+      ok(data.results.length === 2 && data.continuationToken == null, "the last page should not have a continuation token");
+    }).fail(testFns.handleFail).fin(done);
+  });
+
+  test("local query - secondary indexes", function () {
+    var em = newEm();
+    var customers = ["A", "B", "C"].map(function (name) {
+      return addCustomer(em, name);
+    });
+    for (var i = 0; i < 30; i++) {
+      em.createEntity("Order", { customer: customers[i % 3], freight: i, shipCity: i % 2 ? "London" : "Paris" });
+    }
+    var queries = [
+      EntityQuery.from("Orders").where("customerID", "==", customers[1].getProperty("customerID")),
+      EntityQuery.from("Orders").where("freight", ">=", 10).where("freight", "<", 20),
+      EntityQuery.from("Orders").where("shipCity", "==", "london").where("freight", "le", 5),
+      EntityQuery.from("Orders").where("freight", "in", [3, 4, 40]),
+      EntityQuery.from("Orders").where("freight", "gt", 25).orderByDesc("freight"),
+      EntityQuery.from("Orders").where("freight", "in", [3, 3, 4]),
+      EntityQuery.from("Orders").where("shipCity", "in", ["london", "London"])
+    ];
+    var expected = queries.map(function (q) {
+      return em.executeQueryLocally(q);
+    });
+    em.addIndex("Order");
+    em.addIndex("Order", ["freight", "shipCity"]);
+    ok(expected[5].length === 2 && expected[6].length === 15, "repeated 'in' values should not repeat the results");
+    queries.forEach(function (q, ix) {
+      var r = em.executeQueryLocally(q);
+      ok(r.length === expected[ix].length && r.every(function (o, j) {
+        return o === expected[ix][j];
+      }), "indexed query should return the same results: " + q.wherePredicate.toString());
+    });
+
+    var order = expected[0][0];
+    order.setProperty("freight", 100);
+    var r = em.executeQueryLocally(queries[4]);
+    ok(r[0] === order, "the index should be updated when a property changes");
+    order.setProperty("customer", customers[2]);
+    r = em.executeQueryLocally(queries[0]);
+    ok(r.length === expected[0].length - 1 && r.indexOf(order) === -1, "the fk index should be updated when a navigation property changes");
+    order.entityAspect.setDetached();
+    r = em.executeQueryLocally(queries[4]);
+    ok(r.indexOf(order) === -1, "a detached entity should be removed from the index");
+    em.attachEntity(order);
+    r = em.executeQueryLocally(queries[4]);
+    ok(r[0] === order, "an attached entity should be added to the index");
+
+    try {
+      em.addIndex("Order", "customer");
+      ok(false, "should not get here");
+    } catch (e) {
+      ok(e.message.indexOf("customer") >= 0, "should not be able to index a navigation property: " + e.message);
+    }
+    em.removeIndex("Order");
+    r = em.executeQueryLocally(queries[4]);
+    ok(r[0] === order, "queries should still work after the indexes are removed");
+  });
+
+  test("local query - orderBy nulls and collation", function () {
+    var em = newEm();
+    ["Zeta", null, "Äpfel", "apfel"].forEach(function (name) {
+      em.createEntity("Customer", { companyName: name });
+    });
+    var names = function (query) {
+      return em.executeQueryLocally(query).map(function (c) {
+        return String(c.getProperty("companyName"));
+      }).join(",");
+    };
+    var query = EntityQuery.from("Customers");
+    equal(names(query.orderBy("companyName", { collation: "de", nullsFirst: false })), "apfel,Äpfel,Zeta,null",
+        "should have sorted with the collation and nulls last");
+    equal(names(query.orderByDesc("companyName", { collation: "de", nullsFirst: false })), "Zeta,Äpfel,apfel,null",
+        "nulls should still be last when descending");
+    equal(names(query.orderBy("companyName desc nulls first collate de")), "null,Zeta,Äpfel,apfel",
+        "should have parsed the nulls and collate tags");
+    equal(names(query.orderBy("companyName")), "null,apfel,Zeta,Äpfel", "default ordering should not have changed");
+
+    var q2 = query.orderBy("companyName", { nullsFirst: true, collation: "de" });
+    var json = q2.toJSON();
+    deepEqual(json.orderBy, ["companyName nulls first collate de"], "options should be serialized");
+    equal(names(new EntityQuery(JSON.parse(JSON.stringify(json)))), "null,apfel,Äpfel,Zeta", "options should roundtrip thru json");
+    var jsonUriBuilder = breeze.config.getAdapterInstance("uriBuilder", "json");
+    var jsonUri = decodeURIComponent(jsonUriBuilder.buildUri(q2, em.metadataStore));
+    ok(jsonUri.indexOf("CompanyName nulls first collate de") > 0, "json uri should contain the options: " + jsonUri);
+    if (!testFns.DEBUG_MONGO) {
+      var uri = decodeURIComponent(q2._toUri(em));
+      ok(uri.indexOf("$orderby=CompanyName") > 0 && uri.indexOf("nulls") === -1, "odata uri should not contain the options: " + uri);
+    }
+    try {
+      query.orderBy("companyName desc nulls sometimes");
+      ok(false, "should not get here");
+    } catch (e) {
+      ok(e.message.indexOf("nulls first") >= 0, "should have thrown a parse error: " + e.message);
+    }
+  });
+
+  test("local query - per predicate case sensitivity", function () {
+    var em = newEm();
+    ["Ab-12", "ab-12", "AB-12 "].forEach(function (name) {
+      addCustomer(em, name);
+    });
+    var count = function (pred) {
+      return em.executeQueryLocally(EntityQuery.from("Customers").where(pred)).length;
+    };
+    equal(count(Predicate.create("companyName", "eq", "ab-12")), 3, "the MetadataStore's options should be case insensitive");
+    equal(count(Predicate.create("companyName", "eq", "Ab-12", { caseSensitive: true })), 1, "the predicate should be case sensitive");
+    equal(count(Predicate.create("companyName", "eq", { value: "AB-12", caseSensitive: true })), 1, "options should be accepted with the value");
+    equal(count(Predicate.create("companyName", "eq", "ab-12", { usesSql92CompliantStringComparison: false })), 2,
+        "trailing spaces should not be ignored");
+    equal(count(Predicate.create("companyName", "in", ["AB-12", "x"], { caseSensitive: false })), 3, "'in' should use the predicate options");
+
+    var p = Predicate.create("companyName", "startsWith", "ab", { caseSensitive: true });
+    var json = JSON.parse(JSON.stringify(EntityQuery.from("Customers").where(p)));
+    equal(em.executeQueryLocally(new EntityQuery(json)).length, 1, "options should roundtrip thru json");
+    if (!testFns.DEBUG_MONGO) {
+      var q = EntityQuery.from("Customers").where("companyName", "startsWith", "Ab", { caseSensitive: false });
+      var uri = decodeURIComponent(q._toUri(em));
+      ok(uri.indexOf("startswith(tolower(CompanyName),tolower('Ab')) eq true") > 0, "uri should lower case both sides: " + uri);
+      uri = decodeURIComponent(EntityQuery.from("Customers").where(p)._toUri(em));
+      ok(uri.indexOf("tolower") === -1, "a case sensitive comparison should not use tolower: " + uri);
+    }
+    try {
+      Predicate.create("companyName", "eq", "ab", { isCaseSensitive: true });
+      ok(false, "should not get here");
+    } catch (e) {
+      ok(e.message.indexOf("isCaseSensitive") >= 0, "should have rejected an unknown option: " + e.message);
+    }
+  });
+
+  test("local query - date and time functions", function () {
+    var em = newEm();
+    var cust = addCustomer(em, "Acme");
+    var now = new Date();
+    var day = 24 * 60 * 60 * 1000;
+    [0, 1, 3].forEach(function (daysAgo) {
+      var orderDate = new Date(now.getTime() - daysAgo * day);
+      em.createEntity("Order", { customer: cust, freight: daysAgo, orderDate: orderDate, shippedDate: new Date(orderDate.getTime() + (daysAgo + 1) * day) });
+    });
+    var freights = function (query) {
+      return em.executeQueryLocally(query).map(function (o) {
+        return o.getProperty("freight");
+      }).sort().join(",");
+    };
+
+    var query = EntityQuery.from("Orders").where("date(orderDate)", "eq", "date(now())");
+    equal(freights(query), "0", "should have returned the orders placed today");
+    equal(freights(EntityQuery.from("Orders").where("orderDate", "ge", "now() sub P2D")), "0,1", "should subtract a duration from a date");
+    equal(freights(EntityQuery.from("Orders").where("shippedDate sub orderDate", "gt", "P1DT1H")), "1,3", "the difference between dates should be a duration");
+    equal(freights(EntityQuery.from("Orders").where("orderDate", "gt", "mindatetime()").where("orderDate", "lt", "maxdatetime()")), "0,1,3",
+        "should be between the min and max dates");
+    equal(freights(EntityQuery.from("Orders").where("totaloffsetminutes(orderDate)", "eq", -now.getTimezoneOffset())), "0,1,3",
+        "should have returned the local time zone offset");
+    equal(freights(EntityQuery.from("Orders").where("time(orderDate)", "lt", "PT24H")), "0,1,3", "time should be a duration");
+    var json = JSON.parse(JSON.stringify(EntityQuery.from("Orders").where("shippedDate sub orderDate", "gt", "P1DT1H")));
+    equal(freights(new EntityQuery(json)), "1,3", "duration arithmetic should roundtrip thru json");
+
+    equal(core.durationToSeconds("-PT1M1.5S"), -61.5, "should convert a negative and fractional duration");
+    equal(core.secondsToDuration(90061.25), "P1DT1H1M1.25S", "should convert seconds back into a duration");
+
+    try {
+      EntityQuery.from("Orders").where("orderDate mul 2", "gt", "now()").using(em).executeLocally();
+      ok(false, "should not get here");
+    } catch (e) {
+      ok(e.message.indexOf("cannot be applied") >= 0, "should have thrown an operand error: " + e.message);
+    }
+
+    if (!testFns.DEBUG_MONGO) {
+      var uri = decodeURIComponent(query._toUri(em));
+      ok(uri.indexOf("$filter=date(OrderDate) eq date(now())") > 0, "uri should contain the date functions: " + uri);
+      uri = decodeURIComponent(EntityQuery.from("Orders").where("orderDate add PT12H", "lt", "now()")._toUri(em));
+      ok(uri.indexOf("$filter=(OrderDate add time'PT12H') lt now()") > 0, "uri should contain a duration literal: " + uri);
+    }
+  });
+
+  test("local query - isof and cast", function () {
+    var DataType = breeze.DataType;
+    var ms = new breeze.MetadataStore({ namingConvention: breeze.NamingConvention.none });
+    ms.addEntityType({
+      shortName: "BillingDetail", namespace: "Billing",
+      dataProperties: { id: { dataType: DataType.Int32, isPartOfKey: true }, number: { dataType: DataType.String } }
+    });
+    ms.addEntityType({ shortName: "BankAccount", namespace: "Billing", baseTypeName: "BillingDetail:#Billing", dataProperties: { bankName: {} } });
+    ms.addEntityType({ shortName: "CreditCard", namespace: "Billing", baseTypeName: "BillingDetail:#Billing", dataProperties: { expiryMonth: { dataType: DataType.Int32 } } });
+    ms.addEntityType({ shortName: "GoldCard", namespace: "Billing", baseTypeName: "CreditCard:#Billing", dataProperties: {} });
+    ms.addEntityType({
+      shortName: "Payment", namespace: "Billing",
+      dataProperties: { id: { dataType: DataType.Int32, isPartOfKey: true }, billingDetailId: { dataType: DataType.Int32 } },
+      navigationProperties: {
+        billingDetail: { entityTypeName: "BillingDetail:#Billing", isScalar: true, associationName: "Payment_BillingDetail", foreignKeyNames: ["billingDetailId"] }
+      }
+    });
+    ms.setEntityTypeForResourceName("BillingDetails", "BillingDetail");
+    ms.setEntityTypeForResourceName("Payments", "Payment");
+    var em = new breeze.EntityManager({ serviceName: "test/", metadataStore: ms });
+    ["BillingDetail", "BankAccount", "CreditCard", "GoldCard"].forEach(function (typeName, ix) {
+      em.createEntity(typeName, { id: ix + 1, number: String(ix * 10) });
+      em.createEntity("Payment", { id: ix + 1, billingDetailId: ix + 1 });
+    });
+    var ids = function (query) {
+      return em.executeQueryLocally(query).map(function (e) {
+        return e.getProperty("id");
+      }).sort().join(",");
+    };
+
+    var query = EntityQuery.from("BillingDetails").where("isof(CreditCard)", "eq", true);
+    equal(ids(query), "3,4", "should have returned the credit cards and their subtypes");
+    equal(ids(EntityQuery.from("BillingDetails").where("isof('Billing.BankAccount')", "eq", true)), "2", "should accept a namespace qualified type name");
+    equal(ids(new EntityQuery(JSON.parse(JSON.stringify(query)))), "3,4", "isof should roundtrip thru json");
+    equal(ids(EntityQuery.from("BillingDetails").where("cast(CreditCard)", "ne", null)), "3,4", "a cast to another type should be null");
+    equal(ids(EntityQuery.from("BillingDetails").where("cast(number, 'Edm.Int32')", "ge", 20)), "3,4", "should cast to a primitive type");
+    equal(ids(EntityQuery.from("Payments").where("billingDetail", FilterQueryOp.IsTypeOf, "CreditCard")), "3,4", "IsTypeOf should apply to a navigation property");
+    var pred = Predicate.fromODataFilter("isof(Billing.CreditCard) and not isof('Billing.GoldCard')", ms.getEntityType("BillingDetail"));
+    equal(ids(EntityQuery.from("BillingDetails").where(pred)), "3", "should parse OData isof functions");
+
+    if (!testFns.DEBUG_MONGO) {
+      var uri = decodeURIComponent(query._toUri(em));
+      ok(uri.indexOf("$filter=isof('Billing.CreditCard') eq true") > 0, "uri should contain a qualified type name: " + uri);
+      uri = decodeURIComponent(EntityQuery.from("Payments").where("billingDetail", "isof", "CreditCard")._toUri(em));
+      ok(uri.indexOf("$filter=isof(billingDetail,'Billing.CreditCard')") > 0, "uri should contain an isof function: " + uri);
+    }
+    try {
+      em.executeQueryLocally(EntityQuery.from("BillingDetails").where("isof(Foo)", "eq", true));
+      ok(false, "should not get here");
+    } catch (e) {
+      ok(e.message.indexOf("Foo") >= 0, "should have thrown an unknown type error: " + e.message);
+    }
+  });
+
+  test("local query - nested select and expand", function () {
+    var em = newEm();
+    var cust1 = addCustomer(em, "Acme");
+    var cust2 = addCustomer(em, "Zenith");
+    [cust1, cust1, cust1, cust2].forEach(function (cust, ix) {
+      var order = em.createEntity("Order", { customer: cust, freight: ix * 10 });
+      em.createEntity("OrderDetail", { order: order, productID: ix + 1 });
+      em.createEntity("OrderDetail", { order: order, productID: ix + 11 });
+    });
+
+    var query = EntityQuery.from("Customers").where("companyName", "in", ["Acme", "Zenith"]).orderBy("companyName")
+        .select("companyName, orders.orderDetails.productID");
+    var r = em.executeQueryLocally(query);
+    deepEqual(r[0].orders_orderDetails_productID, [1, 11, 2, 12, 3, 13], "should have flattened the selected values thru each collection");
+
+    query = EntityQuery.from("Customers").where("companyName", "in", ["Acme", "Zenith"]).orderBy("companyName").select({
+      companyName: null,
+      orders: { where: ["freight", "gt", 0], orderBy: "freight desc", top: 1, select: "freight" }
+    });
+    r = em.executeQueryLocally(query);
+    ok(r.length === 2 && r[0].orders.length === 1 && r[0].orders[0].freight === 20, "nested options should have filtered, sorted and taken the orders");
+    ok(r[1].orders[0].freight === 30, "nested options should apply to each customer's orders");
+    var r2 = em.executeQueryLocally(new EntityQuery(JSON.parse(JSON.stringify(query))));
+    deepEqual(r2, r, "nested select options should roundtrip thru json");
+
+    var expandQuery = EntityQuery.from("Customers").expand("orders", { where: ["freight", "gt", 100], orderBy: "orderDate desc", top: 5, expand: "orderDetails" });
+    deepEqual(expandQuery.expandClause.propertyPaths, ["orders", "orders.orderDetails"], "nested expands should have been flattened");
+    ok(expandQuery.expandClause.isPartial("orders") && !expandQuery.expandClause.isPartial("orders.orderDetails"), "only a filtered expand should be partial");
+
+    if (!testFns.DEBUG_MONGO) {
+      var odata4 = breeze.config.getAdapterInstance("uriBuilder", "odata4");
+      var uri = decodeURIComponent(odata4.buildUri(expandQuery, em.metadataStore));
+      ok(uri.indexOf("$expand=Orders($filter=Freight gt 100m;$orderby=OrderDate desc;$top=5;$expand=OrderDetails)") > 0, "uri should contain nested expand options: " + uri);
+      uri = decodeURIComponent(odata4.buildUri(query, em.metadataStore));
+      ok(uri.indexOf("$expand=Orders($filter=Freight gt 0m;$orderby=Freight desc;$top=1;$select=Freight)") > 0, "uri should contain nested select options: " + uri);
+      try {
+        breeze.config.getAdapterInstance("uriBuilder", "odata").buildUri(expandQuery, em.metadataStore);
+        ok(false, "should not get here");
+      } catch (e) {
+        ok(e.message.indexOf("OData v4") >= 0, "OData v3 should not support nested options: " + e.message);
+      }
+    }
+  });
+
+  test("local query - search", function () {
+    var em = newEm();
+    [["New York Bakery", "New York"], ["Bakery Nord", "Hamburg"], ["York Steel", "Newcastle"]].forEach(function (a) {
+      var cust = addCustomer(em, a[0]);
+      cust.setProperty("city", a[1]);
+    });
+    var names = function (query) {
+      return em.executeQueryLocally(query).map(function (c) {
+        return c.getProperty("companyName");
+      }).sort().join(",");
+    };
+
+    var query = EntityQuery.from("Customers").search("BAKERY");
+    equal(names(query), "Bakery Nord,New York Bakery", "search should be case-insensitive");
+    equal(names(EntityQuery.from("Customers").search("york new")), "New York Bakery,York Steel", "every word should match some property");
+    equal(names(EntityQuery.from("Customers").search("\"new york\"")), "New York Bakery", "a quoted phrase should be matched as a whole");
+    query = EntityQuery.from("Customers").search("new", { properties: "city" });
+    equal(names(query), "New York Bakery,York Steel", "only the specified properties should be searched");
+    var query2 = new EntityQuery(JSON.parse(JSON.stringify(query)));
+    equal(names(query2), names(query), "search should roundtrip thru json");
+    ok(query.search(null).searchClause === null, "search(null) should remove the search");
+
+    try {
+      EntityQuery.from("Customers").search("x", { properties: "rowVersion" }).using(em).executeLocally();
+      ok(false, "should not get here");
+    } catch (e) {
+      ok(e.message.indexOf("rowVersion") >= 0, "should not search a non string property: " + e.message);
+    }
+
+    if (!testFns.DEBUG_MONGO) {
+      var uri = decodeURIComponent(query._toUri(em));
+      ok(uri.indexOf("$search=new") > 0, "uri should contain the search: " + uri);
+    }
+  });
+
+  test("explainQuery", function () {
+    var em = newEm();
+    var query = EntityQuery.from("Orders")
+        .where("customerID", "==", "C4E1A2B3-0000-0000-0000-000000000000")
+        .where("freight mul 2", ">", 10);
+    var explanation = em.explainQuery(query);
+    ok(explanation.query === query, "should return the original query");
+    ok(explanation.fromEntityType.shortName === "Order" && explanation.resultEntityType === explanation.fromEntityType, "should have resolved the EntityTypes");
+    var guidTerm = explanation.wherePredicate.preds[0];
+    equal(guidTerm.expr1.nameOnServer, "CustomerID", "should have the server name of each property");
+    equal(guidTerm.expr2.dataType, "Guid", "should have inferred the dataType of each literal");
+    var arithTerm = explanation.wherePredicate.preds[1];
+    ok(arithTerm.expr1.op === "mul" && arithTerm.expr1.dataType === "Decimal" && arithTerm.expr2.dataType === "Decimal", "should describe arithmetic expressions");
+    ok(explanation.json.where.CustomerID != null, "the json should use the server property names");
+    if (!testFns.DEBUG_MONGO) {
+      equal(explanation.uri, explanation.dataService.qualifyUrl(query._toUri(em)), "should have the uri of the resolved dataService");
+    }
+    ok(explanation.queryOptions.fetchStrategy === breeze.FetchStrategy.FromServer, "should have the resolved QueryOptions");
+    equal(em.getEntities().length, 0, "nothing should have been executed");
+  });
+
   function executeComboQueryWithFetchStrategy(em, query) {
     query = query.using(em);
     return query.execute().then(function () {
@@ -76,6 +76,7 @@ declare module breeze.core {
     export function memoize(fn: (...any: any[]) => any): any;
     export function getUuid(): string;
     export function durationToSeconds(duration: string): number;
+    export function secondsToDuration(seconds: number): string;
 
     export function isDate(o: any): boolean;
     export function isGuid(o: any): boolean;
@@ -266,6 +267,13 @@ declare module breeze {
     }
     var DataType: DataType;
 
+    class DeleteRule {
+        static Cascade: DeleteRule;
+        static None: DeleteRule;
+        static Restrict: DeleteRule;
+        static SetNull: DeleteRule;
+    }
+
     class EntityActionSymbol extends breeze.core.EnumSymbol {
     }
     interface EntityAction extends breeze.core.IEnum {
@@ -298,6 +306,7 @@ declare module breeze {
         acceptChanges(): void;
         addValidationError(validationError: ValidationError): void;
         clearValidationErrors(): void;
+        getChangedProperties(): PropertyChange[];
         getKey(forceRefresh?: boolean): EntityKey;
 
         getValidationErrors(): ValidationError[];
@@ -346,6 +355,30 @@ declare module breeze {
         subscribe(callback?: (data: PropertyChangedEventArgs) => void): number;
     }
 
+    interface PropertyChange {
+        /** Path to the changed property from the entity, i.e. "freight", "location.city" or "orderLines[1].quantity" */
+        propertyPath: string;
+        property: DataProperty;
+        /** Original value; a copy of the original contents for an array property */
+        oldValue: any;
+        /** Current value; a copy of the current contents for an array property */
+        newValue: any;
+        /** Items added to an array property */
+        added?: any[];
+        /** Items removed from an array property */
+        removed?: any[];
+        /** Navigation property associated with a changed foreign key property */
+        navigationProperty?: NavigationProperty;
+        oldEntity?: Entity;
+        newEntity?: Entity;
+    }
+
+    interface EntityChangeSummary {
+        entity: Entity;
+        entityState: EntityStateSymbol;
+        changedProperties: PropertyChange[];
+    }
+
     class ValidationErrorsChangedEventArgs {
         entity: Entity;
         added: ValidationError[];
@@ -377,9 +410,11 @@ declare module breeze {
     }
 
     class EntityManager {
+        changeHistoryDepth: number;
         dataService: DataService;
         keyGeneratorCtor: Function;
         metadataStore: MetadataStore;
+        parentEntityManager: EntityManager;
         queryOptions: QueryOptions;
         saveOptions: SaveOptions;
         serviceName: string;
@@ -387,22 +422,40 @@ declare module breeze {
 
         entityChanged: EntityChangedEvent;
         hasChangesChanged: HasChangesChangedEvent;
+        queryMergeProgress: QueryMergeProgressEvent;
         validationErrorsChanged: ValidationErrorsChangedEvent;
 
         constructor(config?: EntityManagerOptions);
         constructor(config?: string);
 
         addEntity(entity: Entity): Entity;
+        addIndex(entityType: EntityType, propertyNames?: string[]): void;
+        addIndex(entityType: EntityType, propertyName: string): void;
+        addIndex(entityTypeName: string, propertyNames?: string[]): void;
+        addIndex(entityTypeName: string, propertyName: string): void;
         attachEntity(entity: Entity, entityState?: EntityStateSymbol, mergeStrategy?: MergeStrategySymbol): Entity;
+        beginChangeGroup(): void;
+        beginTransaction(): EntityTransaction;
+        canRedo(): boolean;
+        canUndo(): boolean;
         clear(): void;
+        clearChangeHistory(): void;
+        commitToParent(config?: { overwriteConflicts?: boolean }): SandboxCommitResult;
+        createCheckpoint(): Checkpoint;
         createEmptyCopy(): EntityManager;
         createEntity(typeName: string, config?: {}, entityState?: EntityStateSymbol, mergeStrategy?: MergeStrategySymbol): Entity;
         createEntity(entityType: EntityType, config?: {}, entityState?: EntityStateSymbol, mergeStrategy?: MergeStrategySymbol): Entity;
+        createSandbox(entities: Entity[]): EntityManager;
         detachEntity(entity: Entity): boolean;
+        discard(): void;
+        endChangeGroup(): void;
         executeQuery(query: string, callback?: ExecuteQuerySuccessCallback, errorCallback?: ExecuteQueryErrorCallback): breeze.promises.IPromise<QueryResult>;
         executeQuery(query: EntityQuery, callback?: ExecuteQuerySuccessCallback, errorCallback?: ExecuteQueryErrorCallback): breeze.promises.IPromise<QueryResult>;
 
+        executeQueryCount(query: EntityQuery, callback?: (count: number) => void, errorCallback?: ExecuteQueryErrorCallback): breeze.promises.IPromise<number>;
         executeQueryLocally(query: EntityQuery): Entity[];
+        executeQueryLocallyCount(query: EntityQuery): number;
+        explainQuery(query: EntityQuery): QueryExplanation;
         exportEntities(entities?: Entity[], includeMetadata?: boolean): string;
         exportEntities(entities?: Entity[], options?: ExportEntitiesOptions): any; // string | Object
         fetchEntityByKey(typeName: string, keyValue: any, checkLocalCacheFirst?: boolean): breeze.promises.IPromise<EntityByKeyResult>;
@@ -415,6 +468,7 @@ declare module breeze {
         getChanges(entityTypeNames: string[]): Entity[];
         getChanges(entityType: EntityType): Entity[];
         getChanges(entityTypes: EntityType[]): Entity[];
+        getChangeSummary(entities?: Entity[]): EntityChangeSummary[];
 
         getEntities(entityTypeName: string, entityState?: EntityStateSymbol): Entity[];
         getEntities(entityTypeNames?: string[], entityState?: EntityStateSymbol): Entity[];
@@ -441,9 +495,39 @@ declare module breeze {
         importEntities(exportedString: string, config?: { mergeStrategy?: MergeStrategySymbol; metadataVersionFn?: (any: any) => void }): { entities: Entity[]; tempKeyMapping: { [key: string] : EntityKey } };
         importEntities(exportedData: Object, config?: { mergeStrategy?: MergeStrategySymbol; metadataVersionFn?: (any: any) => void }): { entities: Entity[]; tempKeyMapping: { [key: string]: EntityKey } };
 
+        redo(): boolean;
         rejectChanges(): Entity[];
+        removeIndex(entityType: EntityType, propertyNames?: string[]): void;
+        removeIndex(entityType: EntityType, propertyName: string): void;
+        removeIndex(entityTypeName: string, propertyNames?: string[]): void;
+        removeIndex(entityTypeName: string, propertyName: string): void;
+        rollbackTo(checkpoint: Checkpoint): void;
         saveChanges(entities?: Entity[], saveOptions?: SaveOptions, callback?: SaveChangesSuccessCallback, errorCallback?: SaveChangesErrorCallback): breeze.promises.IPromise<SaveResult>;
         setProperties(config: EntityManagerProperties): void;
+        undo(): boolean;
+    }
+
+    /** Opaque position in the change history of an EntityManager */
+    interface Checkpoint {
+        entityManager: EntityManager;
+    }
+
+    interface SandboxConflict {
+        /** Entity in the sandbox */
+        entity: Entity;
+        /** Entity in the parent EntityManager; null if it has been detached */
+        parentEntity: Entity;
+        /** Properties changed in both the sandbox and the parent; empty if the parent entity has been deleted or detached */
+        propertyNames: string[];
+    }
+
+    interface SandboxCommitResult {
+        /** Entities of the parent EntityManager that were added, changed or deleted */
+        entities: Entity[];
+        /** Mapping from the EntityKey of each entity added in the sandbox to its EntityKey in the parent */
+        tempKeyMapping: { [key: string]: EntityKey };
+        /** Conflicts that were overwritten */
+        conflicts: SandboxConflict[];
     }
 
     interface EntityManagerOptions {
@@ -454,6 +538,7 @@ declare module breeze {
         saveOptions?: SaveOptions;
         validationOptions?: ValidationOptions;
         keyGeneratorCtor?: Function;
+        changeHistoryDepth?: number;
     }
 
     interface EntityManagerProperties {
@@ -464,6 +549,7 @@ declare module breeze {
         saveOptions?: SaveOptions;
         validationOptions?: ValidationOptions;
         keyGeneratorCtor?: Function;
+        changeHistoryDepth?: number;
     }
 
     interface ExecuteQuerySuccessCallback {
@@ -515,39 +601,75 @@ declare module breeze {
         subscribe(callback?: (data: HasChangesChangedEventArgs) => void): number;
     }
 
+    class QueryMergeProgressEventArgs {
+        entityManager: EntityManager;
+        query: EntityQuery;
+        mergedCount: number;
+        totalCount: number;
+    }
+
+    class QueryMergeProgressEvent extends breeze.core.Event {
+        subscribe(callback?: (data: QueryMergeProgressEventArgs) => void): number;
+    }
+
     class EntityQuery {
+        aggregateClause: AggregateClause;
         entityManager: EntityManager;
         orderByClause: OrderByClause;
         parameters: Object;
         queryOptions: QueryOptions;
         resourceName: string;
         resultEntityType: EntityType;
+        searchClause: SearchClause;
         skipCount: number;
         takeCount: number;
+        groupByClause: GroupByClause;
         wherePredicate: Predicate;
 
         constructor(resourceName?: string);
         /** Create query from an expression tree */
         constructor(tree: Object);
 
+        after(entity: Entity): EntityQuery;
+        after(keyValues: any[]): EntityQuery;
+        after(continuationToken: string): EntityQuery;
+        before(entity: Entity): EntityQuery;
+        before(keyValues: any[]): EntityQuery;
+        before(continuationToken: string): EntityQuery;
         execute(callback?: ExecuteQuerySuccessCallback, errorCallback?: ExecuteQueryErrorCallback): breeze.promises.IPromise<QueryResult>;
         executeLocally(): Entity[];
         expand(propertyPaths: string[]): EntityQuery;
         expand(propertyPaths: string): EntityQuery;
+        expand(propertyPaths: string[], options: NestedExpandOptions): EntityQuery;
+        expand(propertyPaths: string, options: NestedExpandOptions): EntityQuery;
+        /** Maps each property path to its NestedExpandOptions or null */
+        expand(propertyPaths: Object): EntityQuery;
+        aggregate(aggregateFn: string, propertyPath?: string, alias?: string): EntityQuery;
+        count(enabled?: boolean): EntityQuery;
         static from(resourceName: string): EntityQuery;
         from(resourceName: string): EntityQuery;
         static fromEntities(entity: Entity): EntityQuery;
         static fromEntities(entities: Entity[]): EntityQuery;
         static fromEntityKey(entityKey: EntityKey): EntityQuery;
         static fromEntityNavigation(entity: Entity, navigationProperty: NavigationProperty): EntityQuery;
+        static fromODataUri(uri: string, metadataStore?: MetadataStore): EntityQuery;
+        groupBy(propertyPaths: string): EntityQuery;
+        groupBy(propertyPaths: string[]): EntityQuery;
         inlineCount(enabled?: boolean): EntityQuery;
         noTracking(enabled?: boolean): EntityQuery;
         orderBy(propertyPaths: string, isDescending?: boolean): EntityQuery;
         orderBy(propertyPaths: string[], isDescending?: boolean): EntityQuery;
-        orderByDesc(propertyPaths: string): EntityQuery;
-        orderByDesc(propertyPaths: string[]): EntityQuery;
+        orderBy(propertyPaths: string, options: OrderByOptions): EntityQuery;
+        orderBy(propertyPaths: string[], options: OrderByOptions): EntityQuery;
+        orderByDesc(propertyPaths: string, options?: OrderByOptions): EntityQuery;
+        orderByDesc(propertyPaths: string[], options?: OrderByOptions): EntityQuery;
+        search(text: string, options?: SearchOptions): EntityQuery;
         select(propertyPaths: string): EntityQuery;
         select(propertyPaths: string[]): EntityQuery;
+        select(propertyPaths: string, options: NestedQueryOptions): EntityQuery;
+        select(propertyPaths: string[], options: NestedQueryOptions): EntityQuery;
+        /** Maps each property path to its NestedQueryOptions or null */
+        select(propertyPaths: Object): EntityQuery;
         skip(count: number): EntityQuery;
         take(count: number): EntityQuery;
         top(count: number): EntityQuery;
@@ -567,6 +689,7 @@ declare module breeze {
         where(property: string, filterop: FilterQueryOpSymbol, property2: string, filterop2: FilterQueryOpSymbol, value: any): EntityQuery;  // for any/all clauses
         where(property: string, filterop: string, property2: string, filterop2: string, value: any): EntityQuery;  // for any/all clauses
         where(predicate: FilterQueryOpSymbol): EntityQuery;
+        withCancellation(signal?: AbortSignalLike): EntityQuery;
         withParameters(params: Object): EntityQuery;
 
         toJSON(): string;
@@ -575,6 +698,47 @@ declare module breeze {
     interface OrderByClause {
     }
 
+    interface OrderByOptions {
+        isDescending?: boolean;
+        /** Whether nulls sort before (true) or after (false) all other values regardless of the sort direction */
+        nullsFirst?: boolean;
+        /** A BCP 47 locale used to compare strings */
+        collation?: string;
+    }
+
+    interface SearchOptions {
+        /** The string property paths to search; defaults to every string property of the query's EntityType */
+        properties?: any;
+    }
+
+    interface SearchClause {
+        text: string;
+        properties: string[];
+    }
+
+    /** Options that apply to the entities of a selected or expanded navigation property */
+    interface NestedQueryOptions {
+        where?: Object;
+        orderBy?: any;
+        skip?: number;
+        top?: number;
+        take?: number;
+        /** Property paths relative to the navigation property's EntityType */
+        select?: any;
+    }
+
+    interface NestedExpandOptions extends NestedQueryOptions {
+        /** Property paths relative to the navigation property's EntityType */
+        expand?: any;
+    }
+
+    interface GroupByClause {
+        propertyPaths: string[];
+    }
+
+    interface AggregateClause {
+    }
+
     class EntityStateSymbol extends breeze.core.EnumSymbol {
         isAdded(): boolean;
         isAddedModifiedOrDeleted(): boolean;
@@ -593,6 +757,15 @@ declare module breeze {
     }
     var EntityState: EntityState;
 
+    class EntityTransaction {
+        entityManager: EntityManager;
+        parent: EntityTransaction;
+        isActive: boolean;
+
+        commit(): void;
+        rollback(): void;
+    }
+
     class EntityType implements IStructuralType {
         autoGeneratedKeyType: AutoGeneratedKeyType;
         baseEntityType: EntityType;
@@ -649,7 +822,9 @@ declare module breeze {
     }
     interface FetchStrategy extends breeze.core.IEnum {
         FromLocalCache: FetchStrategySymbol;
+        FromLocalCacheIfFresh: FetchStrategySymbol;
         FromServer: FetchStrategySymbol;
+        StaleWhileRevalidate: FetchStrategySymbol;
     }
     var FetchStrategy: FetchStrategy;
 
@@ -661,10 +836,12 @@ declare module breeze {
         Equals: FilterQueryOpSymbol;
         GreaterThan: FilterQueryOpSymbol;
         GreaterThanOrEqual: FilterQueryOpSymbol;
+        In: FilterQueryOpSymbol;
         IsTypeOf: FilterQueryOpSymbol;
         LessThan: FilterQueryOpSymbol;
         LessThanOrEqual: FilterQueryOpSymbol;
         NotEquals: FilterQueryOpSymbol;
+        NotIn: FilterQueryOpSymbol;
         StartsWith: FilterQueryOpSymbol;
         Any: FilterQueryOpSymbol;
         All: FilterQueryOpSymbol;
@@ -749,6 +926,7 @@ declare module breeze {
         isNavigationProperty: boolean;
         isScalar: boolean;
         name: string;
+        onDelete: DeleteRule;
         parentType: IStructuralType;
         relatedDataProperties: DataProperty[];
         validators: Validator[];
@@ -764,6 +942,7 @@ declare module breeze {
         associationName?: string;
         foreignKeyNames?: string[];
         foreignKeyNamesOnServer?: string[];
+        onDelete?: DeleteRule;
         validators?: Validator[];
     }
 
@@ -772,6 +951,8 @@ declare module breeze {
         constructor(property: string, operator: FilterQueryOpSymbol, value: any);
         constructor(property: string, operator: string, value: { value: any; isLiteral?: boolean; dataType?: breeze.DataType });
         constructor(property: string, operator: FilterQueryOpSymbol, value: { value: any; isLiteral?: boolean; dataType?: breeze.DataType });
+        constructor(property: string, operator: string, value: any, options: PredicateOptions);
+        constructor(property: string, operator: FilterQueryOpSymbol, value: any, options: PredicateOptions);
         constructor(property: string, filterop: FilterQueryOpSymbol, property2: string, filterop2: FilterQueryOpSymbol, value: any);  // for any/all clauses
         constructor(property: string, filterop: string, property2: string, filterop2: string, value: any);  // for any/all clauses
         /** Create predicate from an expression tree */
@@ -782,6 +963,8 @@ declare module breeze {
 
         static create: PredicateMethod;
 
+        static fromODataFilter(filter: string, entityType?: EntityType): Predicate;
+
         static isPredicate(o: any): boolean;
 
         static not(predicate: Predicate): Predicate;
@@ -790,6 +973,9 @@ declare module breeze {
         static or: PredicateMethod;
         or: PredicateMethod;
 
+        static registerFunction(name: string, config: PredicateFunctionConfig): void;
+        static unregisterFunction(name: string): void;
+
         toFunction(): Function;
         toString(): string;
         validate(entityType: EntityType): void;
@@ -802,16 +988,42 @@ declare module breeze {
         (...predicates: Predicate[]): Predicate;
         (property: string, operator: string, value: any, valueIsLiteral?: boolean): Predicate;
         (property: string, operator: FilterQueryOpSymbol, value: any, valueIsLiteral?: boolean): Predicate;
+        (property: string, operator: string, value: any, options: PredicateOptions): Predicate;
+        (property: string, operator: FilterQueryOpSymbol, value: any, options: PredicateOptions): Predicate;
         (property: string, filterop: FilterQueryOpSymbol, property2: string, filterop2: FilterQueryOpSymbol, value: any): Predicate;  // for any/all clauses
         (property: string, filterop: string, property2: string, filterop2: string, value: any): Predicate;  // for any/all clauses
     }
 
+    /** Overrides the MetadataStore's LocalQueryComparisonOptions for a single string comparison */
+    interface PredicateOptions {
+        caseSensitive?: boolean;
+        usesSql92CompliantStringComparison?: boolean;
+    }
+
+    interface PredicateFunctionConfig {
+        fn: Function;
+        dataType?: DataTypeSymbol;
+        argTypes?: DataTypeSymbol[];
+        odataName?: string;
+        jsonName?: string;
+    }
+
     class QueryOptions {
         static defaultInstance: QueryOptions;
         fetchStrategy: FetchStrategySymbol;
         mergeStrategy: MergeStrategySymbol;
         /** Whether query should return cached deleted entities (false by default) */
         includeDeleted: boolean
+        /** Whether a FromLocalCache query should go to the server when an expanded path is not loaded (false by default) */
+        expandFallbackToServer: boolean;
+        /** Cancels any query executed with these options when it is aborted */
+        signal: AbortSignalLike;
+        /** Whether identical in-flight queries share a single request (false by default) */
+        deduplicate: boolean;
+        /** Milliseconds for which server results stay fresh for the FromLocalCacheIfFresh and StaleWhileRevalidate strategies (null = never expire) */
+        cacheTtl: number;
+        /** Number of top level results merged on each turn of the event loop (null = merge all at once) */
+        mergeChunkSize: number;
 
         constructor(config?: QueryOptionsConfiguration);
 
@@ -824,6 +1036,19 @@ declare module breeze {
     interface QueryOptionsConfiguration {
         fetchStrategy?: FetchStrategySymbol;
         mergeStrategy?: MergeStrategySymbol;
+        includeDeleted?: boolean;
+        expandFallbackToServer?: boolean;
+        signal?: AbortSignalLike;
+        deduplicate?: boolean;
+        cacheTtl?: number;
+        mergeChunkSize?: number;
+    }
+
+    /** An AbortSignal or any object with the same 'aborted' property and listener methods */
+    interface AbortSignalLike {
+        aborted: boolean;
+        addEventListener(type: string, listener: () => void): void;
+        removeEventListener(type: string, listener: () => void): void;
     }
 
     interface HttpResponse {
@@ -835,6 +1060,21 @@ declare module breeze {
         getHeaders(headerName: string): string
     }
 
+    interface QueryExplanation {
+        /** Query that was explained */
+        query: EntityQuery;
+        fromEntityType: EntityType;
+        resultEntityType: EntityType;
+        /** Validated 'where' clause with the server name and dataType name of every property and the inferred dataType name of every literal */
+        wherePredicate: Object;
+        /** Query serialized with the server property names */
+        json: Object;
+        /** Uri built by the uriBuilder of the resolved DataService */
+        uri: string;
+        queryOptions: QueryOptions;
+        dataService: DataService;
+    }
+
     interface QueryResult {
         /** Top level entities returned */
         results: Entity[];
@@ -846,6 +1086,16 @@ declare module breeze {
         entityManager?: EntityManager;
         /** Total number of results available on the server */
         inlineCount?: number;
+        /** Number of matching results when the query is a count only query */
+        count?: number;
+        /** Expanded paths that are loaded for every result - only for queries executed against the local cache */
+        loadedExpandPaths?: string[];
+        /** Expanded paths that are not loaded for one or more results - only for queries executed against the local cache */
+        unloadedExpandPaths?: string[];
+        /** Token for the next page of an 'after' or 'before' query - only when a full page was returned */
+        continuationToken?: string;
+        /** The server query started for a StaleWhileRevalidate query whose cached results had expired */
+        revalidation?: breeze.promises.IPromise<QueryResult>;
         /** All entities returned by the query.  Differs from results when an expand is used. */
         retrievedEntities?: Entity[]
     }